@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+// Runs the analyze pipeline against a synthetic chain of N holders (see
+// src/testing/scenario.js) and reports throughput, RPC calls and peak memory.
+//
+//   npm run bench -- --holders 100000 --latency 20
+import { Command } from 'commander';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { CONFIG, loadConfig } from '../src/config.js';
+import { createContext } from '../src/commands/context.js';
+import { RpcPool } from '../src/services/rpc-pool.js';
+import { Scenario } from '../src/testing/scenario.js';
+
+const START = Date.UTC(2024, 0, 1);
+const DAY = 24 * 3600 * 1000;
+const TRADER_BUYS = 50;
+
+// Every 100 holders: 80 buy and hold, 10 sell part later, 5 move part to a
+// second account, 4 hand everything to a new wallet and close their account
+// and one trades (many buys, then a sale)
+function holderMoves(index) {
+    const name = `holder-${index}`;
+    const amount = 60_000_000 + (index * 7_919) % 440_000_000;
+    const bought = START + (index % 180) * DAY + index % 1000;
+    const kind = index % 100;
+
+    if (kind < 80) {
+        return [[bought, scenario => scenario.buy(name, amount, bought)]];
+    }
+    if (kind < 90) {
+        const sold = bought + 30 * DAY;
+        return [
+            [bought, scenario => scenario.buy(name, amount, bought)],
+            [sold, scenario => scenario.sell(name, Math.floor(amount / 4), sold)]
+        ];
+    }
+    if (kind < 95) {
+        const moved = bought + 10 * DAY;
+        return [
+            [bought, scenario => scenario.buy(name, amount, bought)],
+            [moved, scenario => scenario.transferToSelf(name, Math.floor(amount / 2), moved)]
+        ];
+    }
+    if (kind < 99) {
+        const moved = bought + 20 * DAY;
+        return [
+            [bought, scenario => scenario.buy(name, amount, bought)],
+            [moved, scenario => scenario.transfer(name, `${name}-heir`, amount, moved)],
+            [moved + 1, scenario => scenario.closeAccount(name, moved + 1)]
+        ];
+    }
+
+    const buys = Array.from({ length: TRADER_BUYS }, (_, buy) => {
+        const at = bought + buy * 3600 * 1000;
+        return [at, scenario => scenario.buy(name, Math.ceil(amount / TRADER_BUYS), at)];
+    });
+    const sold = bought + 60 * DAY;
+    return [...buys, [sold, scenario => scenario.sell(name, Math.floor(amount / 10), sold)]];
+}
+
+function buildScenario(holders) {
+    const moves = [];
+    for (let index = 0; index < holders; index++) {
+        moves.push(...holderMoves(index));
+    }
+    moves.sort((a, b) => a[0] - b[0]);
+
+    const scenario = new Scenario({ seed: `bench-${holders}`, poolLiquidity: holders * 1_000_000_000 });
+    for (const [, move] of moves) {
+        move(scenario);
+    }
+    return scenario;
+}
+
+// Counts the calls of every method, each delayed by `latency` ms
+function instrument(connection, latency, calls) {
+    return new Proxy(connection, {
+        get(target, method) {
+            const value = target[method];
+            if (typeof value !== 'function') return value;
+
+            return async (...args) => {
+                calls.set(method, (calls.get(method) ?? 0) + 1);
+                if (latency > 0) await new Promise(resolve => setTimeout(resolve, latency));
+                return value.apply(target, args);
+            };
+        }
+    });
+}
+
+function trackPeakMemory() {
+    const peak = { rss: 0, heapUsed: 0 };
+    const sample = () => {
+        const { rss, heapUsed } = process.memoryUsage();
+        peak.rss = Math.max(peak.rss, rss);
+        peak.heapUsed = Math.max(peak.heapUsed, heapUsed);
+    };
+    const timer = setInterval(sample, 250).unref();
+    return () => {
+        clearInterval(timer);
+        sample();
+        return peak;
+    };
+}
+
+const megabytes = bytes => `${(bytes / 1024 / 1024).toFixed(0)} MB`;
+
+const program = new Command()
+    .name('bench-pipeline')
+    .option('--holders <n>', 'synthetic holders', value => parseInt(value, 10), 100_000)
+    .option('--latency <ms>', 'delay added to every RPC call', value => parseInt(value, 10), 0)
+    .option('--batch-size <n>', 'wallets analyzed at once', value => parseInt(value, 10))
+    .option('--concurrency <n>', 'concurrent RPC requests', value => parseInt(value, 10), 50)
+    .option('--full-history', 'scan every history to its start')
+    .option('--keep', 'keep the output and cache directories')
+    .parse();
+
+const options = program.opts();
+const stopTracking = trackPeakMemory();
+
+let started = Date.now();
+const scenario = buildScenario(options.holders);
+const connection = scenario.connection();
+console.log(`Built ${options.holders.toLocaleString()} holders, ${scenario.transactions.length.toLocaleString()} transactions in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+
+const dir = await mkdtemp(join(tmpdir(), 'koko-bench-'));
+await loadConfig({
+    overrides: {
+        KOKO_TOKEN: scenario.mint.toBase58(),
+        OUTPUT_DIR: join(dir, 'output'),
+        CACHE_DIR: join(dir, 'cache'),
+        BATCH_SIZE: options.batchSize,
+        CONCURRENT_LIMIT: options.concurrency,
+        FULL_HISTORY: options.fullHistory ?? false
+    }
+});
+
+const calls = new Map();
+const rpc = new RpcPool([{ label: 'scenario', connection: instrument(connection, options.latency, calls), concurrency: CONFIG.CONCURRENT_LIMIT }]);
+const { analyzer, cacheManager } = await createContext({ rpc });
+
+started = Date.now();
+await analyzer.analyze();
+await cacheManager.flush();
+const seconds = (Date.now() - started) / 1000;
+const peak = stopTracking();
+
+console.log(`\nAnalyzed ${analyzer.stats.processed.toLocaleString()} wallets in ${seconds.toFixed(1)}s (${(analyzer.stats.processed / seconds).toFixed(0)} wallets/s)`);
+console.log(`Batch size ${CONFIG.BATCH_SIZE}, ${CONFIG.CONCURRENT_LIMIT} concurrent requests, ${options.latency} ms latency${CONFIG.FULL_HISTORY ? ', full history' : ''}`);
+for (const [method, count] of [...calls].sort((a, b) => b[1] - a[1])) {
+    console.log(`  ${method.padEnd(32)} ${count.toLocaleString()}`);
+}
+console.log(`Peak memory: ${megabytes(peak.rss)} RSS, ${megabytes(peak.heapUsed)} heap`);
+
+if (options.keep) {
+    console.log(`Output and cache kept in ${dir}`);
+} else {
+    await rm(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,157 @@
+// Maps a holder's allocation basis (balance, TWAB, ... in base units, bigint)
+// to a relative weight. Weights stay exact bigints except for log and
+// fractional tier weights. Tier minimums are in the same base units.
+export const ALLOCATION_STRATEGIES = {
+    'pro-rata': value => value,
+    'sqrt': value => sqrt(value),
+    'log': value => Math.log1p(Number(value)),
+    'equal': () => 1n,
+    'tiered': (value, { tiers }) => {
+        const tier = [...tiers]
+            .sort((a, b) => (a.min === b.min ? 0 : a.min > b.min ? -1 : 1))
+            .find(t => value >= t.min);
+        if (!tier) return 0n;
+        return Number.isInteger(tier.weight) ? BigInt(tier.weight) : tier.weight;
+    },
+    'capped': value => value
+};
+
+// Integer square root, rounded down
+function sqrt(value) {
+    if (value < 2n) return value;
+    let x = BigInt(Math.floor(Math.sqrt(Number(value))));
+    while (x * x > value) x--;
+    while ((x + 1n) * (x + 1n) <= value) x++;
+    return x;
+}
+
+// Float weights are converted to integers at this resolution relative to the largest
+const WEIGHT_SCALE = 10n ** 15n;
+
+// Splits totalAmount (integer base units) across entries [{owner, value}]
+// with the given strategy. Returns a Map of owner -> bigint amount whose
+// values always sum exactly to totalAmount.
+export function allocate(entries, totalAmount, { strategy = 'pro-rata', tiers = [], capPercent = 100 } = {}) {
+    const weigh = ALLOCATION_STRATEGIES[strategy];
+    if (!weigh) {
+        throw new Error(`Unknown allocation strategy "${strategy}"`);
+    }
+
+    const weighted = entries.map(entry => {
+        const weight = weigh(entry.value, { tiers });
+        return {
+            owner: entry.owner,
+            weight: typeof weight === 'bigint' ? (weight > 0n ? weight : 0n) : Math.max(0, weight || 0)
+        };
+    });
+
+    if (strategy === 'capped') {
+        return allocateCapped(weighted, totalAmount, capPercent);
+    }
+    return apportion(weighted, totalAmount);
+}
+
+// Largest-remainder apportionment: everyone gets floor(total * w / W), then
+// the leftover units go one each to the largest fractional parts, ties broken
+// by owner address so the result is deterministic. If every weight is zero
+// the total is split equally. Bigint weights are used as they are; if any
+// weight is a float they are all scaled to integers first.
+export function apportion(weighted, totalAmount) {
+    const result = new Map();
+    if (weighted.length === 0) return result;
+
+    let scaled = weighted.every(entry => typeof entry.weight === 'bigint')
+        ? weighted
+        : scaleWeights(weighted);
+    if (scaled.every(entry => entry.weight === 0n)) {
+        scaled = scaled.map(entry => ({ owner: entry.owner, weight: 1n }));
+    }
+    const totalWeight = scaled.reduce((total, entry) => total + entry.weight, 0n);
+
+    let distributed = 0n;
+    const remainders = [];
+
+    for (const entry of scaled) {
+        const exact = totalAmount * entry.weight;
+        const amount = exact / totalWeight;
+        result.set(entry.owner, amount);
+        distributed += amount;
+        remainders.push({ owner: entry.owner, remainder: exact % totalWeight });
+    }
+
+    remainders.sort((a, b) =>
+        a.remainder === b.remainder
+            ? (a.owner < b.owner ? -1 : a.owner > b.owner ? 1 : 0)
+            : (a.remainder > b.remainder ? -1 : 1)
+    );
+
+    let leftover = totalAmount - distributed;
+    for (let i = 0; leftover > 0n; i = (i + 1) % remainders.length, leftover--) {
+        const { owner } = remainders[i];
+        result.set(owner, result.get(owner) + 1n);
+    }
+
+    return result;
+}
+
+function scaleWeights(weighted) {
+    const numbers = weighted.map(entry => Number(entry.weight));
+    const maxWeight = Math.max(...numbers);
+    return weighted.map((entry, index) => ({
+        owner: entry.owner,
+        weight: maxWeight > 0
+            ? BigInt(Math.round((numbers[index] / maxWeight) * Number(WEIGHT_SCALE)))
+            : 0n
+    }));
+}
+
+// The lowest cap, in hundredths of a percent like the cap itself, at which
+// `holders` wallets can take the whole amount between them
+export function minimumCapPercent(holders) {
+    return Math.ceil(10000 / holders) / 100;
+}
+
+// Whether `holders` wallets capped at capPercent each can take the whole
+// amount between them (the cap rounds down to whole base units)
+export function capReachesTotal(holders, totalAmount, capPercent) {
+    return capAmount(totalAmount, capPercent) * BigInt(holders) >= totalAmount;
+}
+
+function capAmount(totalAmount, capPercent) {
+    return (totalAmount * BigInt(Math.round(capPercent * 100))) / 10000n;
+}
+
+// Pro-rata where nobody receives more than capPercent of the total. The
+// overflow of capped holders is redistributed pro-rata over the others until
+// no one exceeds the cap.
+function allocateCapped(weighted, totalAmount, capPercent) {
+    const cap = capAmount(totalAmount, capPercent);
+    if (!capReachesTotal(weighted.length, totalAmount, capPercent)) {
+        throw new Error(
+            `Cap of ${capPercent}% is too low to distribute the full amount to ${weighted.length} holders ` +
+            `(needs at least ${minimumCapPercent(weighted.length)}%)`
+        );
+    }
+
+    const result = new Map();
+    let uncapped = weighted;
+    let remaining = totalAmount;
+
+    while (uncapped.length > 0) {
+        const shares = apportion(uncapped, remaining);
+        const over = uncapped.filter(entry => shares.get(entry.owner) > cap);
+
+        if (over.length === 0) {
+            for (const [owner, amount] of shares) result.set(owner, amount);
+            break;
+        }
+
+        for (const entry of over) {
+            result.set(entry.owner, cap);
+            remaining -= cap;
+        }
+        uncapped = uncapped.filter(entry => shares.get(entry.owner) <= cap);
+    }
+
+    return result;
+}
@@ -0,0 +1,58 @@
+import { getOwnerBalanceChange } from '../utils/token-balances.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Rebuilds the owner's balance (base units, bigint) after each transaction,
+// oldest first. The history is walked backwards from the known final balance,
+// so the timeline always ends at currentBalance even if older history is
+// incomplete.
+export function buildBalanceTimeline(transactions, owner, mint, currentBalance) {
+    const changes = transactions
+        .map(tx => ({
+            time: tx.blockTime * 1000,
+            signature: tx.transaction?.signatures?.[0] ?? null,
+            delta: getOwnerBalanceChange(tx, owner, mint).delta
+        }))
+        .filter(change => change.delta !== 0n)
+        .sort((a, b) => a.time - b.time);
+
+    let balance = currentBalance;
+    for (let i = changes.length - 1; i >= 0; i--) {
+        changes[i].balance = balance > 0n ? balance : 0n;
+        balance -= changes[i].delta;
+    }
+
+    return changes;
+}
+
+// Time-weighted average balance, minimum balance and balance-days over
+// [windowStart, windowEnd] (ms). The balance is a step function that changes
+// at each timeline point and is zero before the first one. Results are bigint
+// base units (balance-days in base-unit days), rounded down.
+export function computeBalanceMetrics(timeline, windowStart, windowEnd) {
+    const windowMs = BigInt(Math.round(windowEnd - windowStart));
+    if (windowMs <= 0n) {
+        return { twab: 0n, minBalance: 0n, balanceDays: 0n };
+    }
+
+    let balance = 0n;
+    let index = 0;
+    while (index < timeline.length && timeline[index].time <= windowStart) {
+        balance = timeline[index].balance;
+        index++;
+    }
+
+    let cursor = windowStart;
+    let balanceMs = 0n;
+    let minBalance = balance;
+
+    for (; index < timeline.length && timeline[index].time <= windowEnd; index++) {
+        balanceMs += balance * BigInt(Math.round(timeline[index].time - cursor));
+        cursor = timeline[index].time;
+        balance = timeline[index].balance;
+        if (balance < minBalance) minBalance = balance;
+    }
+    balanceMs += balance * BigInt(Math.round(windowEnd - cursor));
+
+    return { twab: balanceMs / windowMs, minBalance, balanceDays: balanceMs / BigInt(DAY_MS) };
+}
@@ -0,0 +1,205 @@
+import { MOVEMENT_TYPES } from './transaction-classifier.js';
+
+const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+
+// Holders within this percentage above MIN_TOKENS count as "just above threshold"
+const NEAR_THRESHOLD_PERCENT = 20n;
+
+// The wallet's first incoming SOL transfer (or account creation), which is
+// usually whoever set the wallet up. Returns null if none is found.
+export function findFundingSource(transactions, wallet) {
+    const ordered = [...transactions].sort((a, b) => a.blockTime - b.blockTime);
+
+    for (const tx of ordered) {
+        const instructions = [
+            ...(tx.transaction?.message?.instructions || []),
+            ...(tx.meta?.innerInstructions || []).flatMap(inner => inner.instructions)
+        ];
+
+        for (const ix of instructions) {
+            if (String(ix.programId) !== SYSTEM_PROGRAM_ID || !ix.parsed) continue;
+
+            const { type, info } = ix.parsed;
+            const destination = type === 'createAccount' ? info?.newAccount : info?.destination;
+            if (['transfer', 'transferWithSeed', 'createAccount'].includes(type) &&
+                destination === wallet && info.source && info.source !== wallet) {
+                return {
+                    source: info.source,
+                    signature: tx.transaction?.signatures?.[0] ?? null,
+                    blockTime: tx.blockTime
+                };
+            }
+        }
+    }
+
+    return null;
+}
+
+class UnionFind {
+    constructor() {
+        this.parents = new Map();
+    }
+
+    find(item) {
+        if (!this.parents.has(item)) this.parents.set(item, item);
+        let root = item;
+        while (this.parents.get(root) !== root) root = this.parents.get(root);
+        // Path compression
+        while (this.parents.get(item) !== root) {
+            const next = this.parents.get(item);
+            this.parents.set(item, root);
+            item = next;
+        }
+        return root;
+    }
+
+    union(a, b) {
+        const rootA = this.find(a);
+        const rootB = this.find(b);
+        if (rootA !== rootB) this.parents.set(rootB, rootA);
+    }
+}
+
+// Links holders that are likely controlled by the same person: funded by the
+// same SOL source, paid KOKO by the same sender within a few slots, or
+// transferring KOKO between each other. A funder or sender that reached more
+// than maxFanOut holders is a service (an exchange hot wallet, a payout bot)
+// rather than a person, and links none of them.
+export class ClusterAnalyzer {
+    constructor(solanaService, { slotWindow = 150, maxFanOut = 10, ignoredAddresses = [], minTokens = 0n } = {}) {
+        this.solanaService = solanaService;
+        this.slotWindow = slotWindow;
+        this.maxFanOut = maxFanOut;
+        this.ignoredAddresses = new Set(ignoredAddresses);
+        this.minTokens = minTokens;
+    }
+
+    // holders: [{owner, amount}], amounts in base units like minTokens.
+    // Returns clusters of two or more wallets, largest risk first, each with
+    // the evidence that linked it.
+    async analyze(holders) {
+        const members = new Set(holders.map(holder => holder.owner));
+        const balances = new Map(holders.map(holder => [holder.owner, holder.amount]));
+        const snapshot = await this.solanaService.getSnapshot();
+        const edges = [];
+        const funded = new Map();
+        const receipts = [];
+
+        for (const holder of holders) {
+            // Fetching an uncached history also records the funding source
+            const transactions = (await this.solanaService.getTransactionHistory(holder.owner))
+                .filter(tx => this.solanaService.isBeforeSnapshot(tx, snapshot));
+
+            const funding = await this.solanaService.getFundingSource(holder.owner);
+            if (funding && !this.ignoredAddresses.has(funding.source)) {
+                if (!funded.has(funding.source)) funded.set(funding.source, []);
+                funded.get(funding.source).push(holder.owner);
+            }
+
+            for (const tx of transactions) {
+                const { type, counterparties } = this.solanaService.analyzeTransaction(tx, holder.owner);
+
+                if (type === MOVEMENT_TYPES.TRANSFER_OUT) {
+                    for (const counterparty of counterparties.filter(address => members.has(address))) {
+                        edges.push({ a: holder.owner, b: counterparty, type: 'transfer', detail: tx.transaction?.signatures?.[0] ?? null });
+                    }
+                } else if (type === MOVEMENT_TYPES.TRANSFER_IN || type === MOVEMENT_TYPES.AIRDROP) {
+                    for (const sender of counterparties.filter(address => !this.ignoredAddresses.has(address))) {
+                        receipts.push({ sender, slot: tx.slot, owner: holder.owner });
+                    }
+                }
+            }
+        }
+
+        for (const [funder, owners] of funded) {
+            if (owners.length > this.maxFanOut) continue;
+            for (let i = 1; i < owners.length; i++) {
+                edges.push({ a: owners[0], b: owners[i], type: 'funder', detail: funder });
+            }
+        }
+
+        edges.push(...this.linkSameSender(receipts));
+
+        return this.buildClusters(edges, balances);
+    }
+
+    // Receipts from one sender are linked when their slots are within the window
+    linkSameSender(receipts) {
+        const bySender = new Map();
+        for (const receipt of receipts) {
+            if (receipt.slot === undefined) continue;
+            if (!bySender.has(receipt.sender)) bySender.set(receipt.sender, []);
+            bySender.get(receipt.sender).push(receipt);
+        }
+
+        const edges = [];
+        for (const [sender, list] of bySender) {
+            if (new Set(list.map(receipt => receipt.owner)).size > this.maxFanOut) continue;
+            list.sort((a, b) => a.slot - b.slot);
+            for (let i = 1; i < list.length; i++) {
+                const previous = list[i - 1];
+                if (list[i].owner !== previous.owner && list[i].slot - previous.slot <= this.slotWindow) {
+                    edges.push({ a: previous.owner, b: list[i].owner, type: 'sender', detail: sender });
+                }
+            }
+        }
+
+        return edges;
+    }
+
+    buildClusters(edges, balances) {
+        const unionFind = new UnionFind();
+        for (const edge of edges) unionFind.union(edge.a, edge.b);
+
+        const groups = new Map();
+        for (const owner of unionFind.parents.keys()) {
+            const root = unionFind.find(owner);
+            if (!groups.has(root)) groups.set(root, { members: [], edges: [] });
+            groups.get(root).members.push(owner);
+        }
+        for (const edge of edges) {
+            groups.get(unionFind.find(edge.a)).edges.push(edge);
+        }
+
+        const clusters = [...groups.values()]
+            .filter(group => group.members.length > 1)
+            .map(group => {
+                const members = group.members.sort();
+                return {
+                    members,
+                    totalBalance: members.reduce((total, owner) => total + (balances.get(owner) ?? 0n), 0n),
+                    links: {
+                        sharedFunders: [...new Set(group.edges.filter(e => e.type === 'funder').map(e => e.detail))],
+                        sameSenders: [...new Set(group.edges.filter(e => e.type === 'sender').map(e => e.detail))],
+                        directTransfers: group.edges.filter(e => e.type === 'transfer').length
+                    },
+                    riskScore: this.scoreCluster(members, group.edges, balances)
+                };
+            })
+            // IDs follow the smallest member address so they are stable across runs
+            .sort((a, b) => (a.members[0] < b.members[0] ? -1 : 1))
+            .map((cluster, index) => ({ id: `C${String(index + 1).padStart(4, '0')}`, ...cluster }));
+
+        return clusters.sort((a, b) => b.riskScore - a.riskScore || b.members.length - a.members.length);
+    }
+
+    // 0-100: more wallets, stronger link types and balances sitting just
+    // above MIN_TOKENS all make farming more likely
+    scoreCluster(members, edges, balances) {
+        const types = new Set(edges.map(edge => edge.type));
+        const nearThreshold = members.filter(owner => {
+            const balance = balances.get(owner) ?? 0n;
+            return this.minTokens > 0n && balance >= this.minTokens &&
+                balance <= this.minTokens + this.minTokens * NEAR_THRESHOLD_PERCENT / 100n;
+        }).length;
+
+        const score =
+            Math.min(40, (members.length - 1) * 10) +
+            (types.has('funder') ? 25 : 0) +
+            (types.has('sender') ? 15 : 0) +
+            (types.has('transfer') ? 25 : 0) +
+            Math.round(20 * nearThreshold / members.length);
+
+        return Math.min(100, score);
+    }
+}
@@ -1,71 +1,156 @@
-import { formatDistance, subMonths } from 'date-fns';
+import { formatDistance } from 'date-fns';
 import Table from 'cli-table3';
 import ora from 'ora';
 import { Logger } from '../utils/logger.js';
-import { EnhancedCsvWriter } from '../utils/csv-writer.js';
 import { CONFIG } from '../config.js';
 import { join } from "path";
-import { BatchProcessor } from '../utils/batch-processor.js';
+import { writeFile } from 'fs/promises';
+import { WorkQueue } from '../utils/work-queue.js';
+import { MOVEMENT_TYPES } from './transaction-classifier.js';
+import { ClusterAnalyzer } from './cluster-analyzer.js';
+import { onShutdown } from '../utils/shutdown.js';
+import { allocate, apportion, capReachesTotal, minimumCapPercent } from '../allocation/allocator.js';
+import { compareAmountsDesc, formatTokenAmount, parseTokenAmount } from '../utils/token-amount.js';
+import { ExclusionRegistry } from '../services/exclusion-registry.js';
+import { Campaign } from '../eligibility/campaign.js';
+import { buildMerkleDistribution, writeMerkleDistribution } from '../exporters/merkle-distributor.js';
+import { RESULT_SCHEMA_VERSION, getToolInfo, resultFields } from '../exporters/result-schema.js';
+import { ResultOutput } from '../exporters/result-writers.js';
+import { runSettings } from '../services/run-journal.js';
 import chalk from "chalk";
 
+const SHARE_RESOLUTION = 10n ** 18n;
+
 export class DiamondHandsAnalyzer {
-    constructor(solanaService, cacheManager) {
+    // solanaService is the service of the campaign's primary token; the other
+    // tokens get services sharing its RPC pool and cache
+    constructor(solanaService, cacheManager, exclusionRegistry = new ExclusionRegistry(), campaign = Campaign.fromConfig(CONFIG)) {
         this.solanaService = solanaService;
         this.cacheManager = cacheManager;
-        this.csvWriter = null;
+        this.exclusionRegistry = exclusionRegistry;
+        this.campaign = campaign;
+        this.services = new Map(campaign.tokens.map(token => [
+            token.id,
+            token.mint === solanaService.mint ? solanaService : solanaService.forMint(token.mint)
+        ]));
+        for (const token of campaign.tokens) {
+            if (campaign.needsFullHistory(token.id)) this.services.get(token.id).requireFullHistory();
+        }
+        this.tokenInfo = null;
+        this.output = null;
+        this.clusters = null;
+        this.thresholds = null;
+        this.journal = null;
+        this.stopping = false;
         this.stats = {
             startTime: Date.now(),
             processed: 0,
             eligible: 0,
+            excluded: 0,
             errors: 0
         };
         this.spinner = ora();
-        this.batchProcessor = new BatchProcessor(50, CONFIG.CONCURRENT_LIMIT); // Process 50 holders at a time
+        this.queue = new WorkQueue(CONFIG.BATCH_SIZE);
     }
 
-    async analyze() {
+    // With a journal every finished wallet is recorded as it completes, and a
+    // resumed journal supplies the frozen holder list and finished wallets.
+    async analyze({ journal = null } = {}) {
+        this.journal = journal;
+        const removeShutdownHandler = onShutdown(() => this.interrupt());
+
         try {
-            await Logger.showWelcome();
+            await Logger.showWelcome(`${this.campaign.primaryToken.symbol} Analysis`);
+
+            const snapshot = await this.solanaService.getSnapshot();
+            if (snapshot) {
+                Logger.info(`Snapshot mode: balances as of ${this.describeSnapshot(snapshot)}`);
+            }
+
+            await this.loadTokenInfo();
+            for (const token of this.tokenInfo.values()) {
+                if (token.tokenProgram === 'token-2022') {
+                    Logger.info(`${token.symbol} mint uses the Token-2022 program`);
+                }
+            }
 
-            this.spinner.start('Fetching KOKO holders...');
-            const holders = await this.solanaService.getAllHolders();
-            this.spinner.succeed(`Found ${holders.length} holders with >${CONFIG.MIN_TOKENS.toLocaleString()} KOKO`);
+            let holders = journal?.holders;
+            if (holders) {
+                Logger.info(`Resuming run ${journal.runId}: ${journal.completed}/${holders.length} wallets already done`);
+            } else {
+                holders = await this.fetchHolders();
+                await journal?.freeze({ holders, outputName: this.getOutputName(snapshot) });
+            }
+            if (journal) {
+                Logger.info(`Run ID: ${journal.runId} (continue an interrupted run with --resume ${journal.runId})`);
+            }
+
+            const outputName = journal?.outputName ?? this.getOutputName(snapshot);
+            this.outputName = outputName;
+            const metadata = await this.buildRunMetadata(snapshot);
+            this.output = await ResultOutput.create(join(CONFIG.OUTPUT_DIR, outputName), {
+                formats: CONFIG.OUTPUT_FORMATS,
+                fields: resultFields(this.campaign),
+                metadata,
+                sortKey: record => ({ owner: record.owner, balance: record.balance }),
+                order: compareRecords
+            });
+            await this.writeRunMetadata(metadata);
 
-            const timestamp = new Date().toISOString().split('T')[0];
-            this.csvWriter = new EnhancedCsvWriter(
-                join(CONFIG.OUTPUT_DIR, `koko_diamond_hands_${timestamp}.csv`)
+            this.spinner.start('Checking exclusions...');
+            const exclusions = await this.exclusionRegistry.check(
+                holders.map(holder => holder.owner),
+                addresses => this.solanaService.getAccountOwners(addresses)
             );
+            const excludedCount = [...exclusions.values()].filter(exclusion => this.campaign.isExcluded(exclusion)).length;
+            this.spinner.succeed(`${excludedCount} holders excluded (exchanges, pools, programs, listed addresses)`);
+            this.checkCap(holders.length - excludedCount);
 
             this.spinner.start('Analyzing holder histories...');
 
-            let totalEligibleKoko = 0;
-            const eligibleHolders = [];
+            let eligibleHolders = [];
+            const analyzedHolders = [];
+
+            const processHolder = async (holder) => {
+                // Once interrupted, queued wallets are left for --resume
+                if (this.stopping) return null;
 
-            // Process holders in batches
-            const processBatch = async (holder) => {
                 try {
-                    // Check cache first
-                    const cachedAnalysis = await this.cacheManager.get(holder.owner);
+                    const journaled = await journal?.get(holder.owner);
+                    // Excluded holders keep their CSV row but skip the history scan
+                    const exclusion = journaled ? journaled.exclusion : exclusions.get(holder.owner);
                     let analysis;
 
-                    if (cachedAnalysis) {
-                        analysis = cachedAnalysis;
+                    if (journaled) {
+                        analysis = journaled.analysis;
+                        if (this.campaign.isExcluded(exclusion)) this.stats.excluded++;
+                    } else if (this.campaign.isExcluded(exclusion)) {
+                        analysis = {
+                            ...this.solanaService.emptyAnalysis(holder.amount),
+                            ...this.campaign.evaluate({}, { exclusion })
+                        };
+                        this.stats.excluded++;
                     } else {
-                        analysis = await this.solanaService.analyzeWallet(holder.owner, holder.amount);
-                        if (analysis) {
-                            await this.cacheManager.set(holder.owner, analysis);
-                        }
+                        analysis = await this.analyzeHolder(holder);
                     }
 
                     if (!analysis) return null;
 
+                    // Clusters are detected from the primary token's histories
+                    if (!this.campaign.isExcluded(exclusion) && !analysis.failed && this.balanceOf(holder, this.campaign.primaryToken.id) !== null) {
+                        analyzedHolders.push(holder);
+                    }
+                    if (analysis.failed) this.stats.errors++;
                     if (analysis.isEligible) {
-                        eligibleHolders.push({ ...holder, ...analysis });
-                        totalEligibleKoko += holder.amount;
+                        eligibleHolders.push(this.eligibleEntry(holder, analysis));
                         this.stats.eligible++;
                     }
 
-                    await this.updateCsvRecord(holder, analysis);
+                    await this.updateResultRecord(holder, analysis, exclusion);
+                    // Failed analyses are not journaled so a resumed run retries them
+                    if (!journaled && !analysis.failed) {
+                        await journal?.record(holder.owner, { analysis, exclusion });
+                    }
                     this.stats.processed++;
 
                     // Update progress less frequently to reduce memory pressure
@@ -81,154 +166,566 @@ export class DiamondHandsAnalyzer {
                 }
             };
 
-            // Process all holders in batches
-            await this.batchProcessor.process(holders, processBatch);
+            await this.queue.run(holders, processHolder);
+            if (this.stopping) return;
+
+            if (CONFIG.CLUSTER_DETECTION) {
+                const clusters = await this.detectClusters(analyzedHolders, exclusions);
+                eligibleHolders = this.applyClusters(clusters, eligibleHolders);
+            }
+            const totalEligible = eligibleHolders.reduce((total, holder) => total + holder.amount, 0n);
 
             // Update airdrop shares
-            if (totalEligibleKoko > 0) {
-                await this.updateAirdropShares(totalEligibleKoko);
+            if (eligibleHolders.length > 0) {
+                await this.updateAirdropShares(eligibleHolders);
             }
+            await this.exportMerkleDistribution(eligibleHolders);
+
+            const summary = this.summarize(eligibleHolders, totalEligible);
+            await this.output.flush(summary);
+            await this.writeRunMetadata({ ...metadata, summary });
 
+            await journal?.saveResults({
+                campaign: this.campaign.name,
+                token: { symbol: this.campaign.primaryToken.symbol, mint: this.solanaService.mint, decimals: this.thresholds.decimals },
+                results: this.runResults()
+            });
+            await journal?.setStatus('completed');
             this.spinner.succeed('Analysis complete!');
-            await this.displayResults(eligibleHolders, totalEligibleKoko);
+            await this.displayResults(eligibleHolders, summary);
+            Logger.success(`Results written to ${this.output.files.join(', ')}`);
 
         } catch (error) {
             this.spinner.fail('Analysis failed!');
             Logger.error('Fatal error:', error);
+            await journal?.setStatus('failed');
             throw error;
+        } finally {
+            removeShutdownHandler();
+            await this.output?.close();
         }
     }
 
-    async updateCsvRecord(holder, analysis) {
-        return this.csvWriter.updateRecord(holder.owner, {
-            status: analysis.isEligible ? '💎 ELIGIBLE' : '❌ INELIGIBLE',
-            owner: holder.owner,
-            currentAmount: holder.amount.toLocaleString(),
-            maxHeld: analysis.maxHeld.toLocaleString(),
-            airdropShare: analysis.isEligible ? '0' : 'N/A',
-            holdingDays: analysis.holdingDays,
-            firstAcquired: analysis.firstAcquired?.toISOString() || 'Unknown',
-            everSold: analysis.hasSold ? '❌ YES' : '✅ NO',
-            reason: analysis.reason,
-            verdict: analysis.isEligible ? '✅ YES' : '❌ NO'
-        });
+    // Shutdown handler: stops picking up new wallets and saves the CSV rows
+    // and journal of everything finished so far. The process exits without
+    // reaching analyze()'s cleanup, so the spooled records are removed here.
+    async interrupt() {
+        this.stopping = true;
+        this.queue.stop();
+        this.spinner.stop();
+
+        await this.output?.flush();
+        await this.output?.close();
+        if (this.journal) {
+            await this.journal.setStatus('interrupted');
+            Logger.info(`Saved ${this.journal.completed} finished wallets. Resume with: koko-analyzer analyze --resume ${this.journal.runId}`);
+        }
     }
 
-    async updateAirdropShares(totalEligibleKoko) {
-        const batchSize = 1000;
-        const records = Array.from(this.csvWriter.records.values());
+    getOutputName(snapshot) {
+        const prefix = this.campaign.slug;
+        if (!snapshot) {
+            return `${prefix}_${new Date().toISOString().split('T')[0]}`;
+        }
+        return snapshot.slot !== null
+            ? `${prefix}_snapshot_slot_${snapshot.slot}`
+            : `${prefix}_snapshot_${snapshot.time.toISOString().replace(/[:.]/g, '-')}`;
+    }
 
-        for (let i = 0; i < records.length; i += batchSize) {
-            const batch = records.slice(i, i + batchSize);
+    // Mint program and decimals of every campaign token, and the primary
+    // token's balance bounds in base units for clusters and formatting
+    async loadTokenInfo() {
+        this.tokenInfo = new Map();
+        for (const token of this.campaign.tokens) {
+            const { tokenProgram, decimals } = await this.services.get(token.id).getMintInfo();
+            this.tokenInfo.set(token.id, { ...token, tokenProgram, decimals });
+        }
 
-            batch.forEach(record => {
-                if (record.status === '💎 ELIGIBLE') {
-                    const amount = parseFloat(record.currentAmount.replace(/,/g, ''));
-                    record.airdropShare = ((amount / totalEligibleKoko) * 100).toFixed(4);
-                }
-            });
+        const primary = this.campaign.primaryToken;
+        const { decimals } = this.tokenInfo.get(primary.id);
+        const maxTokens = this.campaign.maximumFor(primary.id);
+        this.thresholds = {
+            minTokens: parseTokenAmount(this.campaign.minimumFor(primary.id), decimals),
+            maxTokens: maxTokens === null ? null : parseTokenAmount(maxTokens, decimals),
+            decimals
+        };
+    }
 
-            await new Promise(resolve => setTimeout(resolve, 100)); // Small delay between batches
+    // Holders of every campaign token above the lowest minimum any criterion
+    // sets for it, merged per wallet
+    async fetchHolders() {
+        const lists = new Map();
+        for (const token of this.campaign.tokens) {
+            const minTokens = this.campaign.minimumFor(token.id);
+            this.spinner.start(`Fetching ${token.symbol} holders...`);
+            lists.set(token.id, await this.services.get(token.id).getAllHolders(minTokens));
+            this.spinner.succeed(`Found ${lists.get(token.id).length} holders with >${minTokens.toLocaleString()} ${token.symbol}`);
         }
 
-        await this.csvWriter.flush();
+        const holders = this.mergeHolders(lists);
+        if (this.campaign.tokens.length > 1) {
+            Logger.info(`${holders.length} wallets hold at least one campaign token`);
+        }
+        return holders;
+    }
+
+    // holders: { owner, amount, accounts } of the primary token, and
+    // balances: { tokenId: amount } of every token. A balance is null when
+    // the wallet is below that token's holder-list minimum, so no criterion
+    // on it can pass.
+    mergeHolders(lists) {
+        const primaryId = this.campaign.primaryToken.id;
+        const holders = new Map();
+
+        for (const [tokenId, list] of lists) {
+            for (const holder of list) {
+                if (!holders.has(holder.owner)) {
+                    holders.set(holder.owner, {
+                        owner: holder.owner,
+                        amount: 0n,
+                        accounts: [],
+                        balances: Object.fromEntries(this.campaign.tokens.map(token => [token.id, null]))
+                    });
+                }
+                const merged = holders.get(holder.owner);
+                merged.balances[tokenId] = holder.amount;
+                if (tokenId === primaryId) {
+                    merged.amount = holder.amount;
+                    merged.accounts = holder.accounts;
+                }
+            }
+        }
+
+        return [...holders.values()];
     }
 
+    // Analyzes the wallet's history of every token it holds enough of and
+    // checks the campaign's criteria. Returns the primary token's facts with
+    // the verdict, or null when the wallet was already analyzed in this run.
     async analyzeHolder(holder) {
-        const transactions = await this.solanaService.getTransactionHistory(holder.owner);
-        const threeMonthsAgo = subMonths(new Date(), CONFIG.MONTHS_REQUIRED);
+        const facts = {};
+        let failed = false;
+
+        for (const token of this.campaign.tokens) {
+            const balance = this.balanceOf(holder, token.id);
+            let analysis = null;
+            if (balance !== null) {
+                analysis = await this.services.get(token.id).analyzeWallet(holder.owner, balance);
+                if (!analysis) return null;
+                failed ||= analysis.failed === true;
+            }
+            facts[token.id] = { balance, decimals: this.tokenInfo.get(token.id).decimals, analysis };
+        }
 
-        let firstAcquired = null;
-        let maxHeld = holder.amount;
-        let hasSold = false;
+        if (failed) {
+            return {
+                ...this.primaryFacts(holder, facts),
+                isEligible: false,
+                reason: 'Error during analysis',
+                criteria: {},
+                failedRules: [{ criterion: null, code: 'ANALYSIS_FAILED', explanation: 'Error during analysis' }],
+                failed: true
+            };
+        }
+        return { ...this.primaryFacts(holder, facts), ...this.campaign.evaluate(facts) };
+    }
 
-        for (const tx of transactions) {
-            const changes = this.analyzeTransaction(tx, holder.owner);
+    // Holders saved by runs before campaigns only have the primary amount
+    balanceOf(holder, tokenId) {
+        if (holder.balances) return holder.balances[tokenId];
+        return tokenId === this.campaign.primaryToken.id ? holder.amount : null;
+    }
 
-            if (changes.acquired && (!firstAcquired || changes.date < firstAcquired)) {
-                firstAcquired = changes.date;
-            }
+    primaryFacts(holder, facts) {
+        return facts[this.campaign.primaryToken.id].analysis ?? this.solanaService.emptyAnalysis(holder.amount);
+    }
 
-            if (changes.sold) {
-                hasSold = true;
-                break;
+    describeSnapshot(snapshot) {
+        return snapshot.slot !== null
+            ? `slot ${snapshot.slot} (${snapshot.time.toISOString()})`
+            : snapshot.time.toISOString();
+    }
+
+    // Recorded with every output so a published list can be audited against
+    // the exact parameters it was produced with
+    async buildRunMetadata(snapshot) {
+        return {
+            schemaVersion: RESULT_SCHEMA_VERSION,
+            tool: await getToolInfo(),
+            runId: this.journal?.runId ?? null,
+            generatedAt: new Date().toISOString(),
+            campaign: this.campaign.toJSON(),
+            tokens: [...this.tokenInfo.values()].map(({ id, symbol, mint, tokenProgram, decimals }) => ({ id, symbol, mint, tokenProgram, decimals })),
+            airdropDecimals: CONFIG.AIRDROP_TOTAL === null ? null : CONFIG.AIRDROP_DECIMALS ?? this.thresholds.decimals,
+            snapshot: snapshot ? { slot: snapshot.slot, time: snapshot.time.toISOString() } : null,
+            settings: runSettings(CONFIG),
+            disqualifyingMovements: CONFIG.DISQUALIFYING_MOVEMENTS,
+            scoringWindowDays: this.solanaService.scoringWindowDays,
+            fields: resultFields(this.campaign)
+        };
+    }
+
+    // The metadata on its own, next to the results; rewritten with the
+    // summary once the run is complete
+    async writeRunMetadata(metadata) {
+        const filepath = join(CONFIG.OUTPUT_DIR, `${this.outputName}.meta.json`);
+        await writeFile(filepath, JSON.stringify(metadata, null, 2), 'utf8');
+    }
+
+    async report() {
+        const lists = new Map();
+        for (const token of this.campaign.tokens) {
+            const holders = await this.services.get(token.id).getCachedHolders(this.campaign.minimumFor(token.id));
+            if (!holders) {
+                Logger.warn(`No cached ${token.symbol} holder list found. Run "analyze" first.`);
+                return;
             }
+            lists.set(token.id, holders);
+        }
+
+        await this.loadTokenInfo();
+        const holders = this.mergeHolders(lists);
+        let eligibleHolders = [];
 
-            if (changes.amount > maxHeld) {
-                maxHeld = changes.amount;
+        for (const holder of holders) {
+            const analysis = await this.getCachedResult(holder);
+            if (!analysis) continue;
+
+            this.stats.processed++;
+            if (analysis.isEligible) {
+                eligibleHolders.push(this.eligibleEntry(holder, analysis));
+                this.stats.eligible++;
             }
         }
 
-        const holdingDays = firstAcquired ?
-            Math.floor((Date.now() - firstAcquired.getTime()) / (1000 * 60 * 60 * 24)) :
-            0;
+        Logger.info(`Cached analyses found for ${this.stats.processed}/${holders.length} holders`);
+        const clusters = CONFIG.CLUSTER_DETECTION
+            ? await this.cacheManager.get('clusters', this.solanaService.snapshotCacheKey('all'), { stamp: this.clusterStamp() })
+            : null;
+        if (clusters) {
+            eligibleHolders = this.applyClusters(clusters, eligibleHolders);
+        }
+        const totalEligible = eligibleHolders.reduce((total, holder) => total + holder.amount, 0n);
+        await this.computeShares(eligibleHolders);
+        await this.displayResults(eligibleHolders, this.summarize(eligibleHolders, totalEligible));
+    }
+
+    // Links holders that look like one person's wallets and writes the
+    // cluster report. Exchanges, pools and airdrop senders fund or pay many
+    // unrelated wallets, so they never link holders.
+    async detectClusters(holders, exclusions) {
+        this.spinner.start('Detecting wallet clusters...');
+
+        const clusterAnalyzer = new ClusterAnalyzer(this.solanaService, {
+            slotWindow: CONFIG.CLUSTER_SLOT_WINDOW,
+            maxFanOut: CONFIG.CLUSTER_MAX_FAN_OUT,
+            minTokens: this.thresholds.minTokens,
+            ignoredAddresses: [
+                ...this.exclusionRegistry.exclusions.keys(),
+                ...[...exclusions].filter(([, exclusion]) => exclusion.excluded).map(([owner]) => owner),
+                ...CONFIG.AIRDROP_SOURCES
+            ]
+        });
+        const clusters = await clusterAnalyzer.analyze(holders);
+        const clusteredCount = clusters.reduce((total, cluster) => total + cluster.members.length, 0);
+        this.spinner.succeed(`${clusters.length} wallet clusters found (${clusteredCount} holders)`);
+
+        await this.cacheManager.set('clusters', this.solanaService.snapshotCacheKey('all'), clusters, { stamp: this.clusterStamp() });
+
+        const filepath = join(CONFIG.OUTPUT_DIR, `${this.outputName}.clusters.json`);
+        await writeFile(filepath, JSON.stringify({
+            generatedAt: new Date().toISOString(),
+            mint: this.solanaService.mint,
+            slotWindow: CONFIG.CLUSTER_SLOT_WINDOW,
+            maxFanOut: CONFIG.CLUSTER_MAX_FAN_OUT,
+            asSingleHolder: CONFIG.CLUSTER_AS_SINGLE_HOLDER,
+            clusters: clusters.map(cluster => ({
+                ...cluster,
+                totalBalance: formatTokenAmount(cluster.totalBalance, this.thresholds.decimals)
+            }))
+        }, null, 2), 'utf8');
+        Logger.info(`Cluster report written to ${filepath}`);
+
+        return clusters;
+    }
+
+    // analyzeHolder() from cached analyses only, or null when one is missing
+    async getCachedResult(holder) {
+        const facts = {};
+        for (const token of this.campaign.tokens) {
+            const balance = this.balanceOf(holder, token.id);
+            const analysis = balance === null
+                ? null
+                : await this.services.get(token.id).getCachedAnalysis(holder.owner, balance);
+            if (balance !== null && !analysis) return null;
+            facts[token.id] = { balance, decimals: this.tokenInfo.get(token.id).decimals, analysis };
+        }
+
+        return { ...this.primaryFacts(holder, facts), ...this.campaign.evaluate(facts) };
+    }
 
-        const isEligible =
-            holder.amount >= CONFIG.MIN_TOKENS &&
-            firstAcquired &&
-            !hasSold &&
-            holdingDays >= (CONFIG.MONTHS_REQUIRED * 30);
+    clusterStamp() {
+        return `${this.solanaService.rulesStamp}:${this.thresholds.minTokens}:${CONFIG.CLUSTER_SLOT_WINDOW}:${CONFIG.CLUSTER_MAX_FAN_OUT}`;
+    }
 
-        return {
-            isEligible,
-            firstAcquired,
-            maxHeld,
-            hasSold,
-            holdingDays,
-            reason: this.getStatusReason(holder, { firstAcquired, hasSold, holdingDays })
-        };
+    // Tags holders and result records with their cluster. When clusters
+    // count as single holders, clusters whose combined balance exceeds the
+    // primary token's maximum are made ineligible. Returns the holders that
+    // are still eligible.
+    applyClusters(clusters, eligibleHolders) {
+        this.clusters = clusters;
+        const clusterOf = new Map(clusters.flatMap(cluster => cluster.members.map(owner => [owner, cluster])));
+
+        for (const [owner, cluster] of clusterOf) {
+            this.output?.patchRecord(owner, { clusterId: cluster.id, sybilRisk: cluster.riskScore });
+        }
+        for (const holder of eligibleHolders) {
+            holder.clusterId = clusterOf.get(holder.owner)?.id ?? null;
+        }
+
+        if (!CONFIG.CLUSTER_AS_SINGLE_HOLDER || this.thresholds.maxTokens === null) return eligibleHolders;
+
+        return eligibleHolders.filter(holder => {
+            const cluster = clusterOf.get(holder.owner);
+            if (!cluster || cluster.totalBalance <= this.thresholds.maxTokens) return true;
+
+            const reason = `Cluster ${cluster.id} balance exceeds maximum limit (${this.formatAmount(cluster.totalBalance)} > ${this.formatAmount(this.thresholds.maxTokens)})`;
+            this.output?.patchRecord(holder.owner, {
+                status: 'ineligible',
+                eligible: false,
+                airdropShare: null,
+                reason,
+                failedRules: ['CLUSTER_MAX_BALANCE'],
+                failedRuleDetails: [{ criterion: null, code: 'CLUSTER_MAX_BALANCE', explanation: reason }]
+            });
+            this.stats.eligible--;
+            return false;
+        });
     }
 
-    analyzeTransaction(tx, walletAddress) {
-        const result = {
-            acquired: false,
-            sold: false,
-            date: new Date(tx.blockTime * 1000),
-            amount: 0
-        };
+    // What allocation, clusters and the summary need of an eligible wallet;
+    // the rest of its analysis is only in its result record
+    eligibleEntry(holder, analysis) {
+        const entry = { owner: holder.owner, amount: holder.amount, holdingDays: analysis.holdingDays };
+        if (CONFIG.ALLOCATION_METRIC !== 'currentBalance') {
+            entry[CONFIG.ALLOCATION_METRIC] = analysis[CONFIG.ALLOCATION_METRIC];
+        }
+        return entry;
+    }
 
-        const preBalance = tx.meta?.preTokenBalances?.find(b =>
-            b.owner === walletAddress &&
-            b.mint === CONFIG.KOKO_TOKEN
-        );
+    // The verdicts for the run's results file, which "diff" and "serve" read,
+    // from the final result records
+    async *runResults() {
+        for await (const record of this.output.records()) {
+            yield {
+                owner: record.owner,
+                balance: record.balance ?? 0n,
+                isEligible: record.eligible,
+                reason: record.reason,
+                failedRules: record.failedRuleDetails,
+                clusterId: record.clusterId,
+                airdropShare: record.airdropShare,
+                airdropAmount: record.airdropAmount
+            };
+        }
+    }
 
-        const postBalance = tx.meta?.postTokenBalances?.find(b =>
-            b.owner === walletAddress &&
-            b.mint === CONFIG.KOKO_TOKEN
-        );
+    // The wallet's record in the result schema (see resultFields), plus
+    // failedRuleDetails with the explanation of every failed rule for the
+    // run's results, which no writer outputs
+    async updateResultRecord(holder, analysis, exclusion) {
+        const excluded = this.campaign.isExcluded(exclusion);
+        return this.output.updateRecord(holder.owner, {
+            owner: holder.owner,
+            status: analysis.failed ? 'error' : excluded ? 'excluded' : analysis.isEligible ? 'eligible' : 'ineligible',
+            eligible: analysis.isEligible,
+            reason: analysis.reason,
+            failedRules: formatFailedRules(analysis.failedRules),
+            failedRuleDetails: analysis.failedRules ?? [],
+            ...Object.fromEntries(this.campaign.tokens.map((token, index) => [
+                index === 0 ? 'balance' : `balance_${token.id}`,
+                this.balanceOf(holder, token.id)
+            ])),
+            tokenAccounts: holder.accounts?.map(acc => acc.address) ?? [],
+            maxHeld: analysis.maxHeld,
+            twab: analysis.twab ?? 0n,
+            minBalance: analysis.minBalance ?? 0n,
+            balanceDays: analysis.balanceDays ?? 0n,
+            holdingDays: analysis.holdingDays,
+            firstAcquired: analysis.firstAcquired ?? null,
+            firstAcquiredSignature: analysis.firstAcquiredSignature ?? null,
+            everSold: analysis.hasSold,
+            disqualifyingSignature: analysis.disqualifyingSignature ?? null,
+            fullHistory: analysis.fullHistory ?? null,
+            exclusion: excluded ? exclusion.label : null,
+            exclusionCategory: excluded ? exclusion.category : null,
+            overrideNote: exclusion?.overrideNote ?? null,
+            clusterId: null,
+            sybilRisk: null,
+            airdropShare: analysis.isEligible ? 0 : null,
+            airdropAmount: null,
+            ...Object.fromEntries(this.campaign.criteria.map(criterion => [
+                `criterion_${criterion.id}`,
+                analysis.criteria?.[criterion.id]?.passed ?? null
+            ])),
+            ...Object.fromEntries(Object.values(MOVEMENT_TYPES).map(type => [
+                `movements_${type}`,
+                analysis.movements?.[type] ?? 0
+            ]))
+        });
+    }
 
-        if (preBalance && postBalance) {
-            const pre = Number(preBalance.uiTokenAmount.amount);
-            const post = Number(postBalance.uiTokenAmount.amount);
+    // At most `candidates` wallets can be eligible, so a cap that they cannot
+    // reach the full amount with fails now rather than after the history scan
+    checkCap(candidates) {
+        if (CONFIG.ALLOCATION_STRATEGY !== 'capped' || candidates === 0) return;
 
-            result.acquired = post > pre;
-            result.sold = post < pre;
-            result.amount = post;
+        const minimum = minimumCapPercent(candidates);
+        if (Math.round(CONFIG.ALLOCATION_CAP_PERCENT * 100) / 100 < minimum) {
+            throw new Error(
+                `Cap of ${CONFIG.ALLOCATION_CAP_PERCENT}% is too low: at most ${candidates} holders can be eligible, ` +
+                `so the cap must be at least ${minimum}% (--cap-percent)`
+            );
         }
+    }
 
-        return result;
+    // Base units as a grouped decimal string, e.g. "1,234.5"
+    formatAmount(baseUnits) {
+        return formatTokenAmount(baseUnits, this.thresholds.decimals, { grouping: true });
     }
 
-    getStatusReason(holder, analysis) {
-        if (holder.amount < CONFIG.MIN_TOKENS) {
-            return `Insufficient balance (${holder.amount.toLocaleString()} < ${CONFIG.MIN_TOKENS.toLocaleString()})`;
+    // The value shares are based on, selected by CONFIG.ALLOCATION_METRIC
+    getAllocationWeight(holder) {
+        if (CONFIG.ALLOCATION_METRIC === 'currentBalance') return holder.amount;
+        return holder[CONFIG.ALLOCATION_METRIC] ?? 0n;
+    }
+
+    // Without AIRDROP_TOTAL only percentages are needed, computed against a
+    // notional total fine-grained enough that rounding is invisible
+    async computeShares(eligibleHolders) {
+        const hasTotal = CONFIG.AIRDROP_TOTAL !== null;
+        const decimals = hasTotal
+            ? CONFIG.AIRDROP_DECIMALS ?? await this.solanaService.getMintDecimals()
+            : 0;
+        const total = hasTotal ? parseTokenAmount(CONFIG.AIRDROP_TOTAL, decimals) : SHARE_RESOLUTION;
+
+        // A merged cluster is allocated as one holder, then split between its
+        // wallets in proportion to their basis
+        const groups = new Map();
+        for (const holder of eligibleHolders) {
+            const key = CONFIG.CLUSTER_AS_SINGLE_HOLDER && holder.clusterId ? holder.clusterId : holder.owner;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(holder);
         }
-        if (holder.amount > CONFIG.MAX_TOKENS) {
-            return `Balance exceeds maximum limit (${holder.amount.toLocaleString()} > ${CONFIG.MAX_TOKENS.toLocaleString()})`;
+
+        // checkCap only knew how many wallets could be eligible; with fewer
+        // eligible than the cap needs, nobody is capped rather than failing
+        // the run after the scan
+        let strategy = CONFIG.ALLOCATION_STRATEGY;
+        if (strategy === 'capped' && !capReachesTotal(groups.size, total, CONFIG.ALLOCATION_CAP_PERCENT)) {
+            Logger.warn(
+                `Cap of ${CONFIG.ALLOCATION_CAP_PERCENT}% is too low for the ${groups.size} eligible holders ` +
+                `(needs at least ${minimumCapPercent(groups.size)}%); allocating pro-rata without a cap`
+            );
+            strategy = 'pro-rata';
         }
-        if (analysis.hasSold) {
-            return 'Has sold KOKO in the past';
+
+        const groupAmounts = allocate(
+            [...groups].map(([key, members]) => ({
+                owner: key,
+                value: members.reduce((sum, holder) => sum + this.getAllocationWeight(holder), 0n)
+            })),
+            total,
+            {
+                strategy,
+                // Tier minimums are whole tokens, the basis is in base units
+                tiers: CONFIG.ALLOCATION_TIERS.map(tier => ({
+                    min: parseTokenAmount(tier.min, this.thresholds.decimals),
+                    weight: tier.weight
+                })),
+                capPercent: CONFIG.ALLOCATION_CAP_PERCENT
+            }
+        );
+
+        const amounts = new Map();
+        for (const [key, members] of groups) {
+            const split = apportion(
+                members.map(holder => ({ owner: holder.owner, weight: this.getAllocationWeight(holder) })),
+                groupAmounts.get(key) ?? 0n
+            );
+            for (const [owner, amount] of split) amounts.set(owner, amount);
         }
-        if (!analysis.firstAcquired) {
-            return 'No acquisition history found';
+
+        for (const holder of eligibleHolders) {
+            const amount = amounts.get(holder.owner) ?? 0n;
+            holder.airdropShare = total > 0n ? Number((amount * 100_000_000n) / total) / 1_000_000 : 0;
+            if (hasTotal) {
+                holder.airdropBaseUnits = amount;
+                holder.airdropDecimals = decimals;
+                holder.airdropAmount = formatTokenAmount(amount, decimals);
+            }
         }
-        if (analysis.holdingDays < (CONFIG.MONTHS_REQUIRED * 30)) {
-            return `Insufficient holding time (${analysis.holdingDays} days < ${CONFIG.MONTHS_REQUIRED * 30} days)`;
+    }
+
+    async updateAirdropShares(eligibleHolders) {
+        await this.computeShares(eligibleHolders);
+
+        for (const holder of eligibleHolders) {
+            this.output.patchRecord(holder.owner, {
+                airdropShare: holder.airdropShare,
+                airdropAmount: holder.airdropBaseUnits ?? null
+            });
         }
-        return 'Meets all eligibility criteria';
     }
 
-    async displayResults(eligibleHolders, totalEligibleKoko) {
+    // Claim amounts only exist when an airdrop total was given. A tree needs
+    // at least one claim, and zero amounts are not claims.
+    async exportMerkleDistribution(eligibleHolders) {
+        if (CONFIG.AIRDROP_TOTAL === null) {
+            Logger.info('Set --airdrop-total to export a Merkle distributor file');
+            return;
+        }
+
+        const claimants = eligibleHolders.filter(holder => holder.airdropBaseUnits > 0n);
+        if (claimants.length === 0) {
+            Logger.warn('No eligible wallet gets more than zero of the airdrop total; no Merkle distributor file written');
+            return;
+        }
+
+        const distribution = buildMerkleDistribution(
+            claimants.map(holder => ({ owner: holder.owner, amount: holder.airdropBaseUnits })),
+            { mint: this.solanaService.mint, decimals: claimants[0].airdropDecimals }
+        );
+
+        const filepath = join(CONFIG.OUTPUT_DIR, `${this.outputName}.merkle.json`);
+        await writeMerkleDistribution(filepath, distribution);
+        Logger.success(`Merkle distributor written to ${filepath} (root ${distribution.merkleRoot})`);
+    }
+
+    // The run's summary statistics, amounts in base units as in the results
+    summarize(eligibleHolders, totalEligible) {
+        return {
+            processed: this.stats.processed,
+            eligible: eligibleHolders.length,
+            excluded: this.stats.excluded,
+            errors: this.stats.errors,
+            totalEligible: totalEligible.toString(),
+            averageEligible: eligibleHolders.length > 0
+                ? (totalEligible / BigInt(eligibleHolders.length)).toString()
+                : null,
+            clusters: this.clusters ? this.clusters.length : null,
+            clusteredWallets: this.clusters ? this.clusters.reduce((total, cluster) => total + cluster.members.length, 0) : null,
+            allocation: {
+                strategy: CONFIG.ALLOCATION_STRATEGY,
+                metric: CONFIG.ALLOCATION_METRIC,
+                total: CONFIG.AIRDROP_TOTAL
+            },
+            durationMs: Date.now() - this.stats.startTime
+        };
+    }
+
+    async displayResults(eligibleHolders, summary) {
+        const symbol = this.campaign.primaryToken.symbol;
         // Create summary table
         const summaryTable = new Table({
             style: { head: ['cyan'], border: ['dim'] },
@@ -236,11 +733,17 @@ export class DiamondHandsAnalyzer {
         });
 
         summaryTable.push(
-            ['💎 Eligible Diamond Hands', chalk.green(eligibleHolders.length.toString())],
-            ['🪙 Total Eligible KOKO', chalk.yellow(totalEligibleKoko.toLocaleString())],
-            ['📈 Average Eligible Holding', chalk.magenta((totalEligibleKoko / eligibleHolders.length).toLocaleString())],
-            ['⏱️ Analysis Duration', chalk.cyan(formatDistance(Date.now(), this.stats.startTime))],
-            ['⚠️ Errors Encountered', chalk.red(this.stats.errors.toString())]
+            ['💎 Eligible Diamond Hands', chalk.green(summary.eligible.toString())],
+            [`🪙 Total Eligible ${symbol}`, chalk.yellow(this.formatAmount(BigInt(summary.totalEligible)))],
+            ['📈 Average Eligible Holding', chalk.magenta(summary.averageEligible !== null
+                ? this.formatAmount(BigInt(summary.averageEligible))
+                : '-')],
+            ['🚫 Excluded Holders', chalk.red(summary.excluded.toString())],
+            ...(summary.clusters !== null ? [['🕸️ Wallet Clusters', chalk.red(`${summary.clusters} (${summary.clusteredWallets} wallets)`)]] : []),
+            ['🧮 Allocation', chalk.cyan(`${summary.allocation.strategy} on ${summary.allocation.metric}`)],
+            ...(summary.allocation.total !== null ? [['🎁 Airdrop Total', chalk.yellow(summary.allocation.total)]] : []),
+            ['⏱️ Analysis Duration', chalk.cyan(formatDistance(0, summary.durationMs))],
+            ['⚠️ Errors Encountered', chalk.red(summary.errors.toString())]
         );
 
         console.log(chalk.cyan('\n📊 Analysis Summary\n'));
@@ -249,18 +752,18 @@ export class DiamondHandsAnalyzer {
         // Create top holders table
         const holdersTable = new Table({
             style: { head: ['cyan'], border: ['dim'] },
-            head: ['Rank', 'Address', 'KOKO Amount', 'Airdrop Share', 'Days Holding']
+            head: ['Rank', 'Address', `${symbol} Amount`, 'Airdrop Share', 'Days Holding']
         });
 
         eligibleHolders
-            .sort((a, b) => b.amount - a.amount)
+            .sort((a, b) => compareAmountsDesc(a.amount, b.amount))
             .slice(0, 10)
             .forEach((holder, index) => {
                 holdersTable.push([
                     chalk.yellow(`#${index + 1}`),
                     chalk.blue(holder.owner),
-                    chalk.green(holder.amount.toLocaleString()),
-                    chalk.magenta(((holder.amount / totalEligibleKoko) * 100).toFixed(4) + '%'),
+                    chalk.green(this.formatAmount(holder.amount)),
+                    chalk.magenta((holder.airdropShare ?? 0).toFixed(4) + '%'),
                     chalk.cyan(holder.holdingDays)
                 ]);
             });
@@ -268,7 +771,44 @@ export class DiamondHandsAnalyzer {
         console.log(chalk.cyan('\n🏆 Top 10 Diamond Hands\n'));
         console.log(holdersTable.toString());
 
-        Logger.success('\nFull results exported to CSV on Desktop');
+        if (this.clusters?.length > 0) {
+            const clustersTable = new Table({
+                style: { head: ['cyan'], border: ['dim'] },
+                head: ['Cluster', 'Wallets', `Combined ${symbol}`, 'Risk', 'Linked By']
+            });
+
+            [...this.clusters]
+                .sort((a, b) => b.members.length - a.members.length || b.riskScore - a.riskScore)
+                .slice(0, 10)
+                .forEach(cluster => {
+                    const linkedBy = [
+                        cluster.links.sharedFunders.length > 0 && 'shared funder',
+                        cluster.links.sameSenders.length > 0 && 'same sender',
+                        cluster.links.directTransfers > 0 && 'transfers'
+                    ].filter(Boolean).join(', ');
+
+                    clustersTable.push([
+                        chalk.yellow(cluster.id),
+                        chalk.cyan(cluster.members.length),
+                        chalk.green(this.formatAmount(cluster.totalBalance)),
+                        chalk.red(cluster.riskScore),
+                        linkedBy
+                    ]);
+                });
+
+            console.log(chalk.cyan('\n🕸️ Largest Wallet Clusters\n'));
+            console.log(clustersTable.toString());
+        }
+
         console.log('\n' + chalk.dim('━'.repeat(process.stdout.columns)));
     }
-}
\ No newline at end of file
+}
+// e.g. ["a90:MIN_HOLDING_DAYS", "lp:MAX_SELL_PERCENT"]; wallet-level rules have no criterion
+function formatFailedRules(failedRules = []) {
+    return failedRules.map(({ criterion, code }) => criterion ? `${criterion}:${code}` : code);
+}
+
+// Largest primary balance first, then by address
+function compareRecords(a, b) {
+    return compareAmountsDesc(a.balance ?? -1n, b.balance ?? -1n) || a.owner.localeCompare(b.owner);
+}
@@ -0,0 +1,102 @@
+const CHANGE_ORDER = { added: 0, removed: 1, changed: 2 };
+
+// Compares the results files of two runs (see RunJournal.saveResults).
+// Every wallet that became eligible (added), stopped being eligible
+// (removed), or whose reason, balance or share moved (changed) is listed
+// with its before and after state; wallets missing from a run count as
+// ineligible there. Balance deltas are base units of the later run's token.
+export function diffRuns(before, after) {
+    const previous = new Map(before.results.map(result => [result.owner, result]));
+    const current = new Map(after.results.map(result => [result.owner, result]));
+    const changes = [];
+
+    for (const owner of new Set([...previous.keys(), ...current.keys()])) {
+        const old = previous.get(owner) ?? null;
+        const now = current.get(owner) ?? null;
+        const wasEligible = old?.isEligible ?? false;
+        const isEligible = now?.isEligible ?? false;
+
+        const balanceDelta = (now?.balance ?? 0n) - (old?.balance ?? 0n);
+        const shareDelta = roundShare((now?.airdropShare ?? 0) - (old?.airdropShare ?? 0));
+        const reasonChanged = (old?.reason ?? null) !== (now?.reason ?? null);
+
+        let change = null;
+        if (!wasEligible && isEligible) change = 'added';
+        else if (wasEligible && !isEligible) change = 'removed';
+        else if (reasonChanged || balanceDelta !== 0n || shareDelta !== 0) change = 'changed';
+        if (!change) continue;
+
+        changes.push({
+            owner,
+            change,
+            before: describe(old),
+            after: describe(now),
+            reasonChanged,
+            balanceDelta,
+            shareDelta
+        });
+    }
+
+    changes.sort((a, b) =>
+        CHANGE_ORDER[a.change] - CHANGE_ORDER[b.change] ||
+        Math.abs(b.shareDelta) - Math.abs(a.shareDelta) ||
+        compareMagnitude(a.balanceDelta, b.balanceDelta)
+    );
+
+    return { summary: summarize(before, after, changes), changes };
+}
+
+function summarize(before, after, changes) {
+    const eligibleBefore = before.results.filter(result => result.isEligible).length;
+    const eligibleAfter = after.results.filter(result => result.isEligible).length;
+    const count = change => changes.filter(entry => entry.change === change).length;
+    const added = count('added');
+    const removed = count('removed');
+
+    // Why wallets dropped out, by the rule codes they failed in the later run
+    const removedBy = {};
+    for (const entry of changes.filter(entry => entry.change === 'removed')) {
+        const codes = entry.after ? new Set(entry.after.failedRules.map(rule => rule.code)) : new Set(['NOT_IN_HOLDER_LIST']);
+        for (const code of codes) removedBy[code] = (removedBy[code] ?? 0) + 1;
+    }
+
+    return {
+        holdersBefore: before.results.length,
+        holdersAfter: after.results.length,
+        eligibleBefore,
+        eligibleAfter,
+        added,
+        removed,
+        retained: eligibleBefore - removed,
+        reasonsChanged: changes.filter(entry => entry.reasonChanged && entry.before && entry.after).length,
+        // Wallets that joined or left, relative to the earlier eligible set
+        churnPercent: eligibleBefore > 0 ? roundShare(((added + removed) / eligibleBefore) * 100) : null,
+        // Share of the airdrop that went to different wallets
+        shareMovedPercent: roundShare(changes.reduce((total, entry) => total + Math.abs(entry.shareDelta), 0) / 2),
+        removedBy
+    };
+}
+
+function describe(result) {
+    if (!result) return null;
+    return {
+        isEligible: result.isEligible,
+        reason: result.reason,
+        failedRules: result.failedRules ?? [],
+        balance: result.balance,
+        airdropShare: result.airdropShare,
+        airdropAmount: result.airdropAmount ?? null
+    };
+}
+
+// Shares are percentages with six decimals, as written by computeShares
+function roundShare(value) {
+    return Math.round(value * 1_000_000) / 1_000_000;
+}
+
+// Largest absolute bigint first
+function compareMagnitude(a, b) {
+    const absA = a < 0n ? -a : a;
+    const absB = b < 0n ? -b : b;
+    return absA === absB ? 0 : absA > absB ? -1 : 1;
+}
@@ -0,0 +1,142 @@
+import { getMintDeltasByOwner, getOwnerBalanceChange, getOwnerDeltasByMint } from '../utils/token-balances.js';
+import { signOf } from '../utils/token-amount.js';
+
+export const MOVEMENT_TYPES = {
+    SWAP_SELL: 'swap-sell',
+    SWAP_BUY: 'swap-buy',
+    TRANSFER_OUT: 'transfer-out',
+    TRANSFER_IN: 'transfer-in',
+    LP_ADD: 'lp-add',
+    LP_REMOVE: 'lp-remove',
+    STAKE: 'stake',
+    UNSTAKE: 'unstake',
+    BURN: 'burn',
+    AIRDROP: 'airdrop'
+};
+
+export const MOVEMENT_LABELS = {
+    'swap-sell': 'Swap Sells',
+    'swap-buy': 'Swap Buys',
+    'transfer-out': 'Transfers Out',
+    'transfer-in': 'Transfers In',
+    'lp-add': 'LP Deposits',
+    'lp-remove': 'LP Withdrawals',
+    'stake': 'Stakes',
+    'unstake': 'Unstakes',
+    'burn': 'Burns',
+    'airdrop': 'Airdrops Received'
+};
+
+export function emptyMovementCounts() {
+    return Object.fromEntries(Object.values(MOVEMENT_TYPES).map(type => [type, 0]));
+}
+
+// SOL changes below this are treated as fees/rent rather than swap proceeds
+const SOL_DUST_LAMPORTS = 10_000_000;
+
+// A transaction paying this many wallets at once is treated as a distribution
+const MULTI_SEND_RECIPIENTS = 5;
+
+export class TransactionClassifier {
+    constructor({ mint, knownPrograms = {}, airdropSources = [] }) {
+        this.mint = mint;
+        this.swapPrograms = new Set(Object.keys(knownPrograms.swap || {}));
+        this.ammPrograms = new Set(Object.keys(knownPrograms.amm || {}));
+        this.stakingPrograms = new Set(Object.keys(knownPrograms.staking || {}));
+        this.airdropSources = new Set(airdropSources);
+    }
+
+    // Labels the owner's movement of the mint in a parsed transaction.
+    // Returns null when the owner's balance did not change.
+    classify(tx, owner) {
+        const { delta } = getOwnerBalanceChange(tx, owner, this.mint);
+        if (delta === 0n) return null;
+
+        const instructions = this.getInstructions(tx);
+        const programIds = new Set(instructions.map(ix => String(ix.programId)));
+        const counterparties = this.getCounterparties(tx, owner, delta);
+        const movement = { type: null, delta, counterparties, programIds: [...programIds] };
+
+        if (delta < 0n && this.hasTokenInstruction(instructions, ['burn', 'burnChecked'])) {
+            movement.type = MOVEMENT_TYPES.BURN;
+        } else if (this.matchesAny(programIds, this.stakingPrograms)) {
+            movement.type = delta < 0n ? MOVEMENT_TYPES.STAKE : MOVEMENT_TYPES.UNSTAKE;
+        } else if (this.matchesAny(programIds, this.swapPrograms) || this.matchesAny(programIds, this.ammPrograms)) {
+            movement.type = this.classifyDexMovement(tx, owner, delta, programIds);
+        } else if (delta < 0n) {
+            movement.type = MOVEMENT_TYPES.TRANSFER_OUT;
+        } else {
+            movement.type = this.isAirdrop(tx, instructions, counterparties)
+                ? MOVEMENT_TYPES.AIRDROP
+                : MOVEMENT_TYPES.TRANSFER_IN;
+        }
+
+        return movement;
+    }
+
+    // Swaps trade the token against something else; liquidity changes move
+    // the token and a second asset (SOL or another mint) in the same direction.
+    classifyDexMovement(tx, owner, delta, programIds) {
+        const isLiquidity = !this.matchesAny(programIds, this.swapPrograms) &&
+            this.hasOtherAssetMovement(tx, owner, signOf(delta));
+
+        if (delta < 0n) {
+            return isLiquidity ? MOVEMENT_TYPES.LP_ADD : MOVEMENT_TYPES.SWAP_SELL;
+        }
+        return isLiquidity ? MOVEMENT_TYPES.LP_REMOVE : MOVEMENT_TYPES.SWAP_BUY;
+    }
+
+    hasOtherAssetMovement(tx, owner, direction) {
+        for (const [mint, delta] of getOwnerDeltasByMint(tx, owner)) {
+            if (mint !== this.mint && signOf(delta) === direction) return true;
+        }
+
+        const lamports = this.getLamportDelta(tx, owner);
+        return Math.abs(lamports) >= SOL_DUST_LAMPORTS && Math.sign(lamports) === direction;
+    }
+
+    isAirdrop(tx, instructions, counterparties) {
+        if (this.hasTokenInstruction(instructions, ['mintTo', 'mintToChecked'])) return true;
+        if (counterparties.some(address => this.airdropSources.has(address))) return true;
+
+        const recipients = [...getMintDeltasByOwner(tx, this.mint).values()].filter(d => d > 0n);
+        return recipients.length >= MULTI_SEND_RECIPIENTS;
+    }
+
+    getCounterparties(tx, owner, delta) {
+        return [...getMintDeltasByOwner(tx, this.mint)]
+            .filter(([address, other]) => address !== owner && signOf(other) === -signOf(delta))
+            .map(([address]) => address);
+    }
+
+    getLamportDelta(tx, owner) {
+        const accountKeys = tx.transaction?.message?.accountKeys || [];
+        const index = accountKeys.findIndex(key => String(key.pubkey ?? key) === owner);
+        if (index === -1 || !tx.meta?.preBalances || !tx.meta?.postBalances) return 0;
+
+        // The fee payer's SOL balance also drops by the transaction fee
+        const fee = index === 0 ? (tx.meta.fee || 0) : 0;
+        return tx.meta.postBalances[index] - tx.meta.preBalances[index] + fee;
+    }
+
+    getInstructions(tx) {
+        return [
+            ...(tx.transaction?.message?.instructions || []),
+            ...(tx.meta?.innerInstructions || []).flatMap(inner => inner.instructions)
+        ];
+    }
+
+    hasTokenInstruction(instructions, types) {
+        return instructions.some(ix =>
+            types.includes(ix.parsed?.type) &&
+            (!ix.parsed.info?.mint || ix.parsed.info.mint === this.mint)
+        );
+    }
+
+    matchesAny(programIds, known) {
+        for (const id of programIds) {
+            if (known.has(id)) return true;
+        }
+        return false;
+    }
+}
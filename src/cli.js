@@ -0,0 +1,184 @@
+import { Argument, Command, InvalidArgumentError } from 'commander';
+import { isPublicKey, loadConfig } from './config.js';
+import { analyzeCommand } from './commands/analyze.js';
+import { walletCommand } from './commands/wallet.js';
+import { holdersCommand } from './commands/holders.js';
+import { cacheCommand } from './commands/cache.js';
+import { reportCommand } from './commands/report.js';
+import { verifyCommand } from './commands/verify.js';
+import { rpcCommand } from './commands/rpc.js';
+import { diffCommand } from './commands/diff.js';
+import { serveCommand } from './commands/serve.js';
+import { distributeCommand } from './commands/distribute.js';
+
+// Global flags and the CONFIG key each one overrides
+const CONFIG_FLAGS = {
+    rpc: 'RPC_ENDPOINT',
+    rpcEndpoints: 'RPC_ENDPOINTS',
+    recordRpc: 'RPC_RECORD_DIR',
+    replayRpc: 'RPC_REPLAY_DIR',
+    mint: 'KOKO_TOKEN',
+    symbol: 'TOKEN_SYMBOL',
+    campaign: 'CAMPAIGN_FILE',
+    minTokens: 'MIN_TOKENS',
+    maxTokens: 'MAX_TOKENS',
+    months: 'MONTHS_REQUIRED',
+    outputDir: 'OUTPUT_DIR',
+    format: 'OUTPUT_FORMATS',
+    cacheDir: 'CACHE_DIR',
+    concurrency: 'CONCURRENT_LIMIT',
+    batchSize: 'BATCH_SIZE',
+    disqualify: 'DISQUALIFYING_MOVEMENTS',
+    fullHistory: 'FULL_HISTORY',
+    snapshotSlot: 'SNAPSHOT_SLOT',
+    snapshotTime: 'SNAPSHOT_TIME',
+    allocationMetric: 'ALLOCATION_METRIC',
+    windowDays: 'SCORING_WINDOW_DAYS',
+    strategy: 'ALLOCATION_STRATEGY',
+    capPercent: 'ALLOCATION_CAP_PERCENT',
+    airdropTotal: 'AIRDROP_TOTAL',
+    airdropDecimals: 'AIRDROP_DECIMALS',
+    exclusions: 'EXCLUSIONS_FILE',
+    allowlist: 'ALLOWLIST_FILE',
+    clusters: 'CLUSTER_DETECTION',
+    mergeClusters: 'CLUSTER_AS_SINGLE_HOLDER'
+};
+
+function parsePositiveInt(value) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new InvalidArgumentError('Must be a positive integer.');
+    }
+    return number;
+}
+
+function parseAddress(value) {
+    if (!isPublicKey(value)) {
+        throw new InvalidArgumentError('Must be a base58 Solana address.');
+    }
+    return value;
+}
+
+export function createCli() {
+    const program = new Command();
+
+    program
+        .name('koko-analyzer')
+        .description('KOKO Token Diamond Hands Analyzer')
+        .option('-c, --config <file>', 'JSON file with config overrides')
+        .option('--rpc <url>', 'Solana RPC endpoint (env: KOKO_RPC_ENDPOINT)')
+        .option('--rpc-endpoints <urls>', 'comma-separated RPC pool, or a JSON array of { url, weight, requestsPerSecond } (env: KOKO_RPC_ENDPOINTS)')
+        .option('--record-rpc <dir>', 'save every RPC response to fixture files in this directory (env: KOKO_RPC_RECORD_DIR)')
+        .option('--replay-rpc <dir>', 'answer RPC calls from recorded fixtures, offline (env: KOKO_RPC_REPLAY_DIR)')
+        .option('--mint <address>', 'token mint to analyze (env: KOKO_MINT)')
+        .option('--symbol <symbol>', 'token name used in output columns and file names (env: KOKO_TOKEN_SYMBOL)')
+        .option('--campaign <file>', 'JSON campaign with several mints and AND/OR criteria, replacing --mint/--min-tokens/--max-tokens/--months (env: KOKO_CAMPAIGN_FILE)')
+        .option('--min-tokens <amount>', 'minimum balance for eligibility (env: KOKO_MIN_TOKENS)')
+        .option('--max-tokens <amount>', 'maximum balance for eligibility (env: KOKO_MAX_TOKENS)')
+        .option('--months <months>', 'minimum holding period in months (env: KOKO_MONTHS_REQUIRED)')
+        .option('-o, --output-dir <dir>', 'directory for result files (env: KOKO_OUTPUT_DIR)')
+        .option('--format <formats>', 'comma-separated result formats: csv, json, ndjson, sqlite, html (env: KOKO_OUTPUT_FORMATS)')
+        .option('--cache-dir <dir>', 'directory for the cache (env: KOKO_CACHE_DIR)')
+        .option('--concurrency <n>', 'concurrent RPC requests (env: KOKO_CONCURRENT_LIMIT)')
+        .option('--batch-size <n>', 'wallets analyzed at once (env: KOKO_BATCH_SIZE)')
+        .option('--disqualify <types>', 'comma-separated movement types that disqualify a holder (env: KOKO_DISQUALIFYING_MOVEMENTS)')
+        .option('--full-history', 'scan every wallet\'s whole history instead of stopping at its first disqualifying movement (env: KOKO_FULL_HISTORY)')
+        .option('--snapshot-slot <slot>', 'analyze balances as of this slot (env: KOKO_SNAPSHOT_SLOT)')
+        .option('--snapshot-time <iso>', 'analyze balances as of this time, e.g. 2024-06-01T00:00:00Z (env: KOKO_SNAPSHOT_TIME)')
+        .option('--allocation-metric <metric>', 'currentBalance, twab, minBalance or balanceDays (env: KOKO_ALLOCATION_METRIC)')
+        .option('--window-days <days>', 'scoring window for twab/minBalance/balanceDays (env: KOKO_SCORING_WINDOW_DAYS)')
+        .option('--strategy <name>', 'allocation strategy: pro-rata, sqrt, log, equal, tiered or capped (env: KOKO_ALLOCATION_STRATEGY)')
+        .option('--cap-percent <percent>', 'per-wallet cap for the capped strategy (env: KOKO_ALLOCATION_CAP_PERCENT)')
+        .option('--airdrop-total <amount>', 'total tokens to distribute (env: KOKO_AIRDROP_TOTAL)')
+        .option('--airdrop-decimals <n>', 'decimals of the airdropped token (env: KOKO_AIRDROP_DECIMALS)')
+        .option('--exclusions <file>', 'JSON/CSV list of excluded addresses with labels (env: KOKO_EXCLUSIONS_FILE)')
+        .option('--allowlist <file>', 'JSON/CSV list of addresses exempt from exclusion, with audit notes (env: KOKO_ALLOWLIST_FILE)')
+        .option('--no-clusters', 'skip sybil cluster detection (env: KOKO_CLUSTER_DETECTION=false)')
+        .option('--merge-clusters', 'treat each wallet cluster as a single holder for thresholds and allocation (env: KOKO_CLUSTER_AS_SINGLE_HOLDER)')
+        .hook('preAction', async (_program, actionCommand) => {
+            const options = actionCommand.optsWithGlobals();
+            // Negatable flags like --no-clusters have an implicit default that
+            // must not mask the config file or environment
+            const overrides = Object.fromEntries(
+                Object.entries(CONFIG_FLAGS).map(([flag, key]) => [
+                    key,
+                    actionCommand.getOptionValueSourceWithGlobals(flag) === 'default' ? undefined : options[flag]
+                ])
+            );
+            await loadConfig({ configFile: options.config, overrides });
+        });
+
+    program
+        .command('analyze', { isDefault: true })
+        .description('analyze all holders and export the CSV report')
+        .option('--resume <runId>', 'continue an interrupted run, skipping wallets it already finished')
+        .action(analyzeCommand);
+
+    program
+        .command('wallet')
+        .description('explain a single wallet\'s status: movement timeline and every rule\'s result')
+        .argument('<address>', 'wallet address', parseAddress)
+        .option('--json', 'print the result as JSON, e.g. to attach to a support ticket')
+        .action(walletCommand);
+
+    program
+        .command('holders')
+        .description('list current holders of the campaign\'s primary token above its minimum')
+        .option('-l, --limit <n>', 'number of holders to show', parsePositiveInt, 20)
+        .action(holdersCommand);
+
+    program
+        .command('cache')
+        .description('inspect or clear the local cache')
+        .addArgument(new Argument('<action>', 'cache action').choices(['clear', 'stats']))
+        .action(cacheCommand);
+
+    program
+        .command('report')
+        .description('summarize the last analysis from the cache without RPC calls')
+        .action(reportCommand);
+
+    program
+        .command('diff')
+        .description('compare the results of two completed runs: who qualified, who dropped out and why, and how shares moved')
+        .argument('<runA>', 'run ID of the earlier run')
+        .argument('<runB>', 'run ID of the later run')
+        .option('-l, --limit <n>', 'number of changed wallets to show', parsePositiveInt, 50)
+        .action(diffCommand);
+
+    program
+        .command('serve')
+        .description('serve the latest completed run over HTTP: wallet verdicts, shares and proofs, the summary, eligible wallets and on-demand rechecks')
+        .option('-p, --port <n>', 'port to listen on', parsePositiveInt, 8080)
+        .option('--host <host>', 'interface to listen on', '127.0.0.1')
+        .option('--run <runId>', 'serve this run instead of the latest completed one')
+        .option('--rate-limit <n>', 'requests per minute per client; a recheck counts as 10', parsePositiveInt, 60)
+        .action(serveCommand);
+
+    program
+        .command('rpc')
+        .description('check the health and latency of the configured RPC endpoints')
+        .action(rpcCommand);
+
+    program
+        .command('verify')
+        .description('check a wallet\'s Merkle proof offline')
+        .argument('<file>', 'Merkle distributor JSON written by "analyze"')
+        .argument('<address>', 'wallet address', parseAddress)
+        .option('--root <hex>', 'verify against this root instead of the one in the file')
+        .action(verifyCommand);
+
+    program
+        .command('distribute')
+        .description('pay a Merkle distribution out as batched SPL transfers to each wallet\'s associated token account')
+        .argument('<file>', 'Merkle distributor JSON written by "analyze"')
+        .option('--keypair <file>', 'sender keypair file (solana-keygen JSON); the sender pays the tokens, fees and rent')
+        .option('--sender <address>', 'plan for this sender without its keypair (with --dry-run)', parseAddress)
+        .option('--token <mint>', 'mint of the token to send, if not the one in the file', parseAddress)
+        .option('--create-accounts', 'create missing associated token accounts instead of skipping their wallets')
+        .option('--ledger <file>', 'ledger of sent batches (default: <file>.ledger.ndjson next to the file)')
+        .option('--dry-run', 'print the plan, fees and rent without signing or sending')
+        .action(distributeCommand);
+
+    return program;
+}
@@ -0,0 +1,28 @@
+import { join } from 'path';
+import { CONFIG } from '../config.js';
+import { RunJournal } from '../services/run-journal.js';
+import { Campaign, loadCampaign } from '../eligibility/campaign.js';
+import { createContext } from './context.js';
+import { printRpcMetrics } from './rpc.js';
+
+export async function analyzeCommand(options = {}) {
+    const runsDir = join(CONFIG.CACHE_DIR, 'runs');
+    let journal;
+    let campaign;
+
+    // A resumed run keeps the campaign it started with, even if the file changed
+    if (options.resume) {
+        journal = await RunJournal.open(runsDir, options.resume);
+        journal.restoreSettings(CONFIG);
+        campaign = journal.campaign ? Campaign.parse(journal.campaign) : await loadCampaign(CONFIG);
+    } else {
+        campaign = await loadCampaign(CONFIG);
+        journal = await RunJournal.create(runsDir, CONFIG, campaign);
+    }
+
+    const { analyzer, cacheManager, solanaService } = await createContext({ campaign });
+
+    await analyzer.analyze({ journal });
+    await cacheManager.flush();
+    printRpcMetrics(solanaService.rpc);
+}
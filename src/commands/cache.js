@@ -0,0 +1,29 @@
+import Table from 'cli-table3';
+import { CacheManager } from '../utils/cache-manager.js';
+import { CONFIG } from '../config.js';
+import { Logger } from '../utils/logger.js';
+
+export async function cacheCommand(action) {
+    const cacheManager = new CacheManager(CONFIG.CACHE_DIR);
+
+    if (action === 'clear') {
+        await cacheManager.clear();
+        Logger.success(`Cache cleared (${cacheManager.storeDir})`);
+        return;
+    }
+
+    const stats = await cacheManager.stats();
+    const table = new Table({
+        style: { head: ['cyan'], border: ['dim'] },
+        head: ['Metric', 'Value']
+    });
+
+    table.push(
+        ['Cache Store', stats.dir],
+        ['Size on Disk', `${(stats.fileSize / 1024 / 1024).toFixed(2)} MB`],
+        ['Total Entries', stats.total.toLocaleString()],
+        ...Object.entries(stats.entries).map(([namespace, count]) => [`  ${namespace}`, count.toLocaleString()])
+    );
+
+    console.log(table.toString());
+}
@@ -0,0 +1,36 @@
+import { mkdir } from 'fs/promises';
+import { CONFIG } from '../config.js';
+import { SolanaService } from '../services/solana-service.js';
+import { DiamondHandsAnalyzer } from '../analyzers/diamond-hands-analyzer.js';
+import { CacheManager } from '../utils/cache-manager.js';
+import { ExclusionRegistry } from '../services/exclusion-registry.js';
+import { loadCampaign } from '../eligibility/campaign.js';
+import { onShutdown } from '../utils/shutdown.js';
+
+// A resumed run passes the campaign it was started with; `rpc` replaces the
+// pool built from CONFIG, e.g. with a synthetic scenario
+export async function createContext({ campaign, rpc } = {}) {
+    campaign ??= await loadCampaign(CONFIG);
+
+    // Ensure output directories exist
+    await mkdir(CONFIG.OUTPUT_DIR, { recursive: true });
+    await mkdir(CONFIG.CACHE_DIR, { recursive: true });
+
+    // Initialize services
+    const cacheManager = new CacheManager(CONFIG.CACHE_DIR);
+    onShutdown(() => cacheManager.flush());
+    const solanaService = new SolanaService(cacheManager, { mint: campaign.primaryToken.mint, rpc });
+
+    const exclusionRegistry = await ExclusionRegistry.load({
+        exclusionsFile: CONFIG.EXCLUSIONS_FILE,
+        allowlistFile: CONFIG.ALLOWLIST_FILE,
+        knownPrograms: CONFIG.KNOWN_PROGRAMS,
+        excludeOffCurve: CONFIG.EXCLUDE_OFF_CURVE,
+        excludeProgramOwned: CONFIG.EXCLUDE_PROGRAM_OWNED
+    });
+
+    // Initialize analyzer with dependencies
+    const analyzer = new DiamondHandsAnalyzer(solanaService, cacheManager, exclusionRegistry, campaign);
+
+    return { cacheManager, solanaService, exclusionRegistry, analyzer, campaign };
+}
@@ -0,0 +1,104 @@
+import { mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import Table from 'cli-table3';
+import chalk from 'chalk';
+import { CONFIG } from '../config.js';
+import { RunJournal } from '../services/run-journal.js';
+import { diffRuns } from '../analyzers/run-diff.js';
+import { formatTokenAmount } from '../utils/token-amount.js';
+import { Logger } from '../utils/logger.js';
+
+const CHANGE_LABELS = {
+    added: chalk.green('➕ added'),
+    removed: chalk.red('➖ removed'),
+    changed: chalk.yellow('✏️ changed')
+};
+
+// Compares two completed runs from the cache, prints the churn and changed
+// wallets and writes the full diff as JSON to OUTPUT_DIR
+export async function diffCommand(runA, runB, options) {
+    const runsDir = join(CONFIG.CACHE_DIR, 'runs');
+    const before = await RunJournal.loadResults(runsDir, runA);
+    const after = await RunJournal.loadResults(runsDir, runB);
+
+    if (before.token.mint !== after.token.mint) {
+        Logger.warn(`Runs analyzed different mints (${before.token.mint} and ${after.token.mint}); balance deltas mix both`);
+    }
+
+    const { summary, changes } = diffRuns(before, after);
+    const { symbol, decimals } = after.token;
+    const format = amount => formatTokenAmount(amount, decimals);
+    const signed = (value, text) => value > 0 ? `+${text}` : text;
+
+    const filepath = join(CONFIG.OUTPUT_DIR, `diff_${runA}_${runB}.json`);
+    await mkdir(CONFIG.OUTPUT_DIR, { recursive: true });
+    await writeFile(filepath, JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        before: { runId: before.runId, completedAt: before.completedAt, campaign: before.campaign, token: before.token },
+        after: { runId: after.runId, completedAt: after.completedAt, campaign: after.campaign, token: after.token },
+        summary,
+        // Balances as exact decimal strings of the later run's token, airdrop
+        // amounts in base units of the airdropped token
+        changes: changes.map(entry => ({
+            ...entry,
+            before: entry.before && { ...entry.before, balance: format(entry.before.balance), airdropAmount: entry.before.airdropAmount?.toString() ?? null },
+            after: entry.after && { ...entry.after, balance: format(entry.after.balance), airdropAmount: entry.after.airdropAmount?.toString() ?? null },
+            balanceDelta: format(entry.balanceDelta)
+        }))
+    }, null, 2), 'utf8');
+
+    const summaryTable = new Table({
+        style: { head: ['cyan'], border: ['dim'] },
+        head: ['Metric', `${before.runId}`, `${after.runId}`]
+    });
+    summaryTable.push(
+        ['Holders', summary.holdersBefore, summary.holdersAfter],
+        ['Eligible', summary.eligibleBefore, summary.eligibleAfter]
+    );
+
+    const churnTable = new Table({
+        style: { head: ['cyan'], border: ['dim'] },
+        head: ['Churn', 'Value']
+    });
+    churnTable.push(
+        ['➕ Newly Eligible', chalk.green(summary.added)],
+        ['➖ No Longer Eligible', chalk.red(summary.removed)],
+        ['💎 Still Eligible', summary.retained],
+        ['✏️ Reason Changed', summary.reasonsChanged],
+        ['🔄 Churn', summary.churnPercent === null ? '-' : `${summary.churnPercent}%`],
+        ['🎁 Share Moved', `${summary.shareMovedPercent}%`],
+        ...Object.entries(summary.removedBy)
+            .sort(([, a], [, b]) => b - a)
+            .map(([code, count]) => [chalk.dim(`  removed by ${code}`), count])
+    );
+
+    console.log(chalk.cyan(`\n📊 Run ${before.runId} → ${after.runId}\n`));
+    console.log(summaryTable.toString());
+    console.log(churnTable.toString());
+
+    if (changes.length > 0) {
+        const changesTable = new Table({
+            style: { head: ['cyan'], border: ['dim'] },
+            head: ['Change', 'Address', 'Before', 'After', `${symbol} Δ`, 'Share Δ']
+        });
+        const state = result => !result
+            ? chalk.dim('not in holder list')
+            : result.isEligible ? chalk.green('eligible') : result.reason;
+
+        for (const entry of changes.slice(0, options.limit)) {
+            changesTable.push([
+                CHANGE_LABELS[entry.change],
+                chalk.blue(entry.owner),
+                state(entry.before),
+                state(entry.after),
+                signed(entry.balanceDelta, formatTokenAmount(entry.balanceDelta, decimals, { grouping: true })),
+                signed(entry.shareDelta, `${entry.shareDelta.toFixed(4)}%`)
+            ]);
+        }
+
+        console.log(chalk.cyan(`\n📝 Changed Wallets (${Math.min(options.limit, changes.length)} of ${changes.length})\n`));
+        console.log(changesTable.toString());
+    }
+
+    Logger.success(`Full diff written to ${filepath}`);
+}
@@ -0,0 +1,162 @@
+import { readFile } from 'fs/promises';
+import { Keypair } from '@solana/web3.js';
+import Table from 'cli-table3';
+import chalk from 'chalk';
+import ora from 'ora';
+import { CONFIG } from '../config.js';
+import { RpcPool } from '../services/rpc-pool.js';
+import { Distributor } from '../services/distributor.js';
+import { DistributionLedger } from '../services/distribution-ledger.js';
+import { formatTokenAmount } from '../utils/token-amount.js';
+import { Logger } from '../utils/logger.js';
+
+const SOL_DECIMALS = 9;
+const LISTED_SKIPPED = 20;
+
+// Pays out a Merkle distributor file written by "analyze" as direct SPL
+// transfers. Prints the plan first; unless --dry-run, then signs and sends
+// it, recording every batch in the ledger next to the file.
+export async function distributeCommand(file, options) {
+    const distribution = JSON.parse(await readFile(file, 'utf8'));
+    if (!distribution.claims || !distribution.merkleRoot) {
+        throw new Error(`${file} is not a Merkle distributor file written by "analyze"`);
+    }
+    const allocations = Object.entries(distribution.claims)
+        .map(([owner, claim]) => ({ owner, index: claim.index, amount: BigInt(claim.amount) }))
+        .sort((a, b) => a.index - b.index);
+
+    const mint = options.token ?? distribution.mint;
+    if (!mint) {
+        throw new Error(`${file} does not name its mint; pass --token`);
+    }
+    const keypair = options.keypair ? await loadKeypair(options.keypair) : null;
+    if (!keypair && !options.dryRun) {
+        throw new Error('Sending needs the sender\'s --keypair (or plan it with --dry-run)');
+    }
+    const sender = keypair?.publicKey.toBase58() ?? options.sender;
+    if (!sender) {
+        throw new Error('Pass --keypair, or --sender with --dry-run');
+    }
+
+    const distributor = new Distributor(RpcPool.fromConfig(CONFIG), {
+        mint,
+        sender,
+        createAccounts: options.createAccounts
+    });
+    const { decimals } = await distributor.loadMint();
+    // Claim amounts are base units of the airdropped token
+    if (distribution.decimals !== null && distribution.decimals !== undefined && distribution.decimals !== decimals) {
+        throw new Error(`${file} has amounts with ${distribution.decimals} decimals but ${mint} has ${decimals}; pass the airdropped token with --token`);
+    }
+
+    const ledgerFile = options.ledger ?? `${file.replace(/\.json$/, '')}.ledger.ndjson`;
+    const ledger = await DistributionLedger.open(ledgerFile, { merkleRoot: distribution.merkleRoot, mint }, { create: !options.dryRun });
+
+    const unresolved = ledger.unresolved().length;
+    if (unresolved > 0 && options.dryRun) {
+        Logger.warn(`${unresolved} batches of an interrupted run are unresolved; their recipients are planned as unpaid until a real run checks them`);
+    } else if (unresolved > 0) {
+        const spinner = ora(`Checking ${unresolved} batches of an interrupted run...`).start();
+        await distributor.resolve(ledger);
+        spinner.succeed(`Checked ${unresolved} batches of an interrupted run`);
+    }
+
+    const spinner = ora('Planning transfers...').start();
+    const plan = await distributor.plan(allocations, { paid: ledger.paid() });
+    spinner.stop();
+    const shortfalls = printPlan(plan, { file, ledgerFile });
+
+    if (options.dryRun) {
+        Logger.info('Dry run: nothing was signed or sent');
+        return;
+    }
+    if (shortfalls.length > 0) {
+        throw new Error(`The sender cannot cover the distribution: ${shortfalls.join('; ')}`);
+    }
+    if (plan.batches.length === 0) {
+        Logger.success('Nothing left to send');
+        return;
+    }
+
+    const progress = ora(`Sending ${plan.batches.length} transactions...`).start();
+    let sent = 0;
+    try {
+        await distributor.execute(plan, {
+            keypair,
+            ledger,
+            onBatch: ({ index, batch }) => {
+                sent += batch.recipients.length;
+                progress.text = `Sent ${index + 1}/${plan.batches.length} transactions (${sent}/${plan.recipients} recipients paid)...`;
+            }
+        });
+    } catch (error) {
+        progress.fail(`Stopped after paying ${sent}/${plan.recipients} recipients`);
+        Logger.info(`Run the same command again to continue; ${ledgerFile} keeps paid wallets from being paid twice`);
+        throw error;
+    }
+    progress.succeed(`Paid ${sent} recipients in ${plan.batches.length} transactions (ledger: ${ledgerFile})`);
+}
+
+// A keypair file as written by `solana-keygen`: a JSON array of 64 bytes
+async function loadKeypair(filepath) {
+    try {
+        return Keypair.fromSecretKey(Uint8Array.from(JSON.parse(await readFile(filepath, 'utf8'))));
+    } catch (error) {
+        throw new Error(`Cannot read a keypair from ${filepath}: ${error.message}`);
+    }
+}
+
+// Prints the plan and returns what the sender is short of, if anything
+function printPlan(plan, { file, ledgerFile }) {
+    const tokens = amount => formatTokenAmount(amount, plan.decimals, { grouping: true });
+    const sol = lamports => `${formatTokenAmount(BigInt(lamports), SOL_DECIMALS)} SOL`;
+    const lamportsNeeded = plan.fees.total + plan.rent.total;
+
+    const table = new Table({
+        style: { head: ['cyan'], border: ['dim'] },
+        head: ['Distribution', 'Value']
+    });
+    table.push(
+        ['Allocation', file],
+        ['Ledger', ledgerFile],
+        ['Mint', plan.mint],
+        ['Sender', `${plan.sender} (token account ${plan.source})`],
+        ['Already paid', plan.paid],
+        ['Recipients to pay', chalk.green(plan.recipients)],
+        ['Skipped', plan.skipped.length > 0 ? chalk.red(plan.skipped.length) : 0],
+        ['Amount', chalk.yellow(tokens(plan.totalAmount))],
+        ['Transactions', `${plan.batches.length} (up to ${Math.max(0, ...plan.batches.map(batch => batch.recipients.length))} transfers each)`],
+        ['Accounts to create', plan.creates],
+        ['Fees', `${sol(plan.fees.total)} (${sol(plan.fees.perBatch)} per transaction)`],
+        ['Rent', `${sol(plan.rent.total)} (${sol(plan.rent.perAccount)} per account)`],
+        ['Sender token balance', tokens(plan.balances.tokens)],
+        ['Sender SOL balance', sol(plan.balances.lamports)]
+    );
+    console.log(table.toString());
+
+    if (plan.skipped.length > 0) {
+        const skippedTable = new Table({
+            style: { head: ['cyan'], border: ['dim'] },
+            head: ['Skipped Wallet', 'Amount', 'Reason']
+        });
+        for (const { owner, amount, reason } of plan.skipped.slice(0, LISTED_SKIPPED)) {
+            skippedTable.push([chalk.blue(owner), tokens(amount), reason]);
+        }
+        console.log(skippedTable.toString());
+        if (plan.skipped.length > LISTED_SKIPPED) {
+            Logger.info(`...and ${plan.skipped.length - LISTED_SKIPPED} more skipped wallets`);
+        }
+    }
+
+    const shortfalls = [];
+    if (plan.balances.tokens < plan.totalAmount) {
+        shortfalls.push(`${tokens(plan.totalAmount - plan.balances.tokens)} tokens short`);
+    }
+    if (plan.balances.lamports < lamportsNeeded) {
+        shortfalls.push(`${sol(lamportsNeeded - plan.balances.lamports)} short for fees and rent`);
+    }
+    for (const shortfall of shortfalls) {
+        Logger.warn(`Sender is ${shortfall}`);
+    }
+    return shortfalls;
+}
@@ -0,0 +1,35 @@
+import Table from 'cli-table3';
+import chalk from 'chalk';
+import ora from 'ora';
+import { createContext } from './context.js';
+import { compareAmountsDesc, formatTokenAmount } from '../utils/token-amount.js';
+
+export async function holdersCommand(options) {
+    const { solanaService, cacheManager, campaign } = await createContext();
+    const { id, symbol } = campaign.primaryToken;
+    const minTokens = campaign.minimumFor(id);
+    const spinner = ora(`Fetching ${symbol} holders...`).start();
+
+    const holders = await solanaService.getAllHolders(minTokens);
+    const decimals = await solanaService.getMintDecimals();
+    await cacheManager.flush();
+    spinner.succeed(`Found ${holders.length} holders with >${minTokens.toLocaleString()} ${symbol}`);
+
+    const table = new Table({
+        style: { head: ['cyan'], border: ['dim'] },
+        head: ['Rank', 'Address', `${symbol} Amount`]
+    });
+
+    [...holders]
+        .sort((a, b) => compareAmountsDesc(a.amount, b.amount))
+        .slice(0, options.limit)
+        .forEach((holder, index) => {
+            table.push([
+                chalk.yellow(`#${index + 1}`),
+                chalk.blue(holder.owner),
+                chalk.green(formatTokenAmount(holder.amount, decimals, { grouping: true }))
+            ]);
+        });
+
+    console.log(table.toString());
+}
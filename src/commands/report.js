@@ -0,0 +1,6 @@
+import { createContext } from './context.js';
+
+export async function reportCommand() {
+    const { analyzer } = await createContext();
+    await analyzer.report();
+}
@@ -0,0 +1,47 @@
+import Table from 'cli-table3';
+import chalk from 'chalk';
+import { CONFIG } from '../config.js';
+import { RpcPool } from '../services/rpc-pool.js';
+
+export async function rpcCommand() {
+    const pool = RpcPool.fromConfig(CONFIG);
+    const results = await pool.checkHealth();
+
+    const table = new Table({
+        style: { head: ['cyan'], border: ['dim'] },
+        head: ['Endpoint', 'Weight', 'Status', 'Slot', 'Latency']
+    });
+
+    results.forEach((result, index) => {
+        table.push([
+            result.endpoint,
+            pool.endpoints[index].weight,
+            result.healthy ? chalk.green('healthy') : chalk.red(result.error),
+            result.slot?.toLocaleString() ?? '-',
+            `${result.latencyMs} ms`
+        ]);
+    });
+
+    console.log(table.toString());
+}
+
+// Per-endpoint request counts of a finished run
+export function printRpcMetrics(pool) {
+    const table = new Table({
+        style: { head: ['cyan'], border: ['dim'] },
+        head: ['RPC Endpoint', 'Requests', 'Failures', 'Rate Limited', 'Avg Latency', 'Status']
+    });
+
+    for (const metrics of pool.metrics()) {
+        table.push([
+            metrics.endpoint,
+            metrics.requests.toLocaleString(),
+            metrics.failures.toLocaleString(),
+            metrics.rateLimited.toLocaleString(),
+            `${metrics.avgLatencyMs} ms`,
+            metrics.healthy ? chalk.green('healthy') : chalk.red('unhealthy')
+        ]);
+    }
+
+    console.log(table.toString());
+}
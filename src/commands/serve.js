@@ -0,0 +1,69 @@
+import { join } from 'path';
+import { CONFIG } from '../config.js';
+import { RunJournal } from '../services/run-journal.js';
+import { RunResults } from '../services/run-results.js';
+import { ApiServer } from '../services/api-server.js';
+import { Campaign, loadCampaign } from '../eligibility/campaign.js';
+import { createContext } from './context.js';
+import { Logger } from '../utils/logger.js';
+import { onShutdown } from '../utils/shutdown.js';
+
+// Serves the latest completed run (or --run) over HTTP. Rechecks use the
+// settings and campaign that run was analyzed with, like --resume.
+export async function serveCommand(options) {
+    const runsDir = join(CONFIG.CACHE_DIR, 'runs');
+    const results = await RunResults.load(runsDir, options.run);
+
+    new RunJournal(runsDir, results.run).restoreSettings(CONFIG);
+    const campaign = results.run.campaign ? Campaign.parse(results.run.campaign) : await loadCampaign(CONFIG);
+    const context = await createContext({ campaign });
+    await context.analyzer.loadTokenInfo();
+
+    const server = new ApiServer({
+        results,
+        recheck: address => recheckWallet(context, address),
+        rateLimit: options.rateLimit
+    });
+    const url = await server.listen(options.port, options.host);
+    onShutdown(() => server.close());
+
+    Logger.success(`Serving run ${results.runId} (${results.counts().eligible}/${results.counts().wallets} eligible) at ${url}`);
+    Logger.info(`GET ${url}/wallets/<address>, ${url}/summary, ${url}/eligible?page=1; POST ${url}/analyze/<address>`);
+}
+
+// The wallet's verdict from its current balances and freshly synced history.
+// Only a full run recomputes shares and proofs.
+async function recheckWallet({ solanaService, cacheManager, exclusionRegistry, analyzer, campaign }, address) {
+    const snapshot = await solanaService.getSnapshot();
+
+    const balances = {};
+    for (const token of campaign.tokens) {
+        const service = analyzer.services.get(token.id);
+        service.forget(address);
+        balances[token.id] = await service.getWalletBalance(address);
+        if (snapshot) {
+            const transactions = await service.getTransactionHistory(address);
+            balances[token.id] = service.getBalanceAtSnapshot(address, balances[token.id], transactions, snapshot);
+        }
+    }
+
+    const balance = balances[campaign.primaryToken.id];
+    const analysis = await analyzer.analyzeHolder({ owner: address, amount: balance, balances });
+    const exclusion = (await exclusionRegistry.check(
+        [address],
+        addresses => solanaService.getAccountOwners(addresses)
+    )).get(address);
+    const verdict = campaign.isExcluded(exclusion) ? campaign.evaluate({}, { exclusion }) : analysis;
+    await cacheManager.flush();
+
+    return {
+        wallet: address,
+        checkedAt: new Date().toISOString(),
+        eligible: verdict.isEligible,
+        reason: verdict.reason,
+        failedRules: verdict.failedRules ?? [],
+        balance,
+        excluded: campaign.isExcluded(exclusion),
+        fullHistory: analysis.fullHistory ?? null
+    };
+}
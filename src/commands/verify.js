@@ -0,0 +1,41 @@
+import { readFile } from 'fs/promises';
+import Table from 'cli-table3';
+import chalk from 'chalk';
+import { verifyMerkleProof } from '../exporters/merkle-distributor.js';
+import { Logger } from '../utils/logger.js';
+
+export async function verifyCommand(file, address, options) {
+    const distribution = JSON.parse(await readFile(file, 'utf8'));
+    const claim = distribution.claims?.[address];
+
+    if (!claim) {
+        Logger.error(`No claim for ${address} in ${file}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const root = options.root ?? distribution.merkleRoot;
+    const valid = verifyMerkleProof({ ...claim, owner: address, root });
+
+    const table = new Table({
+        style: { head: ['cyan'], border: ['dim'] },
+        head: ['Field', 'Value']
+    });
+
+    table.push(
+        ['Wallet', chalk.blue(address)],
+        ['Index', claim.index],
+        ['Amount (base units)', chalk.green(claim.amount)],
+        ['Proof Length', claim.proof.length],
+        ['Merkle Root', root]
+    );
+
+    console.log(table.toString());
+
+    if (valid) {
+        Logger.success('Proof is valid for this root');
+    } else {
+        Logger.error('Proof does NOT match this root');
+        process.exitCode = 1;
+    }
+}
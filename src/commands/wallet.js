@@ -0,0 +1,157 @@
+import Table from 'cli-table3';
+import chalk from 'chalk';
+import ora from 'ora';
+import { createContext } from './context.js';
+import { MOVEMENT_LABELS } from '../analyzers/transaction-classifier.js';
+import { formatTokenAmount } from '../utils/token-amount.js';
+
+// Everything that decided the wallet's status: its balances, each token's
+// movement timeline and every rule's result. --json prints the same as one
+// document to attach to a support ticket.
+export async function walletCommand(address, options = {}) {
+    const { solanaService, cacheManager, exclusionRegistry, analyzer, campaign } = await createContext();
+    const spinner = ora({ text: `Analyzing ${address}...`, isSilent: options.json }).start();
+
+    const snapshot = await solanaService.getSnapshot();
+    await analyzer.loadTokenInfo();
+
+    // Every campaign token is analyzed, however little of it the wallet holds
+    const balances = {};
+    const timelines = {};
+    for (const token of campaign.tokens) {
+        const service = analyzer.services.get(token.id);
+        const transactions = await service.getTransactionHistory(address, { complete: true });
+        balances[token.id] = await service.getWalletBalance(address);
+        if (snapshot) {
+            balances[token.id] = service.getBalanceAtSnapshot(address, balances[token.id], transactions, snapshot);
+        }
+        timelines[token.id] = await service.getMovementTimeline(address, transactions);
+    }
+    const balance = balances[campaign.primaryToken.id];
+    const analysis = await analyzer.analyzeHolder({ owner: address, amount: balance, balances });
+    const exclusion = (await exclusionRegistry.check(
+        [address],
+        addresses => solanaService.getAccountOwners(addresses)
+    )).get(address);
+    // The criteria are still shown for excluded wallets
+    const verdict = campaign.isExcluded(exclusion) ? campaign.evaluate({}, { exclusion }) : analysis;
+    await cacheManager.flush();
+    spinner.succeed('Analysis complete!');
+
+    const decimalsOf = tokenId => analyzer.tokenInfo.get(tokenId).decimals;
+
+    if (options.json) {
+        const exact = (amount, tokenId = campaign.primaryToken.id) => formatTokenAmount(amount, decimalsOf(tokenId));
+        console.log(JSON.stringify({
+            wallet: address,
+            generatedAt: new Date().toISOString(),
+            campaign: campaign.name,
+            snapshot: snapshot ? { slot: snapshot.slot, time: snapshot.time.toISOString() } : null,
+            tokens: campaign.tokens.map(token => ({
+                id: token.id,
+                symbol: token.symbol,
+                mint: token.mint,
+                balance: exact(balances[token.id], token.id),
+                timeline: timelines[token.id].map(entry => ({
+                    ...entry,
+                    date: entry.date.toISOString(),
+                    delta: exact(entry.delta, token.id),
+                    balance: exact(entry.balance, token.id)
+                }))
+            })),
+            analysis: {
+                maxHeld: exact(analysis.maxHeld),
+                firstAcquired: analysis.firstAcquired?.toISOString() ?? null,
+                holdingDays: analysis.holdingDays,
+                hasSold: analysis.hasSold,
+                twab: exact(analysis.twab ?? 0n),
+                minBalance: exact(analysis.minBalance ?? 0n),
+                balanceDays: exact(analysis.balanceDays ?? 0n)
+            },
+            criteria: campaign.criteria.map(criterion => ({
+                id: criterion.id,
+                label: criterion.label,
+                token: criterion.token,
+                passed: analysis.criteria[criterion.id]?.passed ?? false,
+                rules: analysis.criteria[criterion.id]?.rules ?? []
+            })),
+            exclusion: {
+                excluded: exclusion.excluded,
+                category: exclusion.category,
+                label: exclusion.label ?? null,
+                appliesToCampaign: campaign.isExcluded(exclusion),
+                overrideNote: exclusion.overrideNote ?? null
+            },
+            isEligible: verdict.isEligible,
+            reason: verdict.reason,
+            failedRules: verdict.failedRules ?? []
+        }, null, 2));
+        return;
+    }
+
+    const format = (amount, tokenId = campaign.primaryToken.id) =>
+        formatTokenAmount(amount, decimalsOf(tokenId), { grouping: true });
+    const balanceLabel = symbol => snapshot ? `${symbol} Balance at Snapshot` : `Current ${symbol} Balance`;
+    const firstAcquired = analysis.firstAcquired ? new Date(analysis.firstAcquired) : null;
+
+    for (const token of campaign.tokens) {
+        console.log(chalk.bold(`\n${token.symbol} movements`));
+        if (timelines[token.id].length === 0) {
+            console.log(chalk.dim(`No ${token.symbol} movements found`));
+            continue;
+        }
+
+        const timeline = new Table({
+            style: { head: ['cyan'], border: ['dim'] },
+            head: ['Date', 'Signature', 'Change', `${token.symbol} Balance`, 'Type', 'Note']
+        });
+        for (const entry of timelines[token.id]) {
+            const delta = format(entry.delta, token.id);
+            timeline.push([
+                entry.date.toISOString(),
+                entry.signature ?? 'Unknown',
+                entry.delta > 0n ? chalk.green(`+${delta}`) : chalk.red(delta),
+                format(entry.balance, token.id),
+                entry.type ? MOVEMENT_LABELS[entry.type] : chalk.dim('Unclassified'),
+                [
+                    ...(entry.firstAcquisition ? [chalk.cyan('first acquisition')] : []),
+                    ...(entry.sold ? [chalk.red('sale')] : []),
+                    ...(entry.disqualifying && !entry.sold ? [chalk.red('disqualifying')] : [])
+                ].join(', ')
+            ]);
+        }
+        console.log(timeline.toString());
+    }
+
+    const table = new Table({
+        style: { head: ['cyan'], border: ['dim'] },
+        head: ['Metric', 'Value']
+    });
+
+    table.push(
+        ['Wallet', chalk.blue(address)],
+        ...(snapshot ? [['Snapshot', `${snapshot.slot !== null ? `slot ${snapshot.slot}, ` : ''}${snapshot.time.toISOString()}`]] : []),
+        ...campaign.tokens.map(token => [balanceLabel(token.symbol), chalk.green(format(balances[token.id], token.id))]),
+        ['Maximum Ever Held', chalk.green(format(analysis.maxHeld))],
+        ['First Acquired', firstAcquired?.toISOString() || 'Unknown'],
+        ['Days Holding', chalk.cyan(analysis.holdingDays)],
+        ['Ever Sold', analysis.hasSold ? chalk.red('YES') : chalk.green('NO')],
+        ...campaign.criteria.flatMap(criterion => {
+            const result = analysis.criteria[criterion.id];
+            return [
+                [criterion.label, result?.passed ? chalk.green('✅ PASS') : chalk.red(`❌ ${result?.reason || 'Not checked'}`)],
+                ...(result?.rules ?? []).map(rule => [
+                    chalk.dim(`  ${rule.code}`),
+                    rule.passed === null ? chalk.yellow(rule.explanation) : rule.passed ? chalk.green(rule.explanation) : chalk.red(rule.explanation)
+                ])
+            ];
+        }),
+        ['Status Reason', verdict.reason],
+        ['Excluded', exclusion.excluded ? chalk.red(exclusion.label) : chalk.green('NO')],
+        ...(exclusion.excluded && !campaign.isExcluded(exclusion) ? [['Exclusion Category', `${exclusion.category} (not excluded by this campaign)`]] : []),
+        ...(exclusion.overrideNote ? [['Override Note', exclusion.overrideNote]] : []),
+        ['Airdrop Eligible', verdict.isEligible ? chalk.green('💎 YES') : chalk.red('❌ NO')]
+    );
+
+    console.log(table.toString());
+}
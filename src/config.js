@@ -1,21 +1,452 @@
-import { join } from 'path';
-import { homedir } from 'os';
+import { readFile } from 'fs/promises';
+import { resolve } from 'path';
+import { PublicKey } from '@solana/web3.js';
+import { MOVEMENT_TYPES } from './analyzers/transaction-classifier.js';
+import { ALLOCATION_STRATEGIES } from './allocation/allocator.js';
+import { OUTPUT_FORMATS, checkOutputFormats } from './exporters/result-writers.js';
 
-export const CONFIG = {
+export const DEFAULT_CONFIG = Object.freeze({
     RPC_ENDPOINT: 'https://sleek-evocative-patron.solana-mainnet.quiknode.pro/d7d57105f5e9c5dd541e01e35b87da4f473b71ae/',
+    // RPC pool used instead of RPC_ENDPOINT when set: URLs or
+    // { url, weight, requestsPerSecond, concurrency } objects. Calls are spread
+    // by weight and fail over when an endpoint rate limits or errors.
+    RPC_ENDPOINTS: null,
+    // Record every RPC response to fixture files in this directory, or
+    // replay a recorded directory offline instead of calling any endpoint
+    RPC_RECORD_DIR: null,
+    RPC_REPLAY_DIR: null,
     MIN_TOKENS: 50_000_000,
     MAX_TOKENS: 40_000_000_000, // Maximum tokens allowed for eligibility 40B
     KOKO_TOKEN: 'FsA54yL49WKs7rWoGv9sUcbSGWCWV756jTD349e6H2yW',
+    // Name of the token in output columns, file names and messages
+    TOKEN_SYMBOL: 'KOKO',
+    // Campaign file with several tracked mints and AND/OR criteria. When set,
+    // it replaces KOKO_TOKEN, TOKEN_SYMBOL, MIN_TOKENS, MAX_TOKENS and
+    // MONTHS_REQUIRED.
+    CAMPAIGN_FILE: null,
+    // Wallets analyzed at once; each endpoint still makes at most
+    // CONCURRENT_LIMIT requests at a time
     BATCH_SIZE: 50,
     MONTHS_REQUIRED: 3,
     OUTPUT_DIR: '.',
+    // Result files written by analyze, any of csv, json, ndjson, sqlite and html
+    OUTPUT_FORMATS: ['csv'],
+    // Block explorer the HTML report links wallets and transactions to
+    EXPLORER_URL: 'https://solscan.io',
     CACHE_DIR: './cache',
     CONCURRENT_LIMIT: 5,
+    // Every RPC call makes up to RETRY_LIMIT attempts, backing off from
+    // RETRY_DELAY ms, doubling up to RETRY_MAX_DELAY ms
     RETRY_LIMIT: 3,
     RETRY_DELAY: 2000,
-    RETRY_OPTIONS: {
-        retries: 3,
-        minTimeout: 1000,
-        maxTimeout: 3000
+    RETRY_MAX_DELAY: 30000,
+    // Point-in-time snapshot: analyze balances as of this slot or ISO timestamp
+    SNAPSHOT_SLOT: null,
+    SNAPSHOT_TIME: null,
+    // Balance metric airdrop shares are proportional to: currentBalance, twab
+    // (time-weighted average balance), minBalance or balanceDays
+    ALLOCATION_METRIC: 'currentBalance',
+    // How the basis is turned into shares: pro-rata, sqrt, log, equal,
+    // tiered (ALLOCATION_TIERS) or capped (pro-rata, max ALLOCATION_CAP_PERCENT
+    // per wallet with the overflow redistributed)
+    ALLOCATION_STRATEGY: 'pro-rata',
+    ALLOCATION_TIERS: [
+        { min: 50_000_000, weight: 1 },
+        { min: 500_000_000, weight: 2 },
+        { min: 5_000_000_000, weight: 4 }
+    ],
+    ALLOCATION_CAP_PERCENT: 1,
+    // Total tokens to airdrop (in whole tokens). When set, each eligible wallet
+    // gets an exact integer amount in base units of AIRDROP_DECIMALS (which
+    // defaults to the decimals of the analyzed mint).
+    AIRDROP_TOTAL: null,
+    AIRDROP_DECIMALS: null,
+    // Window for twab/minBalance/balanceDays, ending now or at the snapshot.
+    // Defaults to the holding period (MONTHS_REQUIRED * 30 days) when null.
+    SCORING_WINDOW_DAYS: null,
+    // Exclusion list of {address, label} (JSON or CSV) for exchanges, pools,
+    // team wallets etc., and an allowlist of {address, note} that overrides
+    // any exclusion. Off-curve (PDA) owners and wallets owned by a program
+    // other than the System Program are excluded automatically.
+    EXCLUSIONS_FILE: null,
+    ALLOWLIST_FILE: null,
+    EXCLUDE_OFF_CURVE: true,
+    EXCLUDE_PROGRAM_OWNED: true,
+    // Movement types (see MOVEMENT_TYPES) that make a holder ineligible
+    DISQUALIFYING_MOVEMENTS: ['swap-sell'],
+    // A wallet's history is paged back in time only until its first
+    // disqualifying movement, which settles its verdict on that token. Set to
+    // scan every history to its start, for complete facts on every wallet.
+    FULL_HISTORY: false,
+    // Senders whose transfers count as airdrops rather than plain transfers
+    AIRDROP_SOURCES: [],
+    // How long live holder lists and wallet analyses are reused from the cache
+    // (null = until the rules change). Snapshot results never expire.
+    HOLDERS_CACHE_TTL_HOURS: 1,
+    ANALYSIS_CACHE_TTL_HOURS: 24,
+    // Sybil detection links holders funded by the same SOL source, paid by the
+    // same KOKO sender within CLUSTER_SLOT_WINDOW slots, or transferring KOKO
+    // between each other. Funders and senders that reached more than
+    // CLUSTER_MAX_FAN_OUT holders link none of them. With
+    // CLUSTER_AS_SINGLE_HOLDER a cluster is checked against MAX_TOKENS and
+    // allocated as if it were one wallet.
+    CLUSTER_DETECTION: true,
+    CLUSTER_SLOT_WINDOW: 150,
+    CLUSTER_MAX_FAN_OUT: 10,
+    CLUSTER_AS_SINGLE_HOLDER: false,
+    // Program IDs used to classify movements. "swap" programs only swap,
+    // "amm" programs can either swap or add/remove liquidity.
+    KNOWN_PROGRAMS: {
+        swap: {
+            'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4': 'Jupiter v6',
+            'JUP4Fb2cqiRUcaTHdrPC8h2gNsA2ETXiPDD33WcGuJB': 'Jupiter v4',
+            '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P': 'Pump.fun',
+            'PhoeNiXZ8ByJGLkxNfZRnkUfjvmuYqLR89jjFHGqdXY': 'Phoenix',
+            '2wT8Yq49kHgDzXuPxZSaeLaH1qbmGXtEyPy64bL7aD3c': 'Lifinity v2'
+        },
+        amm: {
+            '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8': 'Raydium AMM v4',
+            'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK': 'Raydium CLMM',
+            'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C': 'Raydium CPMM',
+            'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc': 'Orca Whirlpools',
+            '9W959DqEETiGZocYWCQPaJ6sBmUzgfxXfqGeTEdp3aQP': 'Orca v2',
+            'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo': 'Meteora DLMM',
+            'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB': 'Meteora Pools'
+        },
+        staking: {}
     }
-};
\ No newline at end of file
+});
+
+// Live settings shared by every module. Starts out as the defaults and is
+// replaced in place by loadConfig() once the CLI has parsed its input.
+export const CONFIG = structuredClone(DEFAULT_CONFIG);
+
+// Settings that can be overridden from the environment, and how to parse them
+const CONFIG_SCHEMA = {
+    RPC_ENDPOINT: { env: 'KOKO_RPC_ENDPOINT', type: 'url' },
+    RPC_ENDPOINTS: { env: 'KOKO_RPC_ENDPOINTS', type: 'endpoints', optional: true },
+    RPC_RECORD_DIR: { env: 'KOKO_RPC_RECORD_DIR', type: 'string', optional: true },
+    RPC_REPLAY_DIR: { env: 'KOKO_RPC_REPLAY_DIR', type: 'string', optional: true },
+    KOKO_TOKEN: { env: 'KOKO_MINT', type: 'pubkey' },
+    TOKEN_SYMBOL: { env: 'KOKO_TOKEN_SYMBOL', type: 'string' },
+    CAMPAIGN_FILE: { env: 'KOKO_CAMPAIGN_FILE', type: 'string', optional: true },
+    MIN_TOKENS: { env: 'KOKO_MIN_TOKENS', type: 'number', min: 0 },
+    MAX_TOKENS: { env: 'KOKO_MAX_TOKENS', type: 'number', min: 0 },
+    MONTHS_REQUIRED: { env: 'KOKO_MONTHS_REQUIRED', type: 'number', min: 0 },
+    BATCH_SIZE: { env: 'KOKO_BATCH_SIZE', type: 'integer', min: 1 },
+    CONCURRENT_LIMIT: { env: 'KOKO_CONCURRENT_LIMIT', type: 'integer', min: 1 },
+    RETRY_LIMIT: { env: 'KOKO_RETRY_LIMIT', type: 'integer', min: 1 },
+    RETRY_DELAY: { env: 'KOKO_RETRY_DELAY', type: 'integer', min: 0 },
+    RETRY_MAX_DELAY: { env: 'KOKO_RETRY_MAX_DELAY', type: 'integer', min: 0 },
+    OUTPUT_DIR: { env: 'KOKO_OUTPUT_DIR', type: 'string' },
+    OUTPUT_FORMATS: { env: 'KOKO_OUTPUT_FORMATS', type: 'list', values: OUTPUT_FORMATS },
+    EXPLORER_URL: { env: 'KOKO_EXPLORER_URL', type: 'url' },
+    CACHE_DIR: { env: 'KOKO_CACHE_DIR', type: 'string' },
+    SNAPSHOT_SLOT: { env: 'KOKO_SNAPSHOT_SLOT', type: 'integer', min: 0, optional: true },
+    SNAPSHOT_TIME: { env: 'KOKO_SNAPSHOT_TIME', type: 'timestamp', optional: true },
+    ALLOCATION_METRIC: {
+        env: 'KOKO_ALLOCATION_METRIC',
+        type: 'choice',
+        values: ['currentBalance', 'twab', 'minBalance', 'balanceDays']
+    },
+    ALLOCATION_STRATEGY: {
+        env: 'KOKO_ALLOCATION_STRATEGY',
+        type: 'choice',
+        values: Object.keys(ALLOCATION_STRATEGIES)
+    },
+    ALLOCATION_TIERS: { type: 'tiers' },
+    ALLOCATION_CAP_PERCENT: { env: 'KOKO_ALLOCATION_CAP_PERCENT', type: 'number', min: 0.01 },
+    AIRDROP_TOTAL: { env: 'KOKO_AIRDROP_TOTAL', type: 'amount', optional: true },
+    AIRDROP_DECIMALS: { env: 'KOKO_AIRDROP_DECIMALS', type: 'integer', min: 0, optional: true },
+    SCORING_WINDOW_DAYS: { env: 'KOKO_SCORING_WINDOW_DAYS', type: 'number', min: 1, optional: true },
+    EXCLUSIONS_FILE: { env: 'KOKO_EXCLUSIONS_FILE', type: 'string', optional: true },
+    ALLOWLIST_FILE: { env: 'KOKO_ALLOWLIST_FILE', type: 'string', optional: true },
+    EXCLUDE_OFF_CURVE: { env: 'KOKO_EXCLUDE_OFF_CURVE', type: 'boolean' },
+    EXCLUDE_PROGRAM_OWNED: { env: 'KOKO_EXCLUDE_PROGRAM_OWNED', type: 'boolean' },
+    DISQUALIFYING_MOVEMENTS: {
+        env: 'KOKO_DISQUALIFYING_MOVEMENTS',
+        type: 'list',
+        values: Object.values(MOVEMENT_TYPES)
+    },
+    FULL_HISTORY: { env: 'KOKO_FULL_HISTORY', type: 'boolean' },
+    AIRDROP_SOURCES: { env: 'KOKO_AIRDROP_SOURCES', type: 'addresses' },
+    HOLDERS_CACHE_TTL_HOURS: { env: 'KOKO_HOLDERS_CACHE_TTL_HOURS', type: 'number', min: 0, optional: true },
+    ANALYSIS_CACHE_TTL_HOURS: { env: 'KOKO_ANALYSIS_CACHE_TTL_HOURS', type: 'number', min: 0, optional: true },
+    CLUSTER_DETECTION: { env: 'KOKO_CLUSTER_DETECTION', type: 'boolean' },
+    CLUSTER_SLOT_WINDOW: { env: 'KOKO_CLUSTER_SLOT_WINDOW', type: 'integer', min: 0 },
+    CLUSTER_MAX_FAN_OUT: { env: 'KOKO_CLUSTER_MAX_FAN_OUT', type: 'integer', min: 2 },
+    CLUSTER_AS_SINGLE_HOLDER: { env: 'KOKO_CLUSTER_AS_SINGLE_HOLDER', type: 'boolean' },
+    KNOWN_PROGRAMS: { type: 'object' }
+};
+
+export class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+// Layers, lowest precedence first: defaults, JSON config file, KOKO_* env
+// vars, command-line flags. The validated result is copied into CONFIG.
+export async function loadConfig({ configFile, overrides = {}, env = process.env } = {}) {
+    const fileConfig = configFile ? await readConfigFile(configFile) : {};
+
+    const resolved = {
+        ...structuredClone(DEFAULT_CONFIG),
+        ...fileConfig,
+        ...readEnvConfig(env),
+        ...withoutUndefined(overrides)
+    };
+
+    const problems = validateConfig(resolved);
+    if (problems.length === 0) {
+        problems.push(...await checkOutputFormats(resolved.OUTPUT_FORMATS));
+    }
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+
+    Object.assign(CONFIG, resolved);
+    return CONFIG;
+}
+
+async function readConfigFile(configFile) {
+    const path = resolve(configFile);
+    let data;
+
+    try {
+        data = JSON.parse(await readFile(path, 'utf8'));
+    } catch (error) {
+        throw new ConfigError([`Cannot read config file ${path}: ${error.message}`]);
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new ConfigError([`Config file ${path} must contain a JSON object`]);
+    }
+
+    const unknownKeys = Object.keys(data).filter(key => !(key in CONFIG_SCHEMA));
+    if (unknownKeys.length > 0) {
+        throw new ConfigError(unknownKeys.map(key => `Unknown setting "${key}" in ${path}`));
+    }
+
+    return data;
+}
+
+function readEnvConfig(env) {
+    const config = {};
+
+    for (const [key, { env: name }] of Object.entries(CONFIG_SCHEMA)) {
+        if (name && env[name] !== undefined && env[name] !== '') {
+            config[key] = env[name];
+        }
+    }
+
+    return config;
+}
+
+function withoutUndefined(values) {
+    return Object.fromEntries(
+        Object.entries(values).filter(([, value]) => value !== undefined)
+    );
+}
+
+// Parses numeric strings in place and returns the problems found (empty if valid)
+export function validateConfig(config) {
+    const problems = [];
+
+    for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+        const value = config[key];
+        if (rule.optional && (value === null || value === undefined)) {
+            config[key] = null;
+            continue;
+        }
+
+        switch (rule.type) {
+            case 'url':
+                if (!isHttpUrl(value)) {
+                    problems.push(`${key} must be an http(s) URL (got "${value}")`);
+                }
+                break;
+            case 'pubkey':
+                if (!isPublicKey(value)) {
+                    problems.push(`${key} must be a base58 Solana address (got "${value}")`);
+                }
+                break;
+            case 'number':
+            case 'integer': {
+                const number = parseNumber(value);
+                if (!Number.isFinite(number) || (rule.type === 'integer' && !Number.isInteger(number))) {
+                    problems.push(`${key} must be ${rule.type === 'integer' ? 'an integer' : 'a number'} (got "${value}")`);
+                } else if (rule.min !== undefined && number < rule.min) {
+                    problems.push(`${key} must be >= ${rule.min} (got ${number})`);
+                } else {
+                    config[key] = number;
+                }
+                break;
+            }
+            case 'string':
+                if (typeof value !== 'string' || value.trim() === '') {
+                    problems.push(`${key} must be a non-empty string`);
+                }
+                break;
+            case 'object':
+                if (!value || typeof value !== 'object') {
+                    problems.push(`${key} must be an object`);
+                }
+                break;
+            case 'boolean':
+                if (value === true || value === 'true') {
+                    config[key] = true;
+                } else if (value === false || value === 'false') {
+                    config[key] = false;
+                } else {
+                    problems.push(`${key} must be true or false (got "${value}")`);
+                }
+                break;
+            case 'choice':
+                if (!rule.values.includes(value)) {
+                    problems.push(`${key} must be one of ${rule.values.join(', ')} (got "${value}")`);
+                }
+                break;
+            case 'amount':
+                if (!/^\d+(\.\d+)?$/.test(String(value).replace(/_/g, ''))) {
+                    problems.push(`${key} must be a positive decimal amount (got "${value}")`);
+                } else {
+                    config[key] = String(value).replace(/_/g, '');
+                }
+                break;
+            case 'tiers':
+                if (!Array.isArray(value) || value.length === 0 || !value.every(tier =>
+                    Number.isFinite(tier?.min) && Number.isFinite(tier?.weight) && tier.weight >= 0)) {
+                    problems.push(`${key} must be a non-empty array of { min, weight } numbers`);
+                }
+                break;
+            case 'timestamp': {
+                const time = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+                if (!time || Number.isNaN(time.getTime())) {
+                    problems.push(`${key} must be an ISO 8601 date/time (got "${value}")`);
+                } else if (time.getTime() > Date.now()) {
+                    problems.push(`${key} must not be in the future (got ${time.toISOString()})`);
+                } else {
+                    config[key] = time.toISOString();
+                }
+                break;
+            }
+            case 'endpoints': {
+                const endpoints = parseEndpoints(value);
+                if (typeof endpoints === 'string') {
+                    problems.push(`${key} ${endpoints}`);
+                } else {
+                    config[key] = endpoints;
+                }
+                break;
+            }
+            case 'list':
+            case 'addresses': {
+                const list = parseList(value);
+                const invalid = !list ? [value]
+                    : rule.type === 'addresses' ? list.filter(item => !isPublicKey(item))
+                    : list.filter(item => !rule.values.includes(item));
+                if (invalid.length > 0) {
+                    problems.push(rule.type === 'addresses'
+                        ? `${key} contains invalid addresses: ${invalid.join(', ')}`
+                        : `${key} contains unknown values: ${invalid.join(', ')} (allowed: ${rule.values.join(', ')})`);
+                } else {
+                    config[key] = list;
+                }
+                break;
+            }
+        }
+    }
+
+    if (typeof config.MIN_TOKENS === 'number' && typeof config.MAX_TOKENS === 'number' &&
+        config.MIN_TOKENS > config.MAX_TOKENS) {
+        problems.push(`MIN_TOKENS (${config.MIN_TOKENS}) must not exceed MAX_TOKENS (${config.MAX_TOKENS})`);
+    }
+
+    if (config.ALLOCATION_STRATEGY === 'capped' && config.ALLOCATION_CAP_PERCENT > 100) {
+        problems.push(`ALLOCATION_CAP_PERCENT must not exceed 100 (got ${config.ALLOCATION_CAP_PERCENT})`);
+    }
+
+    if (config.SNAPSHOT_SLOT !== null && config.SNAPSHOT_TIME !== null) {
+        problems.push('SNAPSHOT_SLOT and SNAPSHOT_TIME cannot both be set');
+    }
+
+    if (config.RPC_RECORD_DIR !== null && config.RPC_REPLAY_DIR !== null) {
+        problems.push('RPC_RECORD_DIR and RPC_REPLAY_DIR cannot both be set');
+    }
+
+    return problems;
+}
+
+function parseNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string' || value.trim() === '') return NaN;
+    return Number(value.replace(/_/g, ''));
+}
+
+// Lists come as arrays from JSON and as comma-separated strings from env/flags
+function parseList(value) {
+    if (Array.isArray(value)) return value;
+    if (typeof value !== 'string') return null;
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Endpoints come as a JSON array of URLs or objects, or as comma-separated
+// URLs from env/flags. Returns the normalized list or a problem description.
+function parseEndpoints(value) {
+    let list = value;
+    if (typeof value === 'string') {
+        list = value.trim().startsWith('[') ? tryParseJson(value) : parseList(value);
+    }
+    if (!Array.isArray(list) || list.length === 0) {
+        return 'must be a non-empty list of RPC URLs or { url, weight, requestsPerSecond, concurrency } objects';
+    }
+
+    const endpoints = [];
+    for (const item of list) {
+        const endpoint = typeof item === 'string' ? { url: item } : item;
+        if (!endpoint || !isHttpUrl(endpoint.url)) {
+            return `contains an invalid RPC URL (got ${JSON.stringify(item)})`;
+        }
+        for (const field of ['weight', 'requestsPerSecond', 'concurrency']) {
+            if (endpoint[field] !== undefined && !(Number(endpoint[field]) > 0)) {
+                return `${field} of ${endpoint.url} must be a positive number`;
+            }
+        }
+        endpoints.push({
+            url: endpoint.url,
+            weight: Number(endpoint.weight ?? 1),
+            requestsPerSecond: endpoint.requestsPerSecond === undefined ? null : Number(endpoint.requestsPerSecond),
+            ...(endpoint.concurrency !== undefined && { concurrency: Math.ceil(Number(endpoint.concurrency)) })
+        });
+    }
+    return endpoints;
+}
+
+function tryParseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return null;
+    }
+}
+
+function isHttpUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch {
+        return false;
+    }
+}
+
+export function isPublicKey(value) {
+    try {
+        new PublicKey(value);
+        return true;
+    } catch {
+        return false;
+    }
+}
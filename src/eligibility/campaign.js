@@ -0,0 +1,312 @@
+import { readFile } from 'fs/promises';
+import { resolve } from 'path';
+import { ConfigError, isPublicKey } from '../config.js';
+import { EXCLUSION_CATEGORIES } from '../services/exclusion-registry.js';
+import { RULES, checkExclusion, checkRules, isAmount, validateRuleParam } from './rules.js';
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+// An airdrop campaign: the mints it tracks and the criteria a wallet must
+// meet, combined with { all: [...] } (AND) and { any: [...] } (OR). A
+// criterion applies rules (see RULES) to one token's balance and history:
+//
+//   { "id": "a90", "label": "Long-term A", "token": "a",
+//     "minBalance": 1000, "maxBalance": 5000000, "holdingDays": 90,
+//     "maxSellPercent": 10 }
+//
+// Balances are whole tokens. The first token is the campaign's primary
+// token: its balance is shown first and used for clusters and allocation.
+// Holders in one of excludedCategories are never eligible.
+export class Campaign {
+    constructor({ name, tokens, eligibility, excludedCategories = EXCLUSION_CATEGORIES }) {
+        this.name = name;
+        this.tokens = tokens;
+        this.eligibility = eligibility;
+        this.excludedCategories = excludedCategories;
+        this.criteria = collectCriteria(eligibility);
+    }
+
+    // Reads and validates a campaign file, throwing a ConfigError listing
+    // every problem found
+    static async load(filepath) {
+        const path = resolve(filepath);
+        let data;
+
+        try {
+            data = JSON.parse(await readFile(path, 'utf8'));
+        } catch (error) {
+            throw new ConfigError([`Cannot read campaign file ${path}: ${error.message}`]);
+        }
+
+        return Campaign.parse(data, path);
+    }
+
+    static parse(data, source = 'campaign') {
+        const problems = [];
+        const fail = message => problems.push(`${source}: ${message}`);
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new ConfigError([`${source}: must contain a JSON object`]);
+        }
+
+        if (typeof data.name !== 'string' || data.name.trim() === '') {
+            fail('"name" must be a non-empty string');
+        }
+
+        const tokens = Array.isArray(data.tokens) ? data.tokens : [];
+        if (tokens.length === 0) {
+            fail('"tokens" must be a non-empty array of { id, symbol, mint }');
+        }
+        const tokenIds = new Set();
+        tokens.forEach((token, index) => {
+            if (!ID_PATTERN.test(token?.id ?? '') || tokenIds.has(token.id)) {
+                fail(`tokens[${index}].id must be a unique identifier (got ${JSON.stringify(token?.id)})`);
+            }
+            if (typeof token?.symbol !== 'string' || token.symbol.trim() === '') {
+                fail(`tokens[${index}].symbol must be a non-empty string`);
+            }
+            if (!isPublicKey(token?.mint)) {
+                fail(`tokens[${index}].mint must be a base58 Solana address (got ${JSON.stringify(token?.mint)})`);
+            }
+            tokenIds.add(token?.id);
+        });
+
+        const excludedCategories = data.excludedCategories ?? EXCLUSION_CATEGORIES;
+        if (!Array.isArray(excludedCategories) || excludedCategories.some(category => !EXCLUSION_CATEGORIES.includes(category))) {
+            fail(`"excludedCategories" must be a list of ${EXCLUSION_CATEGORIES.join(', ')}`);
+        }
+
+        const criterionIds = new Set();
+        const validate = (node, path) => {
+            if (!node || typeof node !== 'object' || Array.isArray(node)) {
+                fail(`${path} must be an object`);
+                return;
+            }
+
+            const group = node.all ?? node.any;
+            if (group !== undefined) {
+                if (!Array.isArray(group) || group.length === 0) {
+                    fail(`${path}.${node.all ? 'all' : 'any'} must be a non-empty array`);
+                    return;
+                }
+                group.forEach((child, index) => validate(child, `${path}.${node.all ? 'all' : 'any'}[${index}]`));
+                return;
+            }
+
+            if (!tokenIds.has(node.token)) {
+                fail(`${path}.token must be one of the campaign's token ids (got ${JSON.stringify(node.token)})`);
+            }
+            for (const [field, value] of Object.entries(node)) {
+                if (['id', 'label', 'token'].includes(field) || value === null) continue;
+                if (!(field in RULES)) {
+                    fail(`${path}.${field} is not a known rule (rules: ${Object.keys(RULES).join(', ')})`);
+                    continue;
+                }
+                const problem = validateRuleParam(field, value);
+                if (problem) {
+                    fail(`${path}.${field} ${problem} (got ${JSON.stringify(value)})`);
+                }
+            }
+            if (isAmount(node.minBalance) && isAmount(node.maxBalance) &&
+                amountValue(node.minBalance) > amountValue(node.maxBalance)) {
+                fail(`${path}.minBalance must not exceed maxBalance`);
+            }
+            if (node.id !== undefined && (!ID_PATTERN.test(String(node.id)) || criterionIds.has(node.id))) {
+                fail(`${path}.id must be a unique identifier (got ${JSON.stringify(node.id)})`);
+            }
+            criterionIds.add(node.id);
+        };
+        validate(data.eligibility, 'eligibility');
+
+        if (problems.length > 0) {
+            throw new ConfigError(problems);
+        }
+
+        // Criteria without an id are numbered in the order they appear
+        let counter = 0;
+        const symbols = new Map(tokens.map(token => [token.id, token.symbol]));
+        const normalize = node => {
+            if (node.all) return { all: node.all.map(normalize) };
+            if (node.any) return { any: node.any.map(normalize) };
+
+            counter++;
+            let id = node.id ?? `c${counter}`;
+            while (node.id === undefined && criterionIds.has(id)) id = `${id}_`;
+
+            // Every criterion checks a minimum balance and holding time, even
+            // if they are zero
+            const { label, ...rules } = node;
+            const criterion = {
+                ...rules,
+                id,
+                token: node.token,
+                minBalance: node.minBalance ?? 0,
+                maxBalance: node.maxBalance ?? null,
+                holdingDays: node.holdingDays ?? 0
+            };
+            return { ...criterion, label: label ?? describeCriterion(criterion, symbols.get(node.token)) };
+        };
+
+        return new Campaign({
+            name: data.name.trim(),
+            tokens: tokens.map(({ id, symbol, mint }) => ({ id, symbol: symbol.trim(), mint })),
+            eligibility: normalize(data.eligibility),
+            excludedCategories
+        });
+    }
+
+    // The single-token campaign described by KOKO_TOKEN, MIN_TOKENS,
+    // MAX_TOKENS and MONTHS_REQUIRED
+    static fromConfig(config) {
+        const id = config.TOKEN_SYMBOL.toLowerCase().replace(/[^a-z0-9_-]/g, '') || 'token';
+        return Campaign.parse({
+            name: `${config.TOKEN_SYMBOL} Diamond Hands`,
+            tokens: [{ id, symbol: config.TOKEN_SYMBOL, mint: config.KOKO_TOKEN }],
+            eligibility: {
+                id: 'holding',
+                token: id,
+                minBalance: config.MIN_TOKENS,
+                maxBalance: config.MAX_TOKENS,
+                holdingDays: config.MONTHS_REQUIRED * 30
+            }
+        }, 'config');
+    }
+
+    get primaryToken() {
+        return this.tokens[0];
+    }
+
+    // Used as the prefix of output file names
+    get slug() {
+        return this.name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'campaign';
+    }
+
+    token(id) {
+        return this.tokens.find(token => token.id === id);
+    }
+
+    // Lowest minimum of the token's criteria, in whole tokens. Wallets below
+    // it cannot pass any of them, so it is the holder-list threshold.
+    minimumFor(tokenId) {
+        const minimums = this.criteria
+            .filter(criterion => criterion.token === tokenId)
+            .map(criterion => criterion.minBalance);
+        return minimums.length > 0 ? minimums.reduce((low, value) => amountValue(value) < amountValue(low) ? value : low) : 0;
+    }
+
+    // Highest maximum of the token's criteria, or null when any is unbounded
+    maximumFor(tokenId) {
+        const maximums = this.criteria
+            .filter(criterion => criterion.token === tokenId)
+            .map(criterion => criterion.maxBalance);
+        if (maximums.length === 0 || maximums.includes(null)) return null;
+        return maximums.reduce((high, value) => amountValue(value) > amountValue(high) ? value : high);
+    }
+
+    // maxSellPercent weighs the sales against everything ever received, so
+    // the token's histories cannot stop at the first sale
+    needsFullHistory(tokenId) {
+        return this.criteria.some(criterion =>
+            criterion.token === tokenId && criterion.maxSellPercent !== undefined && criterion.maxSellPercent !== null);
+    }
+
+    // Whether the exclusion (see ExclusionRegistry) makes a holder ineligible
+    isExcluded(exclusion) {
+        return !checkExclusion(exclusion, this.excludedCategories).passed;
+    }
+
+    // facts: { [tokenId]: { balance, decimals, analysis } } where balance is
+    // in base units, or null when the wallet was below the token's holder-list
+    // threshold, and analysis is the wallet's history for that token (absent
+    // when it was not analyzed). Returns the verdict, every criterion's rule
+    // results and the failed rules that decided the verdict.
+    evaluate(facts, { exclusion = null } = {}) {
+        const excluded = checkExclusion(exclusion, this.excludedCategories);
+        if (!excluded.passed) {
+            return {
+                isEligible: false,
+                reason: excluded.explanation,
+                criteria: {},
+                failedRules: [{ criterion: null, code: excluded.code, explanation: excluded.explanation }]
+            };
+        }
+
+        const criteria = {};
+        const visit = node => {
+            if (node.all || node.any) {
+                const results = (node.all ?? node.any).map(visit);
+                const passed = node.all
+                    ? results.every(result => result.passed)
+                    : results.some(result => result.passed);
+                return {
+                    passed,
+                    failures: passed ? [] : results.flatMap(result => result.failures)
+                };
+            }
+
+            const rules = checkRules(node, { symbol: this.token(node.token).symbol, ...facts[node.token] });
+            const failed = rules.filter(rule => rule.passed === false);
+            const passed = rules.every(rule => rule.passed === true);
+            criteria[node.id] = {
+                passed,
+                reason: passed ? null : joinExplanations(failed),
+                rules
+            };
+            return {
+                passed,
+                failures: failed.map(({ code, explanation }) => ({ criterion: node.id, code, explanation }))
+            };
+        };
+
+        const { passed, failures } = visit(this.eligibility);
+        return {
+            isEligible: passed,
+            reason: passed ? 'Meets all eligibility criteria' : joinExplanations(failures),
+            criteria,
+            failedRules: failures
+        };
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            tokens: this.tokens,
+            eligibility: this.eligibility,
+            excludedCategories: this.excludedCategories
+        };
+    }
+}
+
+function collectCriteria(node) {
+    if (node.all || node.any) return (node.all ?? node.any).flatMap(collectCriteria);
+    return [node];
+}
+
+// noSell and the disqualifying-movement rule can fail for the same sale
+function joinExplanations(failures) {
+    return [...new Set(failures.map(failure => failure.explanation))].join('; ');
+}
+
+// Only for comparing and describing; balances are checked in base units
+function amountValue(value) {
+    return Number(String(value).replace(/_/g, ''));
+}
+
+// e.g. "≥ 1,000 KOKO for 90 days, never sold"
+function describeCriterion({ minBalance, maxBalance, holdingDays, noSell, maxSellPercent, minTwab }, symbol) {
+    const amount = value => amountValue(value).toLocaleString('en-US');
+    const parts = [maxBalance !== null
+        ? `${amount(minBalance)}-${amount(maxBalance)} ${symbol}`
+        : `≥ ${amount(minBalance)} ${symbol}`];
+    if (holdingDays > 0) parts[0] += ` for ${holdingDays} days`;
+    if (noSell) parts.push('never sold');
+    if (maxSellPercent !== undefined && maxSellPercent !== null) parts.push(`sold ≤ ${maxSellPercent}%`);
+    if (minTwab !== undefined && minTwab !== null) parts.push(`TWAB ≥ ${amount(minTwab)}`);
+    return parts.join(', ');
+}
+
+// The campaign file given with --campaign, or the single-token campaign
+// described by the config
+export async function loadCampaign(config) {
+    return config.CAMPAIGN_FILE ? Campaign.load(config.CAMPAIGN_FILE) : Campaign.fromConfig(config);
+}
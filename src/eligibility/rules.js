@@ -0,0 +1,168 @@
+import { MOVEMENT_TYPES } from '../analyzers/transaction-classifier.js';
+import { EXCLUSION_CATEGORIES } from '../services/exclusion-registry.js';
+import { formatTokenAmount, parseTokenAmount } from '../utils/token-amount.js';
+
+// Declarative eligibility rules. A campaign criterion lists the rules it
+// applies with their parameter, e.g. { "minBalance": 1000, "noSell": true }.
+// Each rule checks one token's facts and reports its code, whether it passed
+// and why. Rules that need the token's history report passed: null when the
+// wallet's history of that token was not analyzed (its balance was below
+// the holder-list minimum).
+//
+// param is the parameter type: 'amount' (whole tokens), 'days', 'percent'
+// or 'flag' (true to apply the rule).
+export const RULES = {
+    minBalance: {
+        code: 'MIN_BALANCE',
+        param: 'amount',
+        check: (minimum, token) => {
+            const min = token.parse(minimum);
+            if (token.balance === null) {
+                return [false, `Insufficient ${token.symbol} balance (< ${token.format(min)})`];
+            }
+            return token.balance >= min
+                ? [true, `${token.symbol} balance ${token.format(token.balance)} ≥ ${token.format(min)}`]
+                : [false, `Insufficient ${token.symbol} balance (${token.format(token.balance)} < ${token.format(min)})`];
+        }
+    },
+    maxBalance: {
+        code: 'MAX_BALANCE',
+        param: 'amount',
+        check: (maximum, token) => {
+            const max = token.parse(maximum);
+            if (token.balance === null) {
+                return [true, `${token.symbol} balance below the holder-list minimum`];
+            }
+            return token.balance <= max
+                ? [true, `${token.symbol} balance ${token.format(token.balance)} ≤ ${token.format(max)}`]
+                : [false, `${token.symbol} balance exceeds maximum limit (${token.format(token.balance)} > ${token.format(max)})`];
+        }
+    },
+    holdingDays: {
+        code: 'MIN_HOLDING_DAYS',
+        param: 'days',
+        history: true,
+        check: (days, { symbol, analysis }) => {
+            if (analysis.transactionCount === 0) {
+                return [false, `No ${symbol} transaction history found`];
+            }
+            if (!analysis.firstAcquired) {
+                return [false, `Unable to determine first ${symbol} acquisition`];
+            }
+            return analysis.holdingDays >= days
+                ? [true, `Held ${symbol} for ${analysis.holdingDays} days (≥ ${days})`]
+                : [false, `Insufficient ${symbol} holding time (${analysis.holdingDays} days < ${days} days)`];
+        }
+    },
+    noSell: {
+        code: 'NO_SELL',
+        param: 'flag',
+        history: true,
+        check: (_, { symbol, analysis }) => {
+            const sells = analysis.movements?.[MOVEMENT_TYPES.SWAP_SELL] ?? 0;
+            return sells === 0
+                ? [true, `Never sold ${symbol}`]
+                : [false, `Has sold ${symbol} in the past`];
+        }
+    },
+    maxSellPercent: {
+        code: 'MAX_SELL_PERCENT',
+        param: 'percent',
+        history: true,
+        check: (percent, { symbol, analysis }) => {
+            const sold = sellPercent(analysis);
+            return sold <= percent
+                ? [true, `Sold ${sold}% of the ${symbol} received (≤ ${percent}%)`]
+                : [false, `Sold ${sold}% of the ${symbol} received (> ${percent}%)`];
+        }
+    },
+    minTwab: {
+        code: 'MIN_TWAB',
+        param: 'amount',
+        history: true,
+        check: (minimum, { symbol, analysis, format, parse }) => {
+            const min = parse(minimum);
+            return analysis.twab >= min
+                ? [true, `${symbol} time-weighted average balance ${format(analysis.twab)} ≥ ${format(min)}`]
+                : [false, `${symbol} time-weighted average balance too low (${format(analysis.twab)} < ${format(min)})`];
+        }
+    }
+};
+
+// Applied to every criterion that does not set maxSellPercent:
+// DISQUALIFYING_MOVEMENTS, as found by the analysis. A criterion allowing
+// some selling would otherwise fail every wallet that sold anything.
+const NO_DISQUALIFYING_MOVEMENT = {
+    code: 'NO_DISQUALIFYING_MOVEMENT',
+    history: true,
+    check: (_, { symbol, analysis }) => {
+        if (!analysis.disqualifiedBy) {
+            return [true, `No disqualifying ${symbol} movement`];
+        }
+        return analysis.disqualifiedBy === MOVEMENT_TYPES.SWAP_SELL
+            ? [false, `Has sold ${symbol} in the past`]
+            : [false, `Disqualifying ${symbol} movement in the past (${analysis.disqualifiedBy})`];
+    }
+};
+
+// Returns a problem description, or null when the parameter is valid
+export function validateRuleParam(name, value) {
+    switch (RULES[name].param) {
+        case 'amount':
+            return isAmount(value) ? null : 'must be a positive decimal amount';
+        case 'days':
+            return Number.isFinite(value) && value >= 0 ? null : 'must be a number >= 0';
+        case 'percent':
+            return Number.isFinite(value) && value >= 0 && value <= 100 ? null : 'must be a number between 0 and 100';
+        case 'flag':
+            return value === true || value === false ? null : 'must be true or false';
+    }
+}
+
+// Runs every rule the criterion sets. token is { symbol, balance, decimals,
+// analysis } with the balance in base units (null when below the holder-list
+// minimum) and analysis absent when the history was not analyzed.
+export function checkRules(criterion, token) {
+    const context = {
+        ...token,
+        format: amount => formatTokenAmount(amount, token.decimals, { grouping: true }),
+        parse: amount => parseTokenAmount(amount, token.decimals)
+    };
+
+    const rules = Object.entries(RULES)
+        .filter(([name]) => criterion[name] !== undefined && criterion[name] !== null && criterion[name] !== false)
+        .map(([name, rule]) => [rule, criterion[name]]);
+    if (criterion.maxSellPercent === undefined || criterion.maxSellPercent === null) {
+        rules.push([NO_DISQUALIFYING_MOVEMENT, true]);
+    }
+
+    return rules.map(([rule, param]) => {
+        if (rule.history && !token.analysis) {
+            return { code: rule.code, passed: null, explanation: `Not checked: no ${token.symbol} history analyzed` };
+        }
+        const [passed, explanation] = rule.check(param, context);
+        return { code: rule.code, passed, explanation };
+    });
+}
+
+// The wallet-level rule: holders in one of the campaign's excluded
+// categories (see EXCLUSION_CATEGORIES) are not eligible
+export function checkExclusion(exclusion, categories = EXCLUSION_CATEGORIES) {
+    const excluded = Boolean(exclusion?.excluded && categories.includes(exclusion.category));
+    return {
+        code: 'NOT_EXCLUDED',
+        passed: !excluded,
+        explanation: excluded ? `Excluded: ${exclusion.label}` : 'Not excluded'
+    };
+}
+
+// Sold share of everything the wallet ever received, to two decimals
+function sellPercent({ receivedAmount = 0n, soldAmount = 0n }) {
+    if (receivedAmount === 0n) return 0;
+    return Number((soldAmount * 10_000n) / receivedAmount) / 100;
+}
+
+export function isAmount(value) {
+    if (typeof value === 'number') return Number.isFinite(value) && value >= 0;
+    return typeof value === 'string' && /^\d+(\.\d+)?$/.test(value.replace(/_/g, ''));
+}
@@ -0,0 +1,406 @@
+import { formatTokenAmount } from '../utils/token-amount.js';
+import { toJsonValue } from './result-schema.js';
+
+// Upper bounds (exclusive) of the holding-days buckets; the last bucket is open
+const HOLDING_DAY_BUCKETS = [30, 90, 180, 365, 730];
+const TOP_SHARES = [10, 100];
+const COLORS = { eligible: '#2e9e5b', other: '#b0b7c3', accent: '#3867d6' };
+
+// A self-contained HTML page for one run: summary metrics, balance and
+// holding-days distributions, why wallets are ineligible, how concentrated
+// the airdrop is, and every wallet in a table that is searched and sorted in
+// the browser. Charts are inline SVG and the records are embedded as JSON,
+// so the file can be shared as it is.
+export function buildHtmlReport({ records, metadata, summary }) {
+    const token = metadata.tokens?.[0] ?? { symbol: 'tokens', decimals: 0 };
+    const explorer = (metadata.settings?.EXPLORER_URL ?? 'https://solscan.io').replace(/\/+$/, '');
+    const analyzed = records.filter(record => record.status === 'eligible' || record.status === 'ineligible');
+    const eligible = records.filter(record => record.status === 'eligible');
+    const title = `${metadata.campaign?.name ?? `${token.symbol} airdrop`} report`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(title)}</h1>
+<p class="muted">${escapeHtml(describeRun(metadata, summary))}</p>
+</header>
+${metricsSection(records, summary, token)}
+<section>
+<h2>Distribution</h2>
+<p class="muted">Analyzed wallets (not excluded), <span class="swatch" style="background:${COLORS.eligible}"></span>eligible and <span class="swatch" style="background:${COLORS.other}"></span>not eligible.</p>
+<div class="charts">
+<figure><figcaption>By ${escapeHtml(token.symbol)} balance</figcaption>${barChart(balanceBuckets(analyzed, token.decimals))}</figure>
+<figure><figcaption>By holding days</figcaption>${barChart(holdingDayBuckets(analyzed))}</figure>
+</div>
+</section>
+<section>
+<h2>Why wallets are not eligible</h2>
+${reasonsSection(records)}
+</section>
+<section>
+<h2>Share concentration</h2>
+${concentrationSection(eligible)}
+</section>
+<section>
+<h2>Wallets</h2>
+<div class="controls">
+<input id="search" type="search" placeholder="Search address, status, reason or cluster" autocomplete="off">
+<span id="count" class="muted"></span>
+</div>
+<table id="wallets">
+<thead><tr>${TABLE_COLUMNS.map(column => `<th data-key="${column.key}">${column.label}</th>`).join('')}</tr></thead>
+<tbody></tbody>
+</table>
+<div class="controls"><button id="previous">Previous</button><span id="page" class="muted"></span><button id="next">Next</button></div>
+</section>
+<script id="report-data" type="application/json">${embedJson({
+        explorer,
+        decimals: token.decimals,
+        wallets: records.map(record => [
+            record.owner,
+            record.status,
+            toJsonValue(record.balance),
+            record.holdingDays ?? null,
+            toJsonValue(record.firstAcquired ?? null),
+            record.firstAcquiredSignature ?? null,
+            record.airdropShare ?? null,
+            record.reason ?? null,
+            record.disqualifyingSignature ?? null,
+            record.clusterId ?? null
+        ])
+    })}</script>
+<script>${TABLE_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+function describeRun(metadata, summary) {
+    const parts = [
+        ...(metadata.runId ? [`Run ${metadata.runId}`] : []),
+        `Generated ${metadata.generatedAt}`,
+        metadata.snapshot ? `snapshot ${metadata.snapshot.slot !== null ? `slot ${metadata.snapshot.slot}, ` : ''}${metadata.snapshot.time}` : 'current balances',
+        ...(metadata.tokens ?? []).map(token => `${token.symbol} ${token.mint}`)
+    ];
+    if (!summary) parts.push('incomplete: the run was interrupted');
+    return parts.join(' · ');
+}
+
+function metricsSection(records, summary, token) {
+    const amount = value => value === null || value === undefined
+        ? '-'
+        : formatTokenAmount(BigInt(value), token.decimals, { grouping: true });
+    const count = status => records.filter(record => record.status === status).length;
+
+    const metrics = [
+        ['Wallets', records.length],
+        ['Eligible', count('eligible')],
+        ['Not eligible', count('ineligible')],
+        ['Excluded', count('excluded')],
+        ['Errors', count('error')],
+        ...(summary ? [
+            [`Total eligible ${token.symbol}`, amount(summary.totalEligible)],
+            [`Average eligible ${token.symbol}`, amount(summary.averageEligible)],
+            ['Allocation', `${summary.allocation.strategy} on ${summary.allocation.metric}`],
+            ...(summary.allocation.total !== null ? [['Airdrop total', summary.allocation.total]] : []),
+            ...(summary.clusters !== null ? [['Wallet clusters', `${summary.clusters} (${summary.clusteredWallets} wallets)`]] : [])
+        ] : [])
+    ];
+
+    return `<section class="metrics">${metrics.map(([label, value]) =>
+        `<div class="metric"><div class="value">${escapeHtml(formatCount(value))}</div><div class="label">${escapeHtml(label)}</div></div>`
+    ).join('')}</section>`;
+}
+
+// Powers of ten of whole tokens
+function balanceBuckets(records, decimals) {
+    const buckets = new Map();
+    for (const record of records) {
+        if (record.balance === null || record.balance === undefined) continue;
+        const whole = record.balance / 10n ** BigInt(decimals);
+        const magnitude = whole === 0n ? -1 : whole.toString().length - 1;
+        const bucket = buckets.get(magnitude) ?? { magnitude, values: [0, 0] };
+        bucket.values[record.status === 'eligible' ? 0 : 1]++;
+        buckets.set(magnitude, bucket);
+    }
+
+    return [...buckets.values()]
+        .sort((a, b) => a.magnitude - b.magnitude)
+        .map(({ magnitude, values }) => ({
+            label: magnitude < 0 ? '< 1' : `${shortNumber(10 ** magnitude)} – ${shortNumber(10 ** (magnitude + 1))}`,
+            values
+        }));
+}
+
+function holdingDayBuckets(records) {
+    const bounds = [0, ...HOLDING_DAY_BUCKETS];
+    const buckets = bounds.map((low, index) => ({
+        label: index + 1 < bounds.length ? `${low} – ${bounds[index + 1] - 1} days` : `${low}+ days`,
+        values: [0, 0]
+    }));
+
+    for (const record of records) {
+        const days = record.holdingDays ?? 0;
+        const index = HOLDING_DAY_BUCKETS.findIndex(bound => days < bound);
+        buckets[index === -1 ? buckets.length - 1 : index].values[record.status === 'eligible' ? 0 : 1]++;
+    }
+    return buckets;
+}
+
+// Failed rules of ineligible wallets (a wallet can fail several), exclusion
+// categories and analysis errors
+function reasonsSection(records) {
+    const counts = new Map();
+    const add = label => counts.set(label, (counts.get(label) ?? 0) + 1);
+
+    for (const record of records) {
+        if (record.status === 'ineligible') {
+            for (const rule of record.failedRules ?? []) add(rule);
+        } else if (record.status === 'excluded') {
+            add(`excluded: ${record.exclusionCategory ?? 'listed'}`);
+        } else if (record.status === 'error') {
+            add('analysis error');
+        }
+    }
+
+    if (counts.size === 0) {
+        return '<p class="muted">Every wallet is eligible.</p>';
+    }
+    const rows = [...counts]
+        .sort((a, b) => b[1] - a[1])
+        .map(([label, count]) => ({ label, values: [0, count] }));
+    return barChart(rows, { labelWidth: 300 });
+}
+
+function concentrationSection(eligible) {
+    const shares = eligible.map(record => record.airdropShare ?? 0).sort((a, b) => b - a);
+    const total = shares.reduce((sum, share) => sum + share, 0);
+    if (shares.length === 0 || total === 0) {
+        return '<p class="muted">No eligible wallets with a share.</p>';
+    }
+
+    const topShare = n => shares.slice(0, n).reduce((sum, share) => sum + share, 0) / total * 100;
+    const topPercent = Math.max(1, Math.ceil(shares.length / 100));
+    const metrics = [
+        ['Gini coefficient', gini(shares).toFixed(3)],
+        ...TOP_SHARES.filter(n => n < shares.length).map(n => [`Top ${n} wallets`, `${topShare(n).toFixed(2)}%`]),
+        [`Top 1% (${topPercent} wallets)`, `${topShare(topPercent).toFixed(2)}%`]
+    ];
+
+    return `<div class="charts">
+<div class="metrics">${metrics.map(([label, value]) =>
+        `<div class="metric"><div class="value">${escapeHtml(value)}</div><div class="label">${escapeHtml(label)}</div></div>`
+    ).join('')}</div>
+<figure><figcaption>Lorenz curve of airdrop shares</figcaption>${lorenzCurve(shares)}</figure>
+</div>`;
+}
+
+// 0 when every wallet gets the same share, approaching 1 when one gets all
+function gini(shares) {
+    const ascending = [...shares].sort((a, b) => a - b);
+    const total = ascending.reduce((sum, share) => sum + share, 0);
+    const weighted = ascending.reduce((sum, share, index) => sum + (index + 1) * share, 0);
+    return (2 * weighted) / (ascending.length * total) - (ascending.length + 1) / ascending.length;
+}
+
+function lorenzCurve(shares) {
+    const size = 220;
+    const ascending = [...shares].sort((a, b) => a - b);
+    const total = ascending.reduce((sum, share) => sum + share, 0);
+    // At most ~200 points, whatever the number of wallets
+    const step = Math.max(1, Math.floor(ascending.length / 200));
+    const points = ['0,0'];
+    let cumulative = 0;
+    ascending.forEach((share, index) => {
+        cumulative += share;
+        if ((index + 1) % step === 0 || index === ascending.length - 1) {
+            points.push(`${((index + 1) / ascending.length * size).toFixed(1)},${(cumulative / total * size).toFixed(1)}`);
+        }
+    });
+
+    return `<svg viewBox="-1 -1 ${size + 2} ${size + 2}" width="${size}" height="${size}" role="img" aria-label="Lorenz curve">
+<g transform="translate(0 ${size}) scale(1 -1)">
+<rect width="${size}" height="${size}" fill="none" stroke="#ddd"/>
+<line x1="0" y1="0" x2="${size}" y2="${size}" stroke="#ddd" stroke-dasharray="4"/>
+<polyline points="${points.join(' ')}" fill="none" stroke="${COLORS.accent}" stroke-width="2"/>
+</g></svg>`;
+}
+
+// Horizontal bars of [{label, values: [eligible, other]}], stacked
+function barChart(rows, { labelWidth = 140 } = {}) {
+    const max = Math.max(0, ...rows.map(row => row.values[0] + row.values[1]));
+    if (max === 0) {
+        return '<p class="muted">No wallets.</p>';
+    }
+
+    const barWidth = 420;
+    const rowHeight = 24;
+    const bars = rows.map((row, index) => {
+        const y = index * rowHeight;
+        const [first, second] = row.values.map(value => value / max * barWidth);
+        return `<g transform="translate(0 ${y})">
+<text x="${labelWidth - 8}" y="16" text-anchor="end">${escapeHtml(row.label)}</text>
+<rect x="${labelWidth}" y="4" width="${first.toFixed(1)}" height="16" fill="${COLORS.eligible}"/>
+<rect x="${(labelWidth + first).toFixed(1)}" y="4" width="${second.toFixed(1)}" height="16" fill="${COLORS.other}"/>
+<text x="${(labelWidth + first + second + 6).toFixed(1)}" y="16">${formatCount(row.values[0] + row.values[1])}</text>
+</g>`;
+    });
+
+    const width = labelWidth + barWidth + 80;
+    return `<svg viewBox="0 0 ${width} ${rows.length * rowHeight}" width="${width}" height="${rows.length * rowHeight}" role="img">${bars.join('')}</svg>`;
+}
+
+function shortNumber(value) {
+    for (const [size, suffix] of [[1e12, 'T'], [1e9, 'B'], [1e6, 'M'], [1e3, 'K']]) {
+        if (value >= size) return `${value / size}${suffix}`;
+    }
+    return String(value);
+}
+
+function formatCount(value) {
+    return typeof value === 'number' ? value.toLocaleString('en-US') : String(value);
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// JSON inside a <script> element must not contain "</script>"
+function embedJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+// Index into each embedded wallet row, see buildHtmlReport
+const TABLE_COLUMNS = [
+    { key: 0, label: 'Wallet' },
+    { key: 1, label: 'Status' },
+    { key: 2, label: 'Balance' },
+    { key: 3, label: 'Holding days' },
+    { key: 4, label: 'First acquired' },
+    { key: 6, label: 'Share %' },
+    { key: 7, label: 'Reason' },
+    { key: 8, label: 'Disqualified by' },
+    { key: 9, label: 'Cluster' }
+];
+
+const STYLES = `
+body { font: 14px/1.45 system-ui, sans-serif; margin: 0 auto; max-width: 1200px; padding: 24px; color: #222; }
+h1 { margin-bottom: 4px; }
+h2 { margin-top: 36px; border-bottom: 1px solid #eee; padding-bottom: 4px; }
+.muted { color: #777; }
+.metrics { display: flex; flex-wrap: wrap; gap: 12px; }
+.metric { border: 1px solid #e3e3e3; border-radius: 6px; padding: 10px 14px; min-width: 140px; }
+.metric .value { font-size: 20px; font-weight: 600; }
+.metric .label { color: #777; }
+.charts { display: flex; flex-wrap: wrap; gap: 24px; align-items: flex-start; }
+figure { margin: 0; }
+figcaption { font-weight: 600; margin-bottom: 6px; }
+svg text { font-size: 12px; fill: #333; }
+.swatch { display: inline-block; width: 10px; height: 10px; margin: 0 4px 0 2px; }
+.controls { display: flex; gap: 12px; align-items: center; margin: 12px 0; }
+#search { flex: 1; padding: 6px 8px; font-size: 14px; }
+table { border-collapse: collapse; width: 100%; font-size: 13px; }
+th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eee; white-space: nowrap; }
+td.reason { white-space: normal; }
+th { cursor: pointer; user-select: none; background: #fafafa; position: sticky; top: 0; }
+th.sorted::after { content: " ▼"; }
+th.sorted.ascending::after { content: " ▲"; }
+.eligible { color: ${COLORS.eligible}; }
+.ineligible, .error { color: #c0392b; }
+.excluded { color: #777; }
+a { color: ${COLORS.accent}; text-decoration: none; }
+`;
+
+// Filters, sorts and pages the embedded rows; amounts are base-unit strings
+// compared as BigInt
+const TABLE_SCRIPT = `
+(() => {
+    const { explorer, decimals, wallets } = JSON.parse(document.getElementById('report-data').textContent);
+    const PAGE_SIZE = 100;
+    const state = { query: '', key: 2, ascending: false, page: 0 };
+    const body = document.querySelector('#wallets tbody');
+
+    const escape = text => String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+    const link = (path, text) => '<a href="' + explorer + path + '" target="_blank" rel="noopener">' + escape(text) + '</a>';
+    const short = signature => signature.slice(0, 8) + '…';
+    const amount = value => {
+        if (value === null) return '';
+        const digits = value.padStart(decimals + 1, '0');
+        const whole = digits.slice(0, digits.length - decimals).replace(/\\B(?=(\\d{3})+(?!\\d))/g, ',');
+        const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+        return fraction ? whole + '.' + fraction : whole;
+    };
+    const compare = (a, b) => {
+        if (a === null || b === null) return (a === null) - (b === null);
+        if (state.key === 2) {
+            const difference = BigInt(a) - BigInt(b);
+            return difference > 0n ? 1 : difference < 0n ? -1 : 0;
+        }
+        return typeof a === 'number' ? a - b : String(a).localeCompare(String(b));
+    };
+
+    function rows() {
+        const query = state.query.toLowerCase();
+        const matching = query
+            ? wallets.filter(row => [row[0], row[1], row[7], row[9]].some(value => value !== null && String(value).toLowerCase().includes(query)))
+            : wallets.slice();
+        // Empty values go last in either direction
+        return matching.sort((a, b) => {
+            if (a[state.key] === null || b[state.key] === null) return compare(a[state.key], b[state.key]);
+            return state.ascending ? compare(a[state.key], b[state.key]) : compare(b[state.key], a[state.key]);
+        });
+    }
+
+    function render() {
+        const matching = rows();
+        const pages = Math.max(1, Math.ceil(matching.length / PAGE_SIZE));
+        state.page = Math.min(state.page, pages - 1);
+        body.innerHTML = matching.slice(state.page * PAGE_SIZE, (state.page + 1) * PAGE_SIZE).map(row =>
+            '<tr>' +
+            '<td>' + link('/account/' + row[0], row[0]) + '</td>' +
+            '<td class="' + escape(row[1]) + '">' + escape(row[1]) + '</td>' +
+            '<td>' + amount(row[2]) + '</td>' +
+            '<td>' + (row[3] ?? '') + '</td>' +
+            '<td>' + (row[4] ? (row[5] ? link('/tx/' + row[5], row[4].slice(0, 10)) : escape(row[4].slice(0, 10))) : '') + '</td>' +
+            '<td>' + (row[6] ?? '') + '</td>' +
+            '<td class="reason">' + escape(row[7] ?? '') + '</td>' +
+            '<td>' + (row[8] ? link('/tx/' + row[8], short(row[8])) : '') + '</td>' +
+            '<td>' + escape(row[9] ?? '') + '</td>' +
+            '</tr>'
+        ).join('');
+        document.getElementById('count').textContent = matching.length.toLocaleString('en-US') + ' of ' + wallets.length.toLocaleString('en-US') + ' wallets';
+        document.getElementById('page').textContent = 'Page ' + (state.page + 1) + ' of ' + pages;
+        document.querySelectorAll('#wallets th').forEach(th => {
+            th.classList.toggle('sorted', Number(th.dataset.key) === state.key);
+            th.classList.toggle('ascending', state.ascending);
+        });
+    }
+
+    document.getElementById('search').addEventListener('input', event => {
+        state.query = event.target.value.trim();
+        state.page = 0;
+        render();
+    });
+    document.querySelectorAll('#wallets th').forEach(th => th.addEventListener('click', () => {
+        const key = Number(th.dataset.key);
+        state.ascending = key === state.key ? !state.ascending : false;
+        state.key = key;
+        render();
+    }));
+    document.getElementById('previous').addEventListener('click', () => { state.page = Math.max(0, state.page - 1); render(); });
+    document.getElementById('next').addEventListener('click', () => { state.page++; render(); });
+    render();
+})();
+`;
@@ -0,0 +1,108 @@
+import { writeFile } from 'fs/promises';
+import { keccak_256 } from '@noble/hashes/sha3';
+import { PublicKey } from '@solana/web3.js';
+
+const U64_MAX = 2n ** 64n - 1n;
+
+// Leaf layout of the Solana merkle-distributor program:
+// keccak256(index as u64 LE || claimant pubkey || amount as u64 LE)
+export function hashClaim(index, owner, amount) {
+    if (amount < 0n || amount > U64_MAX) {
+        throw new Error(`Claim amount for ${owner} does not fit in a u64: ${amount}`);
+    }
+
+    const data = Buffer.alloc(48);
+    data.writeBigUInt64LE(BigInt(index), 0);
+    new PublicKey(owner).toBuffer().copy(data, 8);
+    data.writeBigUInt64LE(amount, 40);
+
+    return Buffer.from(keccak_256(data));
+}
+
+// Pairs are hashed in sorted order, so proofs carry no left/right flags
+function hashPair(a, b) {
+    return Buffer.from(keccak_256(Buffer.compare(a, b) <= 0 ? Buffer.concat([a, b]) : Buffer.concat([b, a])));
+}
+
+export class MerkleTree {
+    constructor(leaves) {
+        if (leaves.length === 0) {
+            throw new Error('Cannot build a Merkle tree without leaves');
+        }
+
+        this.layers = [[...leaves].sort(Buffer.compare)];
+        while (this.layers[this.layers.length - 1].length > 1) {
+            const layer = this.layers[this.layers.length - 1];
+            const next = [];
+            for (let i = 0; i < layer.length; i += 2) {
+                // An odd node out is carried up unchanged
+                next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+            }
+            this.layers.push(next);
+        }
+    }
+
+    getRoot() {
+        return this.layers[this.layers.length - 1][0];
+    }
+
+    getProof(leaf) {
+        let index = this.layers[0].findIndex(node => node.equals(leaf));
+        if (index === -1) {
+            throw new Error('Leaf is not part of the tree');
+        }
+
+        const proof = [];
+        for (const layer of this.layers.slice(0, -1)) {
+            const pairIndex = index % 2 === 0 ? index + 1 : index - 1;
+            if (pairIndex < layer.length) {
+                proof.push(layer[pairIndex]);
+            }
+            index = Math.floor(index / 2);
+        }
+
+        return proof;
+    }
+}
+
+// Builds the claim tree for [{owner, amount}] (amount in base units, bigint).
+// Claims are indexed in wallet address order so the same allocation always
+// produces the same root. Zero amounts are left out.
+export function buildMerkleDistribution(allocations, { mint, decimals } = {}) {
+    const claims = allocations
+        .filter(allocation => allocation.amount > 0n)
+        .sort((a, b) => (a.owner < b.owner ? -1 : a.owner > b.owner ? 1 : 0))
+        .map((allocation, index) => ({
+            ...allocation,
+            index,
+            leaf: hashClaim(index, allocation.owner, allocation.amount)
+        }));
+
+    const tree = new MerkleTree(claims.map(claim => claim.leaf));
+    const tokenTotal = claims.reduce((total, claim) => total + claim.amount, 0n);
+
+    return {
+        merkleRoot: tree.getRoot().toString('hex'),
+        tokenTotal: tokenTotal.toString(),
+        maxNumNodes: claims.length,
+        mint: mint ?? null,
+        decimals: decimals ?? null,
+        claims: Object.fromEntries(claims.map(claim => [claim.owner, {
+            index: claim.index,
+            amount: claim.amount.toString(),
+            proof: tree.getProof(claim.leaf).map(node => node.toString('hex'))
+        }]))
+    };
+}
+
+export function verifyMerkleProof({ index, owner, amount, proof, root }) {
+    let computed = hashClaim(index, owner, BigInt(amount));
+    for (const node of proof) {
+        computed = hashPair(computed, Buffer.from(node, 'hex'));
+    }
+    return computed.toString('hex') === root.toLowerCase();
+}
+
+export async function writeMerkleDistribution(filepath, distribution) {
+    await writeFile(filepath, JSON.stringify(distribution, null, 2), 'utf8');
+}
@@ -0,0 +1,99 @@
+import { readFile } from 'fs/promises';
+import { MOVEMENT_LABELS } from '../analyzers/transaction-classifier.js';
+
+// Bumped whenever a field is renamed, removed or changes meaning. Added
+// fields keep the version.
+export const RESULT_SCHEMA_VERSION = 1;
+
+// Field types:
+//   string, integer, number, boolean
+//   amount     integer base units of a token as a decimal string, since they
+//              exceed 2^53; divide by 10^decimals of the field's `token` in
+//              the metadata, or of the airdropped token for `airdropped`
+//              fields (see amountDecimals)
+//   timestamp  ISO 8601 UTC
+//   list       array of strings
+// Any field can be null when it does not apply to the wallet.
+const FIXED_FIELDS = [
+    { name: 'owner', type: 'string', description: 'Wallet address' },
+    { name: 'status', type: 'string', description: 'eligible, ineligible, excluded or error' },
+    { name: 'eligible', type: 'boolean', description: 'Whether the wallet receives an airdrop' },
+    { name: 'reason', type: 'string', description: 'Explanations of every failed rule, or "Meets all eligibility criteria"' },
+    { name: 'failedRules', type: 'list', description: 'Failed rules as <criterion>:<code>, or <code> for wallet-level rules' }
+];
+
+// Stand-in for the primary token's id, replaced in resultFields
+const PRIMARY = Symbol('primary');
+
+const ANALYSIS_FIELDS = [
+    { name: 'tokenAccounts', type: 'list', description: 'Token accounts holding the primary token' },
+    { name: 'maxHeld', type: 'amount', token: PRIMARY, description: 'Largest primary token balance ever held' },
+    { name: 'twab', type: 'amount', token: PRIMARY, description: 'Time-weighted average balance over the scoring window' },
+    { name: 'minBalance', type: 'amount', token: PRIMARY, description: 'Lowest balance in the scoring window' },
+    { name: 'balanceDays', type: 'amount', token: PRIMARY, description: 'Balance integrated over the scoring window, in base-unit days' },
+    { name: 'holdingDays', type: 'integer', description: 'Days since the first acquisition' },
+    { name: 'firstAcquired', type: 'timestamp', description: 'First acquisition of the primary token' },
+    { name: 'firstAcquiredSignature', type: 'string', description: 'Transaction of the first acquisition' },
+    { name: 'everSold', type: 'boolean', description: 'Whether the wallet ever sold the primary token through a DEX' },
+    { name: 'disqualifyingSignature', type: 'string', description: 'Transaction of the latest disqualifying movement, e.g. a sale' },
+    { name: 'fullHistory', type: 'boolean', description: 'Whether the whole history was scanned; false when scanning stopped at a disqualifying movement, so the facts above only cover the history back to it' },
+    { name: 'exclusion', type: 'string', description: 'Exclusion label' },
+    { name: 'exclusionCategory', type: 'string', description: 'burn, listed, known-program, off-curve or program-owned' },
+    { name: 'overrideNote', type: 'string', description: 'Allowlist audit note' },
+    { name: 'clusterId', type: 'string', description: 'Wallet cluster the wallet belongs to' },
+    { name: 'sybilRisk', type: 'integer', description: 'Risk score (0-100) of that cluster' },
+    { name: 'airdropShare', type: 'number', description: 'Share of the airdrop in percent' },
+    { name: 'airdropAmount', type: 'amount', airdropped: true, description: 'Airdrop in base units of the airdropped token (with --airdrop-total)' }
+];
+
+// The fields of a result record, in column order. Balance and criterion
+// fields are named after the campaign's token and criterion ids.
+export function resultFields(campaign) {
+    return [
+        ...FIXED_FIELDS,
+        ...campaign.tokens.map((token, index) => ({
+            name: index === 0 ? 'balance' : `balance_${token.id}`,
+            type: 'amount',
+            token: token.id,
+            description: `${token.symbol} balance (null when below the holder-list minimum)`
+        })),
+        ...ANALYSIS_FIELDS.map(field => field.token === PRIMARY
+            ? { ...field, token: campaign.primaryToken.id }
+            : field),
+        ...campaign.criteria.map(criterion => ({
+            name: `criterion_${criterion.id}`,
+            type: 'boolean',
+            description: `Passed "${criterion.label}" (null when not evaluated)`
+        })),
+        ...Object.entries(MOVEMENT_LABELS).map(([type, label]) => ({
+            name: `movements_${type}`,
+            type: 'integer',
+            description: `Number of ${label.toLowerCase()}`
+        }))
+    ];
+}
+
+// Decimals of an amount field's token: a campaign token from the metadata's
+// tokens, or the airdropped token. Null when the run does not know them.
+export function amountDecimals(field, metadata) {
+    if (field.airdropped) return metadata.airdropDecimals ?? null;
+    return metadata.tokens?.find(token => token.id === field.token)?.decimals ?? null;
+}
+
+// A result value as JSON: amounts become decimal strings, timestamps ISO strings
+export function toJsonValue(value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (value instanceof Date) return value.toISOString();
+    return value ?? null;
+}
+
+let tool = null;
+
+// Name and version from package.json, recorded with every output
+export async function getToolInfo() {
+    if (!tool) {
+        const pkg = JSON.parse(await readFile(new URL('../../package.json', import.meta.url), 'utf8'));
+        tool = { name: pkg.name, version: pkg.version };
+    }
+    return tool;
+}
@@ -0,0 +1,372 @@
+import { createObjectCsvWriter } from 'csv-writer';
+import { mkdirSync, writeFileSync } from 'fs';
+import { appendFile, open, rm, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { amountDecimals, toJsonValue } from './result-schema.js';
+import { formatTokenAmount } from '../utils/token-amount.js';
+import { LineFile } from '../utils/line-file.js';
+import { buildHtmlReport } from './html-report.js';
+
+// Records gathered per write when a file is rewritten
+const WRITE_CHUNK = 1000;
+
+// Every writer gets the same records (see resultFields) and run metadata.
+// write() rewrites the whole file from an async iterable of the records,
+// which it streams rather than holds; append(), where a format has it,
+// streams one record as soon as its wallet is finished, so a run's output
+// grows by one line per wallet instead of being rewritten each time.
+// Every amount column is followed by <field>_decimal, the same amount in
+// whole tokens for spreadsheets, which would round the base units.
+class CsvResultWriter {
+    constructor(filepath, fields) {
+        this.filepath = filepath;
+        this.fields = fields;
+        this.header = fields.flatMap(field => field.type === 'amount'
+            ? [{ id: field.name, title: field.name }, { id: `${field.name}_decimal`, title: `${field.name}_decimal` }]
+            : [{ id: field.name, title: field.name }]);
+        this.appender = null;
+        this.appending = Promise.resolve();
+    }
+
+    // Rows are appended one at a time; the first one also writes the header
+    append(record, { metadata }) {
+        this.appending = this.appending.then(() => {
+            this.appender ??= createObjectCsvWriter({ path: this.filepath, header: this.header });
+            return this.appender.writeRecords([this.toRow(record, metadata)]);
+        });
+        return this.appending;
+    }
+
+    async write(records, { metadata }) {
+        await this.appending;
+        // A csv-writer instance appends after its first write, so a fresh
+        // one is created to rewrite the whole file
+        const csvWriter = createObjectCsvWriter({ path: this.filepath, header: this.header });
+        let empty = true;
+        for await (const chunk of inChunks(records)) {
+            await csvWriter.writeRecords(chunk.map(record => this.toRow(record, metadata)));
+            empty = false;
+        }
+        // The header on its own
+        if (empty) await csvWriter.writeRecords([]);
+        this.appender = csvWriter;
+    }
+
+    toRow(record, metadata) {
+        const row = {};
+        for (const field of this.fields) {
+            const value = record[field.name];
+            row[field.name] = toCsvValue(value);
+            if (field.type === 'amount') {
+                const decimals = amountDecimals(field, metadata);
+                row[`${field.name}_decimal`] = typeof value === 'bigint' && decimals !== null
+                    ? formatTokenAmount(value, decimals)
+                    : '';
+            }
+        }
+        return row;
+    }
+}
+
+// One document: { run, summary, results }
+class JsonResultWriter {
+    constructor(filepath, fields) {
+        this.filepath = filepath;
+        this.fields = fields;
+    }
+
+    // Laid out as JSON.stringify(document, null, 2) would, a chunk of
+    // records at a time
+    async write(records, { metadata, summary }) {
+        const head = JSON.stringify({ run: metadata, summary: summary ?? null }, null, 2);
+        await writeParts(this.filepath, (async function* (fields) {
+            yield `${head.slice(0, -2)},\n  "results": [`;
+            let separator = '\n';
+            for await (const chunk of inChunks(records)) {
+                yield chunk.map(record => {
+                    const json = separator + JSON.stringify(toJsonRecord(record, fields), null, 2).replace(/^/gm, '    ');
+                    separator = ',\n';
+                    return json;
+                }).join('');
+            }
+            yield separator === '\n' ? ']\n}' : '\n  ]\n}';
+        })(this.fields));
+    }
+}
+
+// One JSON object per line: a "run" line with the metadata, a "wallet" line
+// per wallet and, once the run is complete, a "summary" line. Wallets are
+// appended as they finish; the file is rewritten with final shares and
+// clusters when the run completes.
+class NdjsonResultWriter {
+    constructor(filepath, fields) {
+        this.filepath = filepath;
+        this.fields = fields;
+        this.started = false;
+        this.appending = Promise.resolve();
+    }
+
+    // Wallets finish concurrently, so lines are appended one at a time
+    append(record, { metadata }) {
+        const line = JSON.stringify({ type: 'wallet', ...toJsonRecord(record, this.fields) }) + '\n';
+        this.appending = this.appending.then(async () => {
+            if (!this.started) {
+                await writeFile(this.filepath, JSON.stringify({ type: 'run', ...metadata }) + '\n', 'utf8');
+                this.started = true;
+            }
+            await appendFile(this.filepath, line, 'utf8');
+        });
+        return this.appending;
+    }
+
+    async write(records, { metadata, summary }) {
+        await this.appending;
+        await writeParts(this.filepath, (async function* (fields) {
+            yield JSON.stringify({ type: 'run', ...metadata }) + '\n';
+            for await (const chunk of inChunks(records)) {
+                yield chunk.map(record => JSON.stringify({ type: 'wallet', ...toJsonRecord(record, fields) }) + '\n').join('');
+            }
+            if (summary) yield JSON.stringify({ type: 'summary', ...summary }) + '\n';
+        })(this.fields));
+        this.started = true;
+    }
+}
+
+const SQLITE_TYPES = { integer: 'INTEGER', number: 'REAL', boolean: 'INTEGER' };
+
+// Tables "results" (one column per field, amounts as TEXT) and "run"
+// (key/value JSON: metadata and summary). Uses the node:sqlite module.
+class SqliteResultWriter {
+    constructor(filepath, fields) {
+        this.filepath = filepath;
+        this.fields = fields;
+        this.sqlite = null;
+    }
+
+    // Whether this Node.js has node:sqlite, checked by loadConfig so an
+    // unsupported format fails before the run rather than when it is written
+    static async unsupported() {
+        try {
+            await import('node:sqlite');
+            return null;
+        } catch {
+            return `needs Node.js 22.13 or later, or 22.5 with --experimental-sqlite (running ${process.version})`;
+        }
+    }
+
+    async open() {
+        this.sqlite = await import('node:sqlite');
+    }
+
+    async write(records, { metadata, summary }) {
+        await rm(this.filepath, { force: true });
+        const db = new this.sqlite.DatabaseSync(this.filepath);
+        try {
+            const columns = this.fields.map(field => `"${field.name}" ${SQLITE_TYPES[field.type] ?? 'TEXT'}`);
+            db.exec(`CREATE TABLE results (${columns.join(', ')}); CREATE TABLE run (key TEXT PRIMARY KEY, value TEXT);`);
+
+            const insertRun = db.prepare('INSERT INTO run (key, value) VALUES (?, ?)');
+            insertRun.run('metadata', JSON.stringify(metadata));
+            insertRun.run('summary', JSON.stringify(summary));
+
+            const insert = db.prepare(
+                `INSERT INTO results VALUES (${this.fields.map(() => '?').join(', ')})`
+            );
+            db.exec('BEGIN');
+            for await (const record of records) {
+                insert.run(...this.fields.map(field => toSqliteValue(record[field.name])));
+            }
+            db.exec('COMMIT');
+        } finally {
+            db.close();
+        }
+    }
+}
+
+// A report page for people rather than programs (see buildHtmlReport). It
+// is only written once the records are known, not appended to, and embeds
+// every wallet, so unlike the other formats it gathers all the records.
+class HtmlResultWriter {
+    constructor(filepath) {
+        this.filepath = filepath;
+    }
+
+    async write(records, { metadata, summary }) {
+        const all = [];
+        for await (const record of records) all.push(record);
+        await writeFile(this.filepath, buildHtmlReport({ records: all, metadata, summary }), 'utf8');
+    }
+}
+
+export const RESULT_WRITERS = {
+    csv: CsvResultWriter,
+    json: JsonResultWriter,
+    ndjson: NdjsonResultWriter,
+    sqlite: SqliteResultWriter,
+    html: HtmlResultWriter
+};
+
+export const OUTPUT_FORMATS = Object.keys(RESULT_WRITERS);
+
+// Why each of the formats cannot be written by this Node.js, if any can't
+export async function checkOutputFormats(formats) {
+    const problems = [];
+    for (const format of formats) {
+        const reason = await RESULT_WRITERS[format]?.unsupported?.();
+        if (reason) problems.push(`${format} output ${reason}`);
+    }
+    return problems;
+}
+
+// The result records of a run and the writers of every requested format,
+// each writing <basePath>.<format>. Records are spooled to
+// <basePath>.records.tmp as wallets finish rather than kept in memory: only
+// where each one is and what `sortKey` picks of it stay, plus the few fields
+// changed afterwards (shares, clusters). Every flush writes them sorted by
+// `order` over those keys rather than in the order wallets finished.
+export class ResultOutput {
+    constructor(basePath, { formats, fields, metadata, sortKey = () => null, order = null }) {
+        mkdirSync(dirname(basePath), { recursive: true });
+
+        this.files = formats.map(format => `${basePath}.${format}`);
+        this.writers = formats.map((format, index) => new RESULT_WRITERS[format](this.files[index], fields));
+        this.metadata = metadata;
+        this.sortKey = sortKey;
+        this.order = order;
+        this.summary = null;
+        this.closed = false;
+        writeFileSync(`${basePath}.records.tmp`, '');
+        this.spool = new LineFile(`${basePath}.records.tmp`);
+        // key -> { position, sortKey } of every record, and key -> fields
+        // changed since it was written
+        this.entries = new Map();
+        this.patches = new Map();
+        this.isWriting = false;
+        this.writeQueue = [];
+    }
+
+    static async create(basePath, options) {
+        const output = new ResultOutput(basePath, options);
+        try {
+            for (const writer of output.writers) {
+                await writer.open?.();
+            }
+        } catch (error) {
+            await output.close();
+            throw error;
+        }
+        return output;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    // Sets the key's record, replacing any earlier one. Once closed, records
+    // of wallets still finishing are dropped rather than spooled again.
+    async updateRecord(key, record) {
+        if (this.closed) return;
+        this.entries.set(key, { position: await this.spool.append(record), sortKey: this.sortKey(record) });
+        this.patches.delete(key);
+        for (const writer of this.writers) {
+            await writer.append?.(record, { metadata: this.metadata });
+        }
+    }
+
+    // Changes fields of a record already set, from the next flush on
+    patchRecord(key, data) {
+        if (!this.entries.has(key)) return;
+        this.patches.set(key, { ...this.patches.get(key), ...data });
+    }
+
+    // Every record, sorted and patched, read back from the spool
+    async *records() {
+        const entries = [...this.entries];
+        if (this.order) entries.sort(([, a], [, b]) => this.order(a.sortKey, b.sortKey));
+
+        let index = 0;
+        for await (const record of this.spool.readAll(entries.map(([, entry]) => entry.position))) {
+            yield { ...record, ...this.patches.get(entries[index++][0]) };
+        }
+    }
+
+    // Waits for any write in progress, then rewrites every file. The summary
+    // is only known once the run is complete.
+    async flush(summary = this.summary) {
+        this.summary = summary;
+        await this.exclusively(async () => {
+            if (this.closed) return;
+            for (const writer of this.writers) {
+                await writer.write(this.records(), { metadata: this.metadata, summary: this.summary });
+            }
+        });
+    }
+
+    // Removes the spool once the output is final or abandoned; later
+    // flushes leave the files as they are
+    async close() {
+        await this.exclusively(async () => {
+            this.closed = true;
+            await this.spool.writing;
+            await rm(this.spool.filepath, { force: true });
+        });
+    }
+
+    async exclusively(task) {
+        while (this.isWriting) {
+            await new Promise(resolve => this.writeQueue.push(resolve));
+        }
+
+        this.isWriting = true;
+        try {
+            await task();
+        } finally {
+            this.isWriting = false;
+            while (this.writeQueue.length > 0) {
+                this.writeQueue.shift()();
+            }
+        }
+    }
+}
+
+// Yields the records of an async iterable in arrays of up to WRITE_CHUNK
+async function* inChunks(records) {
+    let chunk = [];
+    for await (const record of records) {
+        chunk.push(record);
+        if (chunk.length === WRITE_CHUNK) {
+            yield chunk;
+            chunk = [];
+        }
+    }
+    if (chunk.length > 0) yield chunk;
+}
+
+// Writes the file from an async iterable of strings
+async function writeParts(filepath, parts) {
+    const file = await open(filepath, 'w');
+    try {
+        for await (const part of parts) {
+            await file.write(part);
+        }
+    } finally {
+        await file.close();
+    }
+}
+
+function toJsonRecord(record, fields) {
+    return Object.fromEntries(fields.map(field => [field.name, toJsonValue(record[field.name])]));
+}
+
+function toCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.join(' ');
+    return String(toJsonValue(value));
+}
+
+function toSqliteValue(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (Array.isArray(value)) return JSON.stringify(value);
+    return toJsonValue(value);
+}
@@ -1,28 +1,18 @@
-import { mkdir } from 'fs/promises';
-import { CONFIG } from './config.js';
-import { SolanaService } from './services/solana-service.js';
-import { DiamondHandsAnalyzer } from './analyzers/diamond-hands-analyzer.js';
-import { CacheManager } from './utils/cache-manager.js';
+#!/usr/bin/env node
+import { createCli } from './cli.js';
+import { ConfigError } from './config.js';
 import { Logger } from './utils/logger.js';
+import { shutdown } from './utils/shutdown.js';
 
 async function main() {
     try {
-        // Ensure output directories exist
-        await mkdir(CONFIG.OUTPUT_DIR, { recursive: true });
-        await mkdir(CONFIG.CACHE_DIR, { recursive: true });
-
-        // Initialize services
-        const cacheManager = new CacheManager(CONFIG.CACHE_DIR);
-        const solanaService = new SolanaService(cacheManager);
-
-        // Initialize analyzer with dependencies
-        const analyzer = new DiamondHandsAnalyzer(solanaService, cacheManager);
-
-        // Run analysis
-        await analyzer.analyze();
-
+        await createCli().parseAsync(process.argv);
     } catch (error) {
-        Logger.error('Fatal error:', error);
+        if (error instanceof ConfigError) {
+            Logger.error(error.message);
+        } else {
+            Logger.error('Fatal error:', error);
+        }
         process.exit(1);
     }
 }
@@ -33,10 +23,19 @@ process.on('unhandledRejection', (error) => {
     process.exit(1);
 });
 
-process.on('SIGINT', () => {
-    Logger.info('\nReceived SIGINT. Cleaning up...');
-    process.exit(0);
-});
+// The first signal saves progress (cache, CSV, run journal) before exiting;
+// a second one exits immediately
+let shuttingDown = false;
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, async () => {
+        if (shuttingDown) {
+            process.exit(1);
+        }
+        shuttingDown = true;
+        Logger.info(`\nReceived ${signal}. Saving progress...`);
+        await shutdown();
+        process.exit(0);
+    });
+}
 
-// Start analysis
-main();
\ No newline at end of file
+main();
@@ -0,0 +1,242 @@
+import { createServer } from 'http';
+import pLimit from 'p-limit';
+import { isPublicKey } from '../config.js';
+import { formatTokenAmount } from '../utils/token-amount.js';
+import { Logger } from '../utils/logger.js';
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+// A recheck makes RPC calls, so it uses up this many requests of the limit
+const ANALYZE_COST = 10;
+// Clients whose limit has fully recovered are forgotten this often
+const PRUNE_INTERVAL_MS = 60_000;
+
+export class HttpError extends Error {
+    constructor(status, message, { headers = {} } = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.headers = headers;
+    }
+}
+
+// `perMinute` requests per client, refilled continuously, so a client can
+// burst up to the whole minute's allowance and then waits
+class RateLimiter {
+    constructor(perMinute) {
+        this.capacity = perMinute;
+        this.perMs = perMinute / 60_000;
+        this.clients = new Map();
+    }
+
+    // Takes `cost` requests from the client's allowance. Returns 0, or the ms
+    // until enough of it is back when the client is over its limit.
+    take(client, cost = 1) {
+        const now = Date.now();
+        cost = Math.min(cost, this.capacity);
+        const bucket = this.clients.get(client) ?? { tokens: this.capacity, updatedAt: now };
+        bucket.tokens = Math.min(this.capacity, bucket.tokens + (now - bucket.updatedAt) * this.perMs);
+        bucket.updatedAt = now;
+        this.clients.set(client, bucket);
+
+        if (bucket.tokens < cost) {
+            return Math.ceil((cost - bucket.tokens) / this.perMs);
+        }
+        bucket.tokens -= cost;
+        return 0;
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const [client, bucket] of this.clients) {
+            if (bucket.tokens + (now - bucket.updatedAt) * this.perMs >= this.capacity) {
+                this.clients.delete(client);
+            }
+        }
+    }
+}
+
+// Read-only JSON API over a completed run (see RunResults), plus on-demand
+// rechecks of single wallets through `recheck(address)`. Balances are exact
+// decimal strings of the run's token, airdrop amounts base units of the
+// airdropped token, as in the diff output.
+//
+//   GET  /wallets/:address   verdict, reasons, balance, share and Merkle claim
+//   GET  /summary            run, counts and the run's summary
+//   GET  /eligible           eligible wallets, largest balance first (?page, ?limit)
+//   POST /analyze/:address   rechecks the wallet against the chain now
+export class ApiServer {
+    constructor({ results, recheck, rateLimit = 60 }) {
+        this.results = results;
+        this.recheck = recheck;
+        this.limiter = new RateLimiter(rateLimit);
+        // Rechecks run one at a time; each can page through a whole history
+        this.rechecks = pLimit(1);
+        this.server = createServer((request, response) => this.handle(request, response));
+        this.pruneTimer = null;
+
+        this.routes = [
+            { method: 'GET', pattern: /^\/wallets\/([^/]+)$/, handler: address => this.getWallet(address) },
+            { method: 'GET', pattern: /^\/summary$/, handler: () => this.getSummary() },
+            { method: 'GET', pattern: /^\/eligible$/, handler: (_, query) => this.getEligible(query) },
+            { method: 'POST', pattern: /^\/analyze\/([^/]+)$/, handler: address => this.analyze(address), cost: ANALYZE_COST }
+        ];
+    }
+
+    // Resolves with the URL the server listens on
+    listen(port, host) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                this.pruneTimer = setInterval(() => this.limiter.prune(), PRUNE_INTERVAL_MS).unref();
+                const { address, port: boundPort } = this.server.address();
+                resolve(`http://${address.includes(':') ? `[${address}]` : address}:${boundPort}`);
+            });
+        });
+    }
+
+    close() {
+        clearInterval(this.pruneTimer);
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    async handle(request, response) {
+        try {
+            const url = new URL(request.url, 'http://localhost');
+            const matching = this.routes.filter(route => route.pattern.test(url.pathname));
+            if (matching.length === 0) {
+                throw new HttpError(404, `No such endpoint: ${url.pathname}`);
+            }
+            const route = matching.find(candidate => candidate.method === request.method);
+            if (!route) {
+                throw new HttpError(405, `${request.method} is not supported on ${url.pathname}`, {
+                    headers: { Allow: matching.map(candidate => candidate.method).join(', ') }
+                });
+            }
+
+            const waitMs = this.limiter.take(request.socket.remoteAddress, route.cost);
+            if (waitMs > 0) {
+                throw new HttpError(429, 'Too many requests, try again later', {
+                    headers: { 'Retry-After': String(Math.ceil(waitMs / 1000)) }
+                });
+            }
+
+            const [, param] = url.pathname.match(route.pattern);
+            const body = await route.handler(param && decodeParam(param), url.searchParams);
+            this.send(response, 200, body);
+        } catch (error) {
+            if (error instanceof HttpError) {
+                this.send(response, error.status, { error: error.message }, error.headers);
+            } else {
+                Logger.error(`${request.method} ${request.url} failed:`, error);
+                this.send(response, 500, { error: 'Internal error' });
+            }
+        }
+    }
+
+    send(response, status, body, headers = {}) {
+        const json = JSON.stringify(body, (key, value) => typeof value === 'bigint' ? value.toString() : value, 2);
+        response.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Cache-Control': 'no-store',
+            ...headers
+        });
+        response.end(json);
+    }
+
+    get run() {
+        const { runId, createdAt, completedAt, campaign, token } = this.results;
+        return { runId, createdAt, completedAt, campaign, token };
+    }
+
+    formatBalance(amount) {
+        return amount === null || amount === undefined ? null : formatTokenAmount(amount, this.results.token.decimals);
+    }
+
+    walletResult(result) {
+        return {
+            wallet: result.owner,
+            eligible: result.isEligible,
+            reason: result.reason,
+            failedRules: result.failedRules,
+            balance: this.formatBalance(result.balance),
+            airdropShare: result.airdropShare,
+            airdropAmount: result.airdropAmount ?? null,
+            clusterId: result.clusterId
+        };
+    }
+
+    getWallet(address) {
+        validateAddress(address);
+        const result = this.results.get(address);
+        if (!result) {
+            throw new HttpError(404, `${address} was not among the holders of run ${this.results.runId}`);
+        }
+        return {
+            run: this.run,
+            ...this.walletResult(result),
+            claim: this.results.claimOf(address)
+        };
+    }
+
+    getSummary() {
+        return {
+            run: this.run,
+            ...this.results.counts(),
+            summary: this.results.summary
+        };
+    }
+
+    getEligible(query) {
+        const page = parsePositive(query.get('page'), 'page') ?? 1;
+        const limit = Math.min(parsePositive(query.get('limit'), 'limit') ?? DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+        const total = this.results.eligible.length;
+        return {
+            run: this.run,
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit),
+            wallets: this.results.eligible
+                .slice((page - 1) * limit, page * limit)
+                .map(result => this.walletResult(result))
+        };
+    }
+
+    async analyze(address) {
+        validateAddress(address);
+        const result = this.results.get(address);
+        const recheck = await this.rechecks(() => this.recheck(address));
+        return {
+            run: this.run,
+            ...recheck,
+            balance: this.formatBalance(recheck.balance),
+            // What the served run decided, for comparison
+            runResult: result ? this.walletResult(result) : null
+        };
+    }
+}
+
+function decodeParam(param) {
+    try {
+        return decodeURIComponent(param);
+    } catch {
+        throw new HttpError(400, `Malformed path segment "${param}"`);
+    }
+}
+
+function validateAddress(address) {
+    if (!isPublicKey(address)) {
+        throw new HttpError(400, `"${address}" is not a base58 Solana address`);
+    }
+}
+
+function parsePositive(value, name) {
+    if (value === null) return null;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new HttpError(400, `${name} must be a positive integer`);
+    }
+    return number;
+}
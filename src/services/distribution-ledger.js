@@ -0,0 +1,104 @@
+import { appendFile, readFile } from 'fs/promises';
+import { Logger } from '../utils/logger.js';
+import { deserialize, serialize } from '../utils/serialization.js';
+
+// Append-only record of one distribution's transactions, so re-running it
+// never pays a wallet twice. The first line names the distribution (Merkle
+// root and token mint); after that every batch gets a "sent" line before it
+// is sent, with its signature and recipients, and a "confirmed" or "failed"
+// line once its fate is known. Wallets paid by a confirmed batch are skipped
+// by every later run. A batch with only a "sent" line may or may not have
+// landed; it has to be resolved against the chain first (see Distributor).
+export class DistributionLedger {
+    constructor(filepath, distribution, batches = new Map()) {
+        this.filepath = filepath;
+        this.distribution = distribution;
+        // signature -> { signature, status, recipients, lastValidBlockHeight, ... }
+        this.batches = batches;
+    }
+
+    // Starts the ledger if the file does not exist yet, unless `create` is
+    // false (a dry run writes nothing). A ledger of another distribution is
+    // refused rather than mixed with this one.
+    static async open(filepath, { merkleRoot, mint }, { create = true } = {}) {
+        const content = await readFile(filepath, 'utf8').catch(error => {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        });
+
+        if (content === null) {
+            const ledger = new DistributionLedger(filepath, { merkleRoot, mint, createdAt: new Date().toISOString() });
+            if (!create) return ledger;
+            await appendFile(filepath, serialize({ type: 'distribution', ...ledger.distribution }) + '\n', 'utf8');
+            return ledger;
+        }
+
+        let distribution = null;
+        const batches = new Map();
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            let entry;
+            try {
+                entry = deserialize(line);
+            } catch {
+                // A crash can leave the last line half-written. A lost "sent"
+                // line means the batch was never sent, since it is written first.
+                Logger.warn(`Skipping unreadable ledger line in ${filepath}`);
+                continue;
+            }
+
+            if (entry.type === 'distribution') {
+                distribution = entry;
+            } else {
+                batches.set(entry.signature, { ...batches.get(entry.signature), ...entry });
+            }
+        }
+
+        if (distribution?.merkleRoot !== merkleRoot || distribution?.mint !== mint) {
+            throw new Error(
+                `${filepath} is the ledger of another distribution ` +
+                `(root ${distribution?.merkleRoot}, mint ${distribution?.mint}); pass --ledger with a new file`
+            );
+        }
+        return new DistributionLedger(filepath, distribution, batches);
+    }
+
+    // Wallets paid by a confirmed batch
+    paid() {
+        const owners = new Set();
+        for (const batch of this.batches.values()) {
+            if (batch.status !== 'confirmed') continue;
+            for (const recipient of batch.recipients) owners.add(recipient.owner);
+        }
+        return owners;
+    }
+
+    // Batches that were sent but never confirmed or failed
+    unresolved() {
+        return [...this.batches.values()].filter(batch => batch.status === 'sent');
+    }
+
+    counts() {
+        const counts = { sent: 0, confirmed: 0, failed: 0 };
+        for (const batch of this.batches.values()) counts[batch.status]++;
+        return counts;
+    }
+
+    async sent({ signature, recipients, lastValidBlockHeight }) {
+        await this.append({ signature, status: 'sent', recipients, lastValidBlockHeight });
+    }
+
+    async confirmed(signature, { slot }) {
+        await this.append({ signature, status: 'confirmed', slot });
+    }
+
+    async failed(signature, { error }) {
+        await this.append({ signature, status: 'failed', error });
+    }
+
+    async append(entry) {
+        const line = { ...entry, at: new Date().toISOString() };
+        this.batches.set(entry.signature, { ...this.batches.get(entry.signature), ...line });
+        await appendFile(this.filepath, serialize(line) + '\n', 'utf8');
+    }
+}
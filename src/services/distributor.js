@@ -0,0 +1,323 @@
+import bs58 from 'bs58';
+import { PACKET_DATA_SIZE, PublicKey, SendTransactionError, Transaction } from '@solana/web3.js';
+import {
+    createAssociatedTokenAccountIdempotentInstruction,
+    createTransferCheckedInstruction,
+    getAccountLenForMint,
+    getAssociatedTokenAddressSync,
+    unpackAccount,
+    unpackMint
+} from '@solana/spl-token';
+
+const ACCOUNTS_PER_REQUEST = 100;
+const STATUS_POLL_MS = 2_000;
+// A batch whose blockhash expired before it landed is sent again with a new one
+const SEND_ATTEMPTS = 3;
+// The sender signs alone: it pays the fees and rent and owns the source account
+const SIGNATURES = 1;
+
+// Pays allocations ({owner, amount} in base units) straight to each owner's
+// associated token account, from the sender's associated token account.
+// Transfers are packed into as few transactions as the packet size allows;
+// missing accounts are created when `createAccounts` is set, otherwise their
+// owners are skipped. Every batch goes through a DistributionLedger, so a
+// re-run only pays who no confirmed batch has paid.
+export class Distributor {
+    constructor(rpc, { mint, sender, createAccounts = false }) {
+        this.rpc = rpc;
+        this.mint = new PublicKey(mint);
+        this.sender = new PublicKey(sender);
+        this.createAccounts = createAccounts;
+        this.programId = null;
+        this.decimals = null;
+        this.accountLength = null;
+        this.source = null;
+    }
+
+    // The mint's token program (Token or Token-2022), decimals and the size
+    // of its token accounts, which sets their rent
+    async loadMint() {
+        const info = await this.rpc.call('getAccountInfo', this.mint);
+        if (!info) {
+            throw new Error(`Mint ${this.mint.toBase58()} does not exist`);
+        }
+
+        const mint = unpackMint(this.mint, info, info.owner);
+        this.programId = info.owner;
+        this.decimals = mint.decimals;
+        this.accountLength = getAccountLenForMint(mint);
+        this.source = getAssociatedTokenAddressSync(this.mint, this.sender, true, this.programId);
+        return mint;
+    }
+
+    // What sending `allocations` takes: the recipients still to pay and
+    // their batches, who is skipped and why, the fees and rent, and the
+    // sender's balances to pay them from. `paid` owners are left out.
+    async plan(allocations, { paid = new Set() } = {}) {
+        const pending = allocations.filter(allocation => !paid.has(allocation.owner));
+        const accounts = await this.getRecipientAccounts(pending);
+
+        const recipients = [];
+        const skipped = [];
+        for (const allocation of pending) {
+            const { account, info } = accounts.get(allocation.owner);
+            if (info && !this.isTokenAccount(info, allocation.owner)) {
+                skipped.push({ ...allocation, reason: `${account.toBase58()} is not a token account of this mint` });
+            } else if (!info && !this.createAccounts) {
+                skipped.push({ ...allocation, reason: 'No token account (use --create-accounts)' });
+            } else {
+                recipients.push({ ...allocation, account, create: !info });
+            }
+        }
+
+        const batches = this.pack(recipients);
+        const creates = recipients.filter(recipient => recipient.create).length;
+        const feePerBatch = batches.length > 0 ? await this.getBatchFee(batches[0]) : 0;
+        const rentPerAccount = creates > 0
+            ? await this.rpc.call('getMinimumBalanceForRentExemption', this.accountLength)
+            : 0;
+
+        return {
+            mint: this.mint.toBase58(),
+            decimals: this.decimals,
+            sender: this.sender.toBase58(),
+            source: this.source.toBase58(),
+            paid: allocations.length - pending.length,
+            recipients: recipients.length,
+            skipped,
+            batches,
+            creates,
+            totalAmount: recipients.reduce((total, recipient) => total + recipient.amount, 0n),
+            fees: { perBatch: feePerBatch, total: feePerBatch * batches.length },
+            rent: { perAccount: rentPerAccount, total: rentPerAccount * creates },
+            balances: await this.getSenderBalances()
+        };
+    }
+
+    // Owner -> { account: its associated token account, info: null if missing }
+    async getRecipientAccounts(allocations) {
+        const accounts = new Map();
+        for (let i = 0; i < allocations.length; i += ACCOUNTS_PER_REQUEST) {
+            const chunk = allocations.slice(i, i + ACCOUNTS_PER_REQUEST).map(({ owner }) => ({
+                owner,
+                account: getAssociatedTokenAddressSync(this.mint, new PublicKey(owner), true, this.programId)
+            }));
+            const infos = await this.rpc.call('getMultipleAccountsInfo', chunk.map(({ account }) => account));
+            chunk.forEach(({ owner, account }, index) => {
+                accounts.set(owner, { account, info: infos[index] ?? null });
+            });
+        }
+        return accounts;
+    }
+
+    isTokenAccount(info, owner) {
+        if (!info.owner.equals(this.programId)) return false;
+        try {
+            const account = unpackAccount(PublicKey.default, info, this.programId);
+            return account.mint.equals(this.mint) && account.owner.toBase58() === owner;
+        } catch {
+            return false;
+        }
+    }
+
+    async getSenderBalances() {
+        const lamports = await this.rpc.call('getBalance', this.sender);
+        const info = await this.rpc.call('getAccountInfo', this.source);
+        const tokens = info ? unpackAccount(this.source, info, this.programId).amount : 0n;
+        return { lamports, tokens };
+    }
+
+    instructionsFor(recipient) {
+        return [
+            ...(recipient.create ? [createAssociatedTokenAccountIdempotentInstruction(
+                this.sender, recipient.account, new PublicKey(recipient.owner), this.mint, this.programId
+            )] : []),
+            createTransferCheckedInstruction(
+                this.source, this.mint, recipient.account, this.sender, recipient.amount, this.decimals, [], this.programId
+            )
+        ];
+    }
+
+    // Fills each transaction with recipients in order until the next one
+    // would not fit in a packet. Sizes are counted rather than serialized.
+    pack(recipients) {
+        const batches = [];
+        let batch = null;
+
+        for (const recipient of recipients) {
+            const instructions = this.instructionsFor(recipient);
+            const keys = instructions.flatMap(instruction => [
+                instruction.programId,
+                ...instruction.keys.map(key => key.pubkey)
+            ]).map(key => key.toBase58());
+            const bytes = instructions.reduce((total, instruction) => total + instructionSize(instruction), 0);
+
+            const newKeys = batch ? keys.filter(key => !batch.keys.has(key)) : [];
+            const fits = batch && transactionSize(
+                batch.keys.size + new Set(newKeys).size,
+                batch.instructionBytes + bytes,
+                batch.instructionCount + instructions.length
+            ) <= PACKET_DATA_SIZE;
+
+            if (!fits) {
+                batch = {
+                    recipients: [],
+                    amount: 0n,
+                    creates: 0,
+                    keys: new Set([this.sender.toBase58()]),
+                    instructionBytes: 0,
+                    instructionCount: 0
+                };
+                batches.push(batch);
+            }
+
+            batch.recipients.push(recipient);
+            batch.amount += recipient.amount;
+            if (recipient.create) batch.creates++;
+            keys.forEach(key => batch.keys.add(key));
+            batch.instructionBytes += bytes;
+            batch.instructionCount += instructions.length;
+        }
+
+        return batches.map(({ recipients: members, amount, creates, keys, instructionBytes, instructionCount }) => ({
+            recipients: members,
+            amount,
+            creates,
+            size: transactionSize(keys.size, instructionBytes, instructionCount)
+        }));
+    }
+
+    buildTransaction(batch, blockhash) {
+        const transaction = new Transaction({ feePayer: this.sender, recentBlockhash: blockhash });
+        for (const recipient of batch.recipients) {
+            transaction.add(...this.instructionsFor(recipient));
+        }
+        return transaction;
+    }
+
+    // Fees only depend on the signatures, so every batch costs the same
+    async getBatchFee(batch) {
+        const { blockhash } = await this.rpc.call('getLatestBlockhash', 'confirmed');
+        const message = this.buildTransaction(batch, blockhash).compileMessage();
+        const { value } = await this.rpc.call('getFeeForMessage', message, 'confirmed');
+        if (value === null) {
+            throw new Error('The RPC could not estimate the transaction fee');
+        }
+        return value;
+    }
+
+    // Signs and sends the plan's batches one at a time, each recorded in the
+    // ledger before it is sent and again once it is confirmed or failed.
+    // Stops at the first batch that fails on chain or is rejected.
+    async execute(plan, { keypair, ledger, onBatch = () => {} }) {
+        if (!keypair.publicKey.equals(this.sender)) {
+            throw new Error(`The keypair is ${keypair.publicKey.toBase58()}, not the sender ${this.sender.toBase58()}`);
+        }
+
+        for (const [index, batch] of plan.batches.entries()) {
+            const outcome = await this.sendBatch(batch, { keypair, ledger });
+            onBatch({ index, batch, ...outcome });
+        }
+    }
+
+    async sendBatch(batch, { keypair, ledger }) {
+        const recipients = batch.recipients.map(({ owner, amount }) => ({ owner, amount }));
+
+        for (let attempt = 1; attempt <= SEND_ATTEMPTS; attempt++) {
+            const { blockhash, lastValidBlockHeight } = await this.rpc.call('getLatestBlockhash', 'confirmed');
+            const transaction = this.buildTransaction(batch, blockhash);
+            transaction.sign(keypair);
+            const signature = bs58.encode(transaction.signature);
+            await ledger.sent({ signature, recipients, lastValidBlockHeight });
+
+            try {
+                await this.rpc.call('sendRawTransaction', transaction.serialize(), { preflightCommitment: 'confirmed' });
+            } catch (error) {
+                // The node refused it, e.g. in simulation, so it was never
+                // forwarded; the pool does not retry a refusal
+                if (error instanceof SendTransactionError) {
+                    await ledger.failed(signature, { error: error.message });
+                    throw new Error(`Batch ${signature} was rejected: ${error.message}`);
+                }
+                // Otherwise it may have gone out anyway; its status decides
+            }
+
+            const outcome = await this.awaitSignature(signature, lastValidBlockHeight);
+            if (outcome.status === 'confirmed') {
+                await ledger.confirmed(signature, outcome);
+                return { signature, ...outcome };
+            }
+            await ledger.failed(signature, outcome);
+            if (!outcome.expired) {
+                throw new Error(`Batch ${signature} failed: ${outcome.error}`);
+            }
+        }
+
+        throw new Error(`A batch expired ${SEND_ATTEMPTS} times without landing; the network may be congested`);
+    }
+
+    // Settles batches an interrupted run left with only a "sent" line, so
+    // their recipients are known to be paid or not before planning
+    async resolve(ledger) {
+        const unresolved = ledger.unresolved();
+        for (const batch of unresolved) {
+            const outcome = await this.awaitSignature(batch.signature, batch.lastValidBlockHeight);
+            if (outcome.status === 'confirmed') {
+                await ledger.confirmed(batch.signature, outcome);
+            } else {
+                await ledger.failed(batch.signature, outcome);
+            }
+        }
+        return unresolved.length;
+    }
+
+    // Waits until the transaction is confirmed, failed, or can no longer
+    // land because its blockhash has expired. The block height is read
+    // first: a transaction missing after its last valid height never landed.
+    // Both come from the same node, since a lagging one may not have seen a
+    // transaction that another one's height has long passed, and expiry is
+    // only declared once the node's whole history has been searched.
+    async awaitSignature(signature, lastValidBlockHeight) {
+        for (;;) {
+            const { blockHeight, status } = await this.rpc.withConnection(async connection => {
+                const blockHeight = await connection.getBlockHeight('confirmed');
+                let { value: [status] } = await connection.getSignatureStatuses([signature]);
+                if (!status && blockHeight > lastValidBlockHeight) {
+                    ({ value: [status] } = await connection.getSignatureStatuses([signature], { searchTransactionHistory: true }));
+                }
+                return { blockHeight, status };
+            }, 'Signature status');
+
+            if (status?.err) {
+                return { status: 'failed', error: JSON.stringify(status.err) };
+            }
+            if (status?.confirmationStatus === 'confirmed' || status?.confirmationStatus === 'finalized') {
+                return { status: 'confirmed', slot: status.slot };
+            }
+            if (!status && blockHeight > lastValidBlockHeight) {
+                return { status: 'failed', error: 'Blockhash expired before the transaction landed', expired: true };
+            }
+            await new Promise(resolve => setTimeout(resolve, STATUS_POLL_MS));
+        }
+    }
+}
+
+// Legacy transaction layout: signatures, message header, account keys,
+// recent blockhash and instructions, with compact-u16 lengths
+function transactionSize(keyCount, instructionBytes, instructionCount) {
+    return compactLength(SIGNATURES) + SIGNATURES * 64 +
+        3 +
+        compactLength(keyCount) + keyCount * 32 +
+        32 +
+        compactLength(instructionCount) + instructionBytes;
+}
+
+function instructionSize(instruction) {
+    return 1 +
+        compactLength(instruction.keys.length) + instruction.keys.length +
+        compactLength(instruction.data.length) + instruction.data.length;
+}
+
+function compactLength(value) {
+    return value < 0x80 ? 1 : value < 0x4000 ? 2 : 3;
+}
@@ -0,0 +1,122 @@
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+import { PublicKey } from '@solana/web3.js';
+
+const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+
+// Why an owner is excluded; campaigns can choose which of them apply
+export const EXCLUSION_CATEGORIES = ['burn', 'listed', 'known-program', 'off-curve', 'program-owned'];
+
+// Always excluded, whatever the exclusion file says
+const BUILTIN_EXCLUSIONS = {
+    '1nc1nerator11111111111111111111111111111111': 'Burn address (incinerator)'
+};
+
+// Addresses that must not receive an airdrop (exchanges, pool vaults, team,
+// burn addresses, program-owned accounts) and the allowlist that overrides
+// them for special cases.
+export class ExclusionRegistry {
+    constructor({ exclusions = {}, allowlist = {}, knownPrograms = {}, excludeOffCurve = true, excludeProgramOwned = true } = {}) {
+        this.exclusions = new Map(Object.entries({ ...BUILTIN_EXCLUSIONS, ...exclusions }));
+        this.allowlist = new Map(Object.entries(allowlist));
+        this.programLabels = new Map(
+            Object.values(knownPrograms).flatMap(programs => Object.entries(programs))
+        );
+        this.excludeOffCurve = excludeOffCurve;
+        this.excludeProgramOwned = excludeProgramOwned;
+    }
+
+    static async load({ exclusionsFile, allowlistFile, ...options }) {
+        const exclusions = exclusionsFile ? await readAddressList(exclusionsFile, 'label') : {};
+        const allowlist = allowlistFile ? await readAddressList(allowlistFile, 'note') : {};
+
+        const missingNotes = Object.entries(allowlist).filter(([, note]) => !note);
+        if (missingNotes.length > 0) {
+            throw new Error(`Allowlist entries need an audit note: ${missingNotes.map(([address]) => address).join(', ')}`);
+        }
+
+        return new ExclusionRegistry({ exclusions, allowlist, ...options });
+    }
+
+    // Decides for every owner whether it is excluded and returns a Map of
+    // owner -> { excluded, category, label, overrideNote }. getAccountOwners(addresses)
+    // must resolve to a Map of address -> owning program ID (null when the
+    // account does not exist) and is only called for undecided owners.
+    async check(owners, getAccountOwners) {
+        const results = new Map();
+        const unresolved = [];
+
+        for (const owner of owners) {
+            if (this.allowlist.has(owner)) {
+                results.set(owner, { excluded: false, category: null, label: null, overrideNote: this.allowlist.get(owner) });
+            } else if (this.exclusions.has(owner)) {
+                results.set(owner, {
+                    excluded: true,
+                    category: owner in BUILTIN_EXCLUSIONS ? 'burn' : 'listed',
+                    label: this.exclusions.get(owner) || 'Exclusion list',
+                    overrideNote: null
+                });
+            } else if (this.programLabels.has(owner)) {
+                results.set(owner, { excluded: true, category: 'known-program', label: `Program account (${this.programLabels.get(owner)})`, overrideNote: null });
+            } else if (this.excludeOffCurve && !PublicKey.isOnCurve(new PublicKey(owner).toBytes())) {
+                results.set(owner, { excluded: true, category: 'off-curve', label: 'Program-derived address (off-curve)', overrideNote: null });
+            } else {
+                results.set(owner, { excluded: false, category: null, label: null, overrideNote: null });
+                unresolved.push(owner);
+            }
+        }
+
+        if (this.excludeProgramOwned && unresolved.length > 0) {
+            const accountOwners = await getAccountOwners(unresolved);
+            for (const owner of unresolved) {
+                const program = accountOwners.get(owner);
+                if (program && program !== SYSTEM_PROGRAM_ID) {
+                    const name = this.programLabels.get(program) || program;
+                    results.set(owner, { excluded: true, category: 'program-owned', label: `Owned by program ${name}`, overrideNote: null });
+                }
+            }
+        }
+
+        return results;
+    }
+}
+
+// Reads {address: text} from a JSON object, a JSON array of
+// {address, <field>} entries, or a CSV file with "address,<field>" rows
+async function readAddressList(filepath, field) {
+    const content = await readFile(filepath, 'utf8');
+    let entries;
+
+    if (extname(filepath).toLowerCase() === '.csv') {
+        entries = content
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+            .map(line => {
+                const [address, ...rest] = line.split(',');
+                return { address: unquote(address), [field]: unquote(rest.join(',')) };
+            })
+            .filter(entry => entry.address.toLowerCase() !== 'address');
+    } else {
+        const data = JSON.parse(content);
+        entries = Array.isArray(data)
+            ? data
+            : Object.entries(data).map(([address, text]) => ({ address, [field]: text }));
+    }
+
+    const list = {};
+    for (const entry of entries) {
+        try {
+            new PublicKey(entry.address);
+        } catch {
+            throw new Error(`Invalid address "${entry.address}" in ${filepath}`);
+        }
+        list[entry.address] = entry[field] || '';
+    }
+
+    return list;
+}
+
+function unquote(value = '') {
+    return value.trim().replace(/^"(.*)"$/, '$1').trim();
+}
@@ -0,0 +1,129 @@
+import { PublicKey } from '@solana/web3.js';
+import { mkdirSync } from 'fs';
+import { appendFile, readdir, readFile } from 'fs/promises';
+import { join } from 'path';
+
+// Like utils/serialization.js, plus the web3.js types RPC responses carry:
+// PublicKey as {"$pubkey": base58} and account data as {"$bytes": base64}
+function encode(value) {
+    return JSON.stringify(value, function (key, replaced) {
+        const original = this[key];
+        if (original instanceof PublicKey) return { $pubkey: original.toBase58() };
+        if (original instanceof Uint8Array) return { $bytes: Buffer.from(original).toString('base64') };
+        if (original instanceof Date) return { $date: original.toISOString() };
+        if (typeof original === 'bigint') return { $bigint: original.toString() };
+        return replaced;
+    });
+}
+
+function decode(text) {
+    return JSON.parse(text, (key, value) => {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            const keys = Object.keys(value);
+            if (keys.length === 1 && keys[0] === '$pubkey') return new PublicKey(value.$pubkey);
+            if (keys.length === 1 && keys[0] === '$bytes') return Buffer.from(value.$bytes, 'base64');
+            if (keys.length === 1 && keys[0] === '$date') return new Date(value.$date);
+            if (keys.length === 1 && keys[0] === '$bigint') return BigInt(value.$bigint);
+        }
+        return value;
+    });
+}
+
+// Replay only serves recorded calls; anything else is a gap in the fixtures
+// that retrying cannot fill
+export class MissingFixtureError extends Error {
+    constructor(method, key) {
+        super(`No recorded response for ${method}(${key}); record the run again with --record-rpc`);
+        this.name = 'MissingFixtureError';
+        this.permanent = true;
+    }
+}
+
+// Recorded RPC responses, one <method>.ndjson file per Connection method in
+// `dir`. Each line is {key, response}, the key being the call's arguments as
+// JSON, so a replayed run has to make the same calls as the recorded one.
+export class RpcFixtures {
+    constructor(dir) {
+        this.dir = dir;
+        this.responses = null;
+        this.recorded = new Set();
+        this.appending = Promise.resolve();
+    }
+
+    static keyOf(args) {
+        return encode(args);
+    }
+
+    async load() {
+        this.responses ??= (async () => {
+            const responses = new Map();
+            let files = [];
+            try {
+                files = (await readdir(this.dir)).filter(file => file.endsWith('.ndjson'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+
+            for (const file of files) {
+                const method = file.slice(0, -'.ndjson'.length);
+                const lines = (await readFile(join(this.dir, file), 'utf8')).split('\n').filter(Boolean);
+                // A call recorded twice keeps its latest response
+                responses.set(method, new Map(lines.map(line => {
+                    const { key, response } = JSON.parse(line);
+                    return [key, response];
+                })));
+            }
+            return responses;
+        })();
+        return this.responses;
+    }
+
+    async get(method, args) {
+        const key = RpcFixtures.keyOf(args);
+        const response = (await this.load()).get(method)?.get(key);
+        if (response === undefined) {
+            throw new MissingFixtureError(method, key);
+        }
+        return decode(JSON.stringify(response));
+    }
+
+    // Appended one call at a time, each call once per run
+    record(method, args, response) {
+        const key = RpcFixtures.keyOf(args);
+        if (this.recorded.has(`${method}:${key}`)) return this.appending;
+        this.recorded.add(`${method}:${key}`);
+
+        const line = encode({ key, response: response ?? null }) + '\n';
+        this.appending = this.appending.then(() => {
+            mkdirSync(this.dir, { recursive: true });
+            return appendFile(join(this.dir, `${method}.ndjson`), line, 'utf8');
+        });
+        return this.appending;
+    }
+}
+
+// A Connection that saves every successful response to `fixtures`
+export function createRecordingConnection(connection, fixtures) {
+    return new Proxy(connection, {
+        get(target, method) {
+            const value = target[method];
+            if (typeof value !== 'function') return value;
+
+            return async (...args) => {
+                const response = await value.apply(target, args);
+                await fixtures.record(method, args, response);
+                return response;
+            };
+        }
+    });
+}
+
+// A Connection that answers every call from `fixtures`, without a network
+export function createReplayConnection(fixtures) {
+    return new Proxy({}, {
+        get(_target, method) {
+            if (typeof method !== 'string' || method === 'then') return undefined;
+            return (...args) => fixtures.get(method, args);
+        }
+    });
+}
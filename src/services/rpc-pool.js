@@ -0,0 +1,351 @@
+import { Connection, SendTransactionError } from '@solana/web3.js';
+import pLimit from 'p-limit';
+import { Logger } from '../utils/logger.js';
+import { withRetry } from '../utils/retry.js';
+import { RpcFixtures, createRecordingConnection, createReplayConnection } from './rpc-fixtures.js';
+
+const FAILURES_BEFORE_UNHEALTHY = 3;
+const UNHEALTHY_COOLDOWN_MS = 30_000;
+const REQUEST_TIMEOUT_MS = 60_000;
+// Cooldown after a 429 that came without a Retry-After header
+const DEFAULT_RATE_LIMIT_COOLDOWN_MS = 1_000;
+// Adaptive throttling never goes below this many requests per second
+const MIN_RATE = 1;
+// Above this an endpoint without a configured limit is unthrottled again
+const UNLIMITED_RATE = 1_000;
+
+// JSON-RPC errors that mean the node is behind or unhealthy, which another
+// endpoint may not be; every other error response is the same everywhere
+const NODE_UNHEALTHY_RPC_CODES = new Set([-32005]);
+
+export class RpcError extends Error {
+    constructor(message, { status = null, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'RpcError';
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// The endpoint answered with a JSON-RPC error: web3.js puts its code on a
+// SolanaJSONRPCError, and a rejected transaction is a SendTransactionError
+function isErrorResponse(error) {
+    if (error instanceof SendTransactionError) return true;
+    return typeof error.code === 'number' && !NODE_UNHEALTHY_RPC_CODES.has(error.code);
+}
+
+// Only transport failures (network errors, timeouts, 429 and 5xx responses)
+// and unhealthy nodes are retried; they are also what counts against an
+// endpoint's health
+export function isRetryableRpcError(error) {
+    return !error.permanent && !isErrorResponse(error);
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+class RpcEndpoint {
+    constructor({ url, label = null, weight = 1, requestsPerSecond = null, concurrency = 5, connection = null }) {
+        this.url = url;
+        this.label = label ?? new URL(url).host; // paths often carry API keys
+        this.weight = weight;
+        this.maxRate = requestsPerSecond ?? Infinity;
+        this.rate = this.maxRate;
+        this.limiter = pLimit(concurrency);
+        this.nextSlot = 0;
+        this.recentStarts = [];
+        this.currentWeight = 0;
+
+        this.healthy = true;
+        this.unhealthyUntil = 0;
+        this.cooldownUntil = 0;
+        this.consecutiveFailures = 0;
+        this.probing = null;
+
+        this.stats = { requests: 0, failures: 0, rateLimited: 0, totalLatencyMs: 0, lastError: null };
+
+        this.connection = connection ?? new Connection(url, {
+            commitment: 'confirmed',
+            confirmTransactionInitialTimeout: 60000,
+            // 429s are handled here so the pool can fail over instead of waiting
+            disableRetryOnRateLimit: true,
+            fetch: (input, init) => this.fetch(input, init)
+        });
+    }
+
+    async fetch(input, init) {
+        const response = await fetch(input, { ...init, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+
+        if (response.status === 429) {
+            throw new RpcError(`${this.label} is rate limiting (429)`, {
+                status: 429,
+                retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+            });
+        }
+        if (response.status >= 500) {
+            throw new RpcError(`${this.label} responded with ${response.status} ${response.statusText}`, {
+                status: response.status
+            });
+        }
+
+        return response;
+    }
+
+    isAvailable(now) {
+        return this.healthy && this.cooldownUntil <= now;
+    }
+
+    needsProbe(now) {
+        return !this.healthy && this.unhealthyUntil <= now && !this.probing;
+    }
+
+    async run(fn) {
+        return this.limiter(async () => {
+            await this.waitForRate();
+
+            const started = Date.now();
+            this.stats.requests++;
+            try {
+                const result = await fn(this.connection);
+                this.recordSuccess(Date.now() - started);
+                return result;
+            } catch (error) {
+                this.recordFailure(error, Date.now() - started);
+                error.rpcEndpoint = this.label;
+                throw error;
+            }
+        });
+    }
+
+    // Spaces requests 1/rate seconds apart
+    async waitForRate() {
+        const now = Date.now();
+        this.recentStarts = this.recentStarts.filter(time => time > now - 1000);
+        this.recentStarts.push(now);
+
+        if (this.rate === Infinity) return;
+
+        const slot = Math.max(now, this.nextSlot);
+        this.nextSlot = slot + 1000 / this.rate;
+        if (slot > now) {
+            await new Promise(resolve => setTimeout(resolve, slot - now));
+        }
+    }
+
+    recordSuccess(latencyMs) {
+        this.stats.totalLatencyMs += latencyMs;
+        this.consecutiveFailures = 0;
+
+        // Creep back up after being throttled
+        if (this.rate < this.maxRate) {
+            this.rate = this.rate * 1.05;
+            if (this.rate >= Math.min(this.maxRate, UNLIMITED_RATE)) this.rate = this.maxRate;
+        }
+    }
+
+    recordFailure(error, latencyMs) {
+        this.stats.failures++;
+        this.stats.totalLatencyMs += latencyMs;
+        this.stats.lastError = error.message;
+
+        if (error.status === 429) {
+            // Honor Retry-After and halve the request rate
+            this.stats.rateLimited++;
+            this.cooldownUntil = Date.now() + (error.retryAfterMs ?? DEFAULT_RATE_LIMIT_COOLDOWN_MS);
+            const current = this.rate === Infinity ? this.recentStarts.length : this.rate;
+            this.rate = Math.max(MIN_RATE, current / 2);
+            return;
+        }
+
+        if (!isRetryableRpcError(error)) return;
+
+        this.consecutiveFailures++;
+        if (this.healthy && this.consecutiveFailures >= FAILURES_BEFORE_UNHEALTHY) {
+            this.markUnhealthy(error);
+        }
+    }
+
+    markUnhealthy(error) {
+        if (this.healthy) {
+            Logger.warn(`RPC endpoint ${this.label} marked unhealthy: ${error.message}`);
+        }
+        this.healthy = false;
+        this.unhealthyUntil = Date.now() + UNHEALTHY_COOLDOWN_MS;
+    }
+
+    // Health check: a cheap getSlot call. Brings an unhealthy endpoint back.
+    async probe() {
+        this.probing ??= (async () => {
+            const started = Date.now();
+            try {
+                const slot = await this.connection.getSlot();
+                if (!this.healthy) {
+                    Logger.info(`RPC endpoint ${this.label} is healthy again`);
+                }
+                this.healthy = true;
+                this.consecutiveFailures = 0;
+                return { healthy: true, slot, latencyMs: Date.now() - started, error: null };
+            } catch (error) {
+                this.stats.lastError = error.message;
+                this.markUnhealthy(error);
+                return { healthy: false, slot: null, latencyMs: Date.now() - started, error: error.message };
+            } finally {
+                this.probing = null;
+            }
+        })();
+        return this.probing;
+    }
+
+    metrics() {
+        return {
+            endpoint: this.label,
+            weight: this.weight,
+            healthy: this.healthy,
+            requests: this.stats.requests,
+            failures: this.stats.failures,
+            rateLimited: this.stats.rateLimited,
+            avgLatencyMs: this.stats.requests > 0 ? Math.round(this.stats.totalLatencyMs / this.stats.requests) : 0,
+            rate: this.rate,
+            lastError: this.stats.lastError
+        };
+    }
+}
+
+// Spreads RPC calls over weighted endpoints, each with its own concurrency
+// and rate limit. Rate-limited endpoints cool down for their Retry-After,
+// failing ones are taken out until a health check passes, and every call
+// goes through the shared retry policy, failing over to other endpoints.
+export class RpcPool {
+    // endpoints: [{url, weight, requestsPerSecond, concurrency}], or
+    // {label, connection} for a Connection-like object that is not fetched
+    constructor(endpoints) {
+        if (endpoints.length === 0) {
+            throw new Error('At least one RPC endpoint is required');
+        }
+        this.endpoints = endpoints.map(endpoint => new RpcEndpoint(endpoint));
+    }
+
+    // RPC_REPLAY_DIR answers every call from recorded fixtures instead of
+    // the endpoints; RPC_RECORD_DIR saves the endpoints' responses there.
+    static fromConfig(config) {
+        if (config.RPC_REPLAY_DIR) {
+            return new RpcPool([{
+                label: `replay:${config.RPC_REPLAY_DIR}`,
+                concurrency: config.CONCURRENT_LIMIT,
+                connection: createReplayConnection(new RpcFixtures(config.RPC_REPLAY_DIR))
+            }]);
+        }
+
+        const endpoints = config.RPC_ENDPOINTS?.length > 0
+            ? config.RPC_ENDPOINTS
+            : [{ url: config.RPC_ENDPOINT }];
+
+        const pool = new RpcPool(endpoints.map(endpoint => ({ concurrency: config.CONCURRENT_LIMIT, ...endpoint })));
+        if (config.RPC_RECORD_DIR) {
+            const fixtures = new RpcFixtures(config.RPC_RECORD_DIR);
+            for (const endpoint of pool.endpoints) {
+                endpoint.connection = createRecordingConnection(endpoint.connection, fixtures);
+            }
+        }
+        return pool;
+    }
+
+    // Calls connection[method](...args) on a healthy endpoint
+    async call(method, ...args) {
+        return this.withConnection(connection => connection[method](...args), method);
+    }
+
+    // Runs fn(connection) on one healthy endpoint, for reads that only make
+    // sense together when they come from the same node. A retry runs all of
+    // fn again, possibly on another endpoint.
+    async withConnection(fn, label = 'RPC call') {
+        return withRetry(
+            async () => {
+                const endpoint = await this.pickEndpoint();
+                return endpoint.run(fn);
+            },
+            {
+                shouldRetry: isRetryableRpcError,
+                // Another endpoint can take the call right away; a rate-limited
+                // endpoint is waited for in pickEndpoint
+                delayFor: (error, attempt, backoff) =>
+                    error.status === 429 || this.hasAvailableEndpoint(error.rpcEndpoint) ? 0 : backoff,
+                onRetry: (error, attempt) =>
+                    Logger.warn(`${label} failed on ${error.rpcEndpoint ?? 'RPC'} (attempt ${attempt}): ${error.message}`)
+            }
+        );
+    }
+
+    hasAvailableEndpoint(except) {
+        const now = Date.now();
+        return this.endpoints.some(endpoint => endpoint.label !== except && endpoint.isAvailable(now));
+    }
+
+    // Waits for a rate-limited endpoint's cooldown, or for an unhealthy one to
+    // be probed, when nothing is available. Gives up once a probe has failed.
+    async pickEndpoint() {
+        let probed = false;
+
+        for (;;) {
+            const now = Date.now();
+            const probes = this.endpoints
+                .filter(endpoint => endpoint.needsProbe(now))
+                .map(endpoint => endpoint.probe());
+
+            const available = this.endpoints.filter(endpoint => endpoint.isAvailable(now));
+            if (available.length > 0) {
+                return this.selectWeighted(available);
+            }
+
+            if (probes.length > 0) {
+                await Promise.all(probes);
+                probed = true;
+                continue;
+            }
+
+            const waiting = this.endpoints.filter(endpoint => endpoint.healthy || !probed);
+            if (waiting.length === 0) {
+                // Retrying would only wait out the cooldown and probe again
+                const error = new RpcError('No healthy RPC endpoint available');
+                error.permanent = true;
+                throw error;
+            }
+
+            const wakeAt = Math.min(...waiting.map(endpoint =>
+                endpoint.healthy ? endpoint.cooldownUntil : endpoint.unhealthyUntil
+            ));
+            await new Promise(resolve => setTimeout(resolve, Math.max(wakeAt - now, 10)));
+        }
+    }
+
+    // Smooth weighted round-robin: deterministic and evenly interleaved
+    selectWeighted(endpoints) {
+        const totalWeight = endpoints.reduce((total, endpoint) => total + endpoint.weight, 0);
+        let best = endpoints[0];
+
+        for (const endpoint of endpoints) {
+            endpoint.currentWeight += endpoint.weight;
+            if (endpoint.currentWeight > best.currentWeight) best = endpoint;
+        }
+
+        best.currentWeight -= totalWeight;
+        return best;
+    }
+
+    async checkHealth() {
+        return Promise.all(this.endpoints.map(async endpoint => ({
+            endpoint: endpoint.label,
+            ...await endpoint.probe()
+        })));
+    }
+
+    metrics() {
+        return this.endpoints.map(endpoint => endpoint.metrics());
+    }
+}
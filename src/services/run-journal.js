@@ -0,0 +1,207 @@
+import { mkdir, open, readFile, readdir, rename, writeFile } from 'fs/promises';
+import { randomBytes } from 'crypto';
+import { join } from 'path';
+import { DEFAULT_CONFIG } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import { LineFile } from '../utils/line-file.js';
+import { deserialize, serialize } from '../utils/serialization.js';
+
+// Settings that only affect how a run talks to the RPC or where its cache
+// lives. Everything else decides the result and is frozen with the run.
+const OPERATIONAL_SETTINGS = ['RPC_ENDPOINT', 'RPC_ENDPOINTS', 'RPC_RECORD_DIR', 'RPC_REPLAY_DIR', 'CACHE_DIR', 'OUTPUT_FORMATS', 'CONCURRENT_LIMIT', 'BATCH_SIZE', 'RETRY_LIMIT', 'RETRY_DELAY', 'RETRY_MAX_DELAY'];
+
+// Characters of results gathered per write
+const WRITE_CHUNK = 64 * 1024;
+
+// The config without OPERATIONAL_SETTINGS
+export function runSettings(config) {
+    return Object.fromEntries(
+        Object.entries(config).filter(([key]) => !OPERATIONAL_SETTINGS.includes(key))
+    );
+}
+
+// Journal of one analysis run: the settings and holder list it started with
+// and one line per finished wallet, appended as soon as the wallet is done,
+// so an interrupted run can be resumed without redoing finished wallets.
+// Only where each wallet's line is stays in memory; get() reads it back.
+export class RunJournal {
+    constructor(dir, run, entries = null, positions = new Map()) {
+        this.dir = dir;
+        this.run = run;
+        this.entries = entries ?? new LineFile(this.entriesFile);
+        this.positions = positions;
+    }
+
+    get runId() {
+        return this.run.runId;
+    }
+
+    get holders() {
+        return this.run.holders;
+    }
+
+    get outputName() {
+        return this.run.outputName;
+    }
+
+    get campaign() {
+        return this.run.campaign;
+    }
+
+    get completed() {
+        return this.positions.size;
+    }
+
+    get metaFile() {
+        return join(this.dir, `${this.runId}.json`);
+    }
+
+    get entriesFile() {
+        return join(this.dir, `${this.runId}.ndjson`);
+    }
+
+    get resultsFile() {
+        return join(this.dir, `${this.runId}.results.json`);
+    }
+
+    static async create(dir, config, campaign) {
+        const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+        const run = {
+            runId: `${timestamp}-${randomBytes(2).toString('hex')}`,
+            createdAt: new Date().toISOString(),
+            status: 'running',
+            settings: runSettings(config),
+            campaign: campaign.toJSON(),
+            holders: null,
+            outputName: null
+        };
+
+        await mkdir(dir, { recursive: true });
+        const journal = new RunJournal(dir, run);
+        await journal.save();
+        return journal;
+    }
+
+    static async open(dir, runId) {
+        const journal = new RunJournal(dir, { runId });
+        const run = await RunJournal.loadRun(dir, runId);
+
+        // A crash can leave the last line half-written; that wallet is redone
+        const positions = new Map();
+        const entries = await LineFile.scan(journal.entriesFile, (line, position) => {
+            try {
+                positions.set(deserialize(line).owner, position);
+            } catch {
+                Logger.warn(`Skipping unreadable journal line in ${journal.entriesFile}`);
+            }
+        });
+
+        return new RunJournal(dir, run, entries, positions);
+    }
+
+    // The run's settings, campaign and holder list, without its wallets
+    static async loadRun(dir, runId) {
+        const journal = new RunJournal(dir, { runId });
+        try {
+            return deserialize(await readFile(journal.metaFile, 'utf8'));
+        } catch {
+            throw new Error(`No run "${runId}" found in ${dir}`);
+        }
+    }
+
+    // Puts the run's frozen settings back into config, warning about any
+    // non-default value given now that differs from what the run started with
+    restoreSettings(config) {
+        for (const [key, value] of Object.entries(this.run.settings)) {
+            const current = JSON.stringify(config[key]);
+            if (current !== JSON.stringify(value) && current !== JSON.stringify(DEFAULT_CONFIG[key])) {
+                Logger.warn(`Resuming with ${key}=${JSON.stringify(value)} from run ${this.runId} (ignoring ${JSON.stringify(config[key])})`);
+            }
+        }
+        Object.assign(config, structuredClone(this.run.settings));
+    }
+
+    // Called once the holder list is known; a resumed run reuses it as is
+    async freeze({ holders, outputName }) {
+        this.run.holders = holders;
+        this.run.outputName = outputName;
+        await this.save();
+    }
+
+    has(owner) {
+        return this.positions.has(owner);
+    }
+
+    // The wallet's { owner, analysis, exclusion }, or undefined
+    async get(owner) {
+        const position = this.positions.get(owner);
+        return position ? this.entries.read(position) : undefined;
+    }
+
+    async record(owner, { analysis, exclusion }) {
+        this.positions.set(owner, await this.entries.append({ owner, analysis, exclusion: exclusion ?? null }));
+    }
+
+    // Final verdict, balance and share of every wallet once the run is
+    // complete. results: an (async) iterable of { owner, balance, isEligible,
+    // reason, failedRules, clusterId, airdropShare, airdropAmount }, balances
+    // in base units of token, written as they come. The file only appears
+    // once it is complete, since its presence marks the run as completed.
+    async saveResults({ campaign, token, results }) {
+        const head = serialize({
+            runId: this.runId,
+            createdAt: this.run.createdAt,
+            completedAt: new Date().toISOString(),
+            campaign,
+            token
+        });
+        const partial = `${this.resultsFile}.tmp`;
+        const file = await open(partial, 'w');
+        try {
+            let pending = `${head.slice(0, -1)},"results":[`;
+            let separator = '';
+            for await (const result of results) {
+                pending += separator + serialize(result);
+                separator = ',';
+                if (pending.length >= WRITE_CHUNK) {
+                    await file.write(pending);
+                    pending = '';
+                }
+            }
+            await file.write(pending + ']}');
+        } finally {
+            await file.close();
+        }
+        await rename(partial, this.resultsFile);
+    }
+
+    static async loadResults(dir, runId) {
+        const journal = new RunJournal(dir, { runId });
+        try {
+            return deserialize(await readFile(journal.resultsFile, 'utf8'));
+        } catch {
+            throw new Error(`No results for run "${runId}" in ${dir} (only completed runs have results)`);
+        }
+    }
+
+    // Run IDs start with their creation time, so the newest completed run is
+    // the last one with results. Null when no run has completed yet.
+    static async latestCompleted(dir) {
+        const files = await readdir(dir).catch(() => []);
+        const runIds = files
+            .filter(file => file.endsWith('.results.json'))
+            .map(file => file.slice(0, -'.results.json'.length))
+            .sort();
+        return runIds.at(-1) ?? null;
+    }
+
+    async setStatus(status) {
+        this.run.status = status;
+        this.run.updatedAt = new Date().toISOString();
+        await this.save();
+    }
+
+    async save() {
+        await writeFile(this.metaFile, serialize(this.run), 'utf8');
+    }
+}
@@ -0,0 +1,78 @@
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { RunJournal } from './run-journal.js';
+import { compareAmountsDesc } from '../utils/token-amount.js';
+
+async function readJson(filepath) {
+    try {
+        return JSON.parse(await readFile(filepath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+// One completed run as the serve command answers from it: every wallet's
+// verdict and share from the run's saved results (see RunJournal.saveResults),
+// the summary from <output>.meta.json and the claims of <output>.merkle.json.
+// Output files left behind by another run with the same output name are
+// ignored.
+export class RunResults {
+    constructor({ run, results, metadata = null, distribution = null }) {
+        // Settings and campaign the run was analyzed with
+        this.run = run;
+        this.runId = results.runId;
+        this.createdAt = results.createdAt;
+        this.completedAt = results.completedAt;
+        this.campaign = results.campaign;
+        this.token = results.token;
+        this.summary = metadata?.runId === this.runId ? metadata.summary ?? null : null;
+        this.distribution = distribution?.mint === this.token.mint ? distribution : null;
+
+        this.wallets = new Map(results.results.map(result => [result.owner, result]));
+        // Largest balance first, like the result files
+        this.eligible = results.results
+            .filter(result => result.isEligible)
+            .sort((a, b) => compareAmountsDesc(a.balance, b.balance) || a.owner.localeCompare(b.owner));
+    }
+
+    // The given run, or the newest completed one in `runsDir`
+    static async load(runsDir, runId = null) {
+        runId ??= await RunJournal.latestCompleted(runsDir);
+        if (!runId) {
+            throw new Error(`No completed run in ${runsDir}; run "analyze" first`);
+        }
+
+        const run = await RunJournal.loadRun(runsDir, runId);
+        const results = await RunJournal.loadResults(runsDir, runId);
+        const output = join(run.settings.OUTPUT_DIR, run.outputName);
+        return new RunResults({
+            run,
+            results,
+            metadata: await readJson(`${output}.meta.json`),
+            distribution: await readJson(`${output}.merkle.json`)
+        });
+    }
+
+    get(owner) {
+        return this.wallets.get(owner) ?? null;
+    }
+
+    // The wallet's claim, if the run's distribution has one for exactly the
+    // amount the results allocate to it
+    claimOf(owner) {
+        const claim = this.distribution?.claims?.[owner];
+        const result = this.get(owner);
+        if (!claim || result?.airdropAmount === null || result?.airdropAmount === undefined) return null;
+        return claim.amount === result.airdropAmount.toString()
+            ? { ...claim, merkleRoot: this.distribution.merkleRoot }
+            : null;
+    }
+
+    counts() {
+        return {
+            wallets: this.wallets.size,
+            eligible: this.eligible.length
+        };
+    }
+}
@@ -1,33 +1,162 @@
-import {Connection, PublicKey} from '@solana/web3.js';
-import {TOKEN_PROGRAM_ID} from '@solana/spl-token';
-import pLimit from 'p-limit';
+import {PublicKey} from '@solana/web3.js';
+import {TOKEN_2022_PROGRAM_ID, TOKEN_PROGRAM_ID} from '@solana/spl-token';
+import {createHash} from 'crypto';
 import {CONFIG} from '../config.js';
 import {Logger} from '../utils/logger.js';
+import {WorkQueue} from '../utils/work-queue.js';
+import {RpcPool} from './rpc-pool.js';
+import {getOwnerBalanceChange} from '../utils/token-balances.js';
+import {parseTokenAmount} from '../utils/token-amount.js';
+import {buildBalanceTimeline, computeBalanceMetrics} from '../analyzers/balance-timeline.js';
+import {MOVEMENT_TYPES, TransactionClassifier, emptyMovementCounts} from '../analyzers/transaction-classifier.js';
+import {findFundingSource} from '../analyzers/cluster-analyzer.js';
 
+// Bump when the shape or meaning of a wallet analysis changes
+const ANALYSIS_VERSION = 6;
+
+// Bump when the shape of cached holder lists changes
+const HOLDERS_VERSION = 2;
+
+// Bump when the shape of cached transaction histories changes
+const HISTORY_VERSION = 2;
+
+const SIGNATURE_PAGE_SIZE = 1000;
+// Parsed transactions fetched at once; at most this many of a wallet's
+// transactions are in memory before the ones touching the mint are kept
+const TRANSACTION_BATCH_SIZE = 50;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Holders and wallet histories of one mint
 export class SolanaService {
-    constructor(cacheManager) {
-        this.connection = new Connection(CONFIG.RPC_ENDPOINT, {
-            commitment: 'confirmed',
-            confirmTransactionInitialTimeout: 60000
+    constructor(cacheManager, {mint = CONFIG.KOKO_TOKEN, rpc = RpcPool.fromConfig(CONFIG)} = {}) {
+        // Every RPC call goes through the pool, which handles rate limits,
+        // retries and failover
+        this.rpc = rpc;
+        this.mint = mint;
+        this.mintPubkey = new PublicKey(mint);
+        this.classifier = new TransactionClassifier({
+            mint,
+            knownPrograms: CONFIG.KNOWN_PROGRAMS,
+            airdropSources: CONFIG.AIRDROP_SOURCES
         });
-        this.mintPubkey = new PublicKey(CONFIG.KOKO_TOKEN);
-        this.limiter = pLimit(CONFIG.CONCURRENT_LIMIT);
         this.processedWallets = new Set();
+        this.syncedWallets = new Set();
+        this.partialHistories = new Set();
         this.cacheManager = cacheManager;
-        this.retryLimit = 3;
-        this.retryDelay = 2000;
+        this.snapshot = undefined;
+        this.fullHistory = CONFIG.FULL_HISTORY;
+    }
+
+    // A service for another mint sharing this one's RPC pool, cache and snapshot
+    forMint(mint) {
+        const service = new SolanaService(this.cacheManager, {mint, rpc: this.rpc});
+        service.snapshot = this.snapshot;
+        return service;
+    }
+
+    // Resolves --snapshot-slot / --snapshot-time to {slot, time}, or null when
+    // analyzing current balances.
+    async getSnapshot() {
+        if (this.snapshot !== undefined) return this.snapshot;
+
+        if (CONFIG.SNAPSHOT_SLOT !== null) {
+            const blockTime = await this.rpc.call('getBlockTime', CONFIG.SNAPSHOT_SLOT);
+            if (blockTime === null) {
+                throw new Error(`No block time available for snapshot slot ${CONFIG.SNAPSHOT_SLOT}`);
+            }
+            this.snapshot = {slot: CONFIG.SNAPSHOT_SLOT, time: new Date(blockTime * 1000)};
+        } else if (CONFIG.SNAPSHOT_TIME !== null) {
+            this.snapshot = {slot: null, time: new Date(CONFIG.SNAPSHOT_TIME)};
+        } else {
+            this.snapshot = null;
+        }
+
+        return this.snapshot;
     }
 
-    async getAllHolders() {
-        let holders = await this.cacheManager.get('all_holders');
+    // Scans every history of this mint to its start, as FULL_HISTORY does for
+    // all of them; before the first analysis, since it changes rulesStamp
+    requireFullHistory() {
+        this.fullHistory = true;
+        this.cachedRulesStamp = undefined;
+    }
+
+    // Results depend on the mint and the snapshot, so they are cached under
+    // their own keys
+    snapshotCacheKey(key) {
+        key = `${this.mint}:${key}`;
+        if (!this.snapshot) return key;
+        return this.snapshot.slot !== null
+            ? `${key}_slot_${this.snapshot.slot}`
+            : `${key}_time_${this.snapshot.time.getTime()}`;
+    }
+
+    // Identifies every setting a wallet analysis depends on. Cached analyses
+    // (and results built from them) are only reused while it stays the same.
+    // Thresholds are not part of it: they are checked by the campaign.
+    get rulesStamp() {
+        this.cachedRulesStamp ??= createHash('sha256').update(JSON.stringify({
+            version: ANALYSIS_VERSION,
+            mint: this.mint,
+            disqualifyingMovements: CONFIG.DISQUALIFYING_MOVEMENTS,
+            scoringWindowDays: this.scoringWindowDays,
+            knownPrograms: CONFIG.KNOWN_PROGRAMS,
+            airdropSources: CONFIG.AIRDROP_SOURCES,
+            fullHistory: this.fullHistory
+        })).digest('hex').slice(0, 16);
+        return this.cachedRulesStamp;
+    }
+
+    // Holder lists depend on the mint and the minimum balance they were
+    // filtered by
+    holdersStamp(minTokens) {
+        return `${HOLDERS_VERSION}:${this.mint}:${minTokens}`;
+    }
+
+    get scoringWindowDays() {
+        return CONFIG.SCORING_WINDOW_DAYS ?? CONFIG.MONTHS_REQUIRED * 30;
+    }
+
+    // Live results go stale as new transactions land; snapshot results never do
+    cacheTtl(hours) {
+        return this.snapshot || hours === null ? null : hours * HOUR_MS;
+    }
+
+    isBeforeSnapshot(tx, snapshot) {
+        if (!snapshot) return true;
+        if (snapshot.slot !== null && tx.slot !== undefined) return tx.slot <= snapshot.slot;
+        return tx.blockTime * 1000 <= snapshot.time.getTime();
+    }
+
+    // Holding durations are measured up to the snapshot instead of now
+    async getReferenceTime() {
+        const snapshot = await this.getSnapshot();
+        return snapshot ? snapshot.time.getTime() : Date.now();
+    }
+
+    // minTokens is in whole tokens
+    async getCachedHolders(minTokens) {
+        await this.getSnapshot();
+        return this.cacheManager.get('holders', this.snapshotCacheKey('all'), {stamp: this.holdersStamp(minTokens)});
+    }
+
+    async getAllHolders(minTokens) {
+        const snapshot = await this.getSnapshot();
+        let holders = await this.getCachedHolders(minTokens);
         if (holders) {
             Logger.info('Using cached holders list');
             return holders;
         }
 
         try {
-            holders = await this.fetchHoldersWithRetry();
-            await this.cacheManager.set('all_holders', holders);
+            holders = snapshot
+                ? await this.fetchSnapshotHolders(snapshot, minTokens)
+                : await this.fetchHolders(minTokens);
+            await this.cacheManager.set('holders', this.snapshotCacheKey('all'), holders, {
+                stamp: this.holdersStamp(minTokens),
+                ttl: this.cacheTtl(CONFIG.HOLDERS_CACHE_TTL_HOURS)
+            });
             return holders;
         } catch (error) {
             Logger.error('Error fetching holders:', error);
@@ -35,126 +164,358 @@ export class SolanaService {
         }
     }
 
-    async fetchHoldersWithRetry(attempt = 1) {
-        try {
-            const accounts = await this.connection.getParsedProgramAccounts(
-                TOKEN_PROGRAM_ID,
-                {
-                    filters: [
-                        {dataSize: 165},
-                        {memcmp: {offset: 0, bytes: this.mintPubkey.toBase58()}}
-                    ]
+    // Balances at the snapshot are rebuilt from each holder's history, so
+    // every holder is fetched and minTokens is only applied afterwards.
+    // Wallets that held at the snapshot but have since sold or closed their
+    // accounts are not current holders: every token they moved out after the
+    // snapshot was either burned, which names the mint, or received by a
+    // wallet whose own history shows them. So the holders are the current
+    // ones, the owners in the mint's later transactions, and every owner
+    // found in the later transactions of a holder, until no new one turns up.
+    async fetchSnapshotHolders(snapshot, minTokens) {
+        const minimum = parseTokenAmount(minTokens, await this.getMintDecimals());
+        const current = await this.fetchHolders(0);
+        const seen = new Set(current.map(holder => holder.owner));
+        const results = [];
+
+        // Holders no longer holding have no token accounts left
+        const discover = owners => [...owners]
+            .filter(owner => !seen.has(owner))
+            .map(owner => {
+                seen.add(owner);
+                return {owner, amount: 0n, accounts: []};
+            });
+
+        let holders = [...current, ...discover(await this.getMintOwnersAfter(snapshot))];
+        while (holders.length > 0) {
+            const found = [];
+            await new WorkQueue(CONFIG.BATCH_SIZE).run(holders, async (holder) => {
+                const transactions = await this.getTransactionHistory(holder.owner);
+                found.push(...discover(this.getOwnersAfter(transactions, snapshot)));
+                return {...holder, amount: this.getBalanceAtSnapshot(holder.owner, holder.amount, transactions, snapshot)};
+            }, {
+                onResult: holder => {
+                    if (holder.amount >= minimum) results.push(holder);
                 }
-            );
+            });
+            holders = found;
+        }
 
-            return accounts
-                .filter(acc => {
-                    const amount = acc.account.data.parsed.info.tokenAmount.uiAmount;
-                    return amount >= CONFIG.MIN_TOKENS;
-                })
-                .map(acc => ({
-                    owner: acc.account.data.parsed.info.owner,
-                    amount: acc.account.data.parsed.info.tokenAmount.uiAmount
-                }));
-        } catch (error) {
-            if (attempt < this.retryLimit) {
-                Logger.warn(`Retry attempt ${attempt} for fetchHolders`);
-                await new Promise(resolve => setTimeout(resolve, this.retryDelay * attempt));
-                return this.fetchHoldersWithRetry(attempt + 1);
+        return results;
+    }
+
+    // Owners of the mint's token accounts in the transactions after the snapshot
+    getOwnersAfter(transactions, snapshot) {
+        const owners = new Set();
+        for (const tx of transactions) {
+            if (this.isBeforeSnapshot(tx, snapshot)) continue;
+            for (const balance of [...(tx.meta?.preTokenBalances || []), ...(tx.meta?.postTokenBalances || [])]) {
+                if (balance.mint === this.mint && balance.owner) owners.add(balance.owner);
             }
-            throw error;
         }
+        return owners;
     }
 
-    async getTransactionHistory(wallet) {
-        const cacheKey = `tx_history_${wallet}`;
-        const cachedHistory = await this.cacheManager.get(cacheKey);
-        if (cachedHistory) {
-            return cachedHistory;
+    // Owners in the transactions naming the mint itself since the snapshot,
+    // such as burns. A transaction that cannot be fetched could hide a
+    // holder, so it fails the holder list rather than leaving them out.
+    async getMintOwnersAfter(snapshot) {
+        const owners = new Set();
+        let options = {limit: SIGNATURE_PAGE_SIZE};
+
+        for (;;) {
+            const signatures = await this.rpc.call('getSignaturesForAddress', this.mintPubkey, options);
+            const later = signatures.filter(signature => !this.isBeforeSnapshot(signature, snapshot));
+
+            for (let i = 0; i < later.length; i += TRANSACTION_BATCH_SIZE) {
+                const batch = later.slice(i, i + TRANSACTION_BATCH_SIZE);
+                const parsed = await this.fetchTransactionDetails(batch);
+                if (parsed.length < batch.length) {
+                    throw new Error(`${batch.length - parsed.length} transactions of mint ${this.mint} after the snapshot could not be fetched`);
+                }
+                this.getOwnersAfter(parsed, snapshot).forEach(owner => owners.add(owner));
+            }
+
+            if (later.length < signatures.length || signatures.length < SIGNATURE_PAGE_SIZE) break;
+            options = {...options, before: signatures[signatures.length - 1].signature};
         }
 
-        try {
-            const pubKey = new PublicKey(wallet);
-            const transactions = await this.fetchTransactionsWithRetry(pubKey);
+        return owners;
+    }
 
-            // Only cache if we got meaningful results
-            if (transactions.length > 0) {
-                await this.cacheManager.set(cacheKey, transactions);
-            }
+    // Undoes every balance change that happened after the snapshot
+    getBalanceAtSnapshot(wallet, currentBalance, transactions, snapshot) {
+        const laterChange = transactions
+            .filter(tx => !this.isBeforeSnapshot(tx, snapshot))
+            .reduce((total, tx) => total + getOwnerBalanceChange(tx, wallet, this.mintPubkey.toString()).delta, 0n);
 
-            return transactions;
-        } catch (error) {
-            Logger.error(`Error fetching history for ${wallet}:`, error);
-            return [];
+        const balance = currentBalance - laterChange;
+        return balance > 0n ? balance : 0n;
+    }
+
+    // Token accounts live under the program that owns the mint. Token-2022
+    // accounts carry extensions after the 165 base bytes, so only the classic
+    // program can be filtered by size.
+    async fetchHolders(minTokens) {
+        const {programId, decimals} = await this.getMintInfo();
+        const filters = [{memcmp: {offset: 0, bytes: this.mintPubkey.toBase58()}}];
+        if (programId.equals(TOKEN_PROGRAM_ID)) {
+            filters.unshift({dataSize: 165});
         }
+
+        const accounts = await this.rpc.call('getParsedProgramAccounts', programId, {filters});
+        const minimum = parseTokenAmount(minTokens, decimals);
+
+        return this.aggregateHoldersByOwner(accounts)
+            .filter(holder => holder.amount >= minimum);
     }
 
-    async fetchTransactionsWithRetry(pubKey, attempt = 1) {
-        try {
-            const allSignatures = await this.fetchAllSignatures(pubKey);
-            const transactions = await this.fetchTransactionDetails(allSignatures);
+    // A wallet can own several token accounts for the same mint, so balances
+    // are summed per owner before any threshold is applied. Amounts are base
+    // units (bigint).
+    aggregateHoldersByOwner(accounts) {
+        const holders = new Map();
 
-            return this.filterRelevantTransactions(transactions);
-        } catch (error) {
-            if (attempt < this.retryLimit) {
-                Logger.warn(`Retry attempt ${attempt} for wallet ${pubKey.toString()}`);
-                await new Promise(resolve => setTimeout(resolve, this.retryDelay * attempt));
-                return this.fetchTransactionsWithRetry(pubKey, attempt + 1);
+        for (const acc of accounts) {
+            if (acc.account.data.parsed?.type !== 'account') continue;
+
+            const info = acc.account.data.parsed.info;
+            const amount = BigInt(info.tokenAmount.amount);
+            const holder = holders.get(info.owner) || {owner: info.owner, amount: 0n, accounts: []};
+
+            holder.amount += amount;
+            holder.accounts.push({address: acc.pubkey.toBase58(), amount});
+            holders.set(info.owner, holder);
+        }
+
+        return Array.from(holders.values());
+    }
+
+    // The token program that owns the mint (classic Token or Token-2022) and
+    // its decimals. Neither can change, so they are cached for good.
+    async getMintInfo() {
+        this.mintInfo ??= this.loadMintInfo();
+        // A failed lookup is retried by the next caller
+        this.mintInfo.catch(() => {
+            this.mintInfo = null;
+        });
+        return this.mintInfo;
+    }
+
+    async loadMintInfo() {
+        let info = await this.cacheManager.get('mint', this.mint);
+        if (!info) {
+            const {value} = await this.rpc.call('getParsedAccountInfo', this.mintPubkey);
+            if (!value) {
+                throw new Error(`Mint ${this.mint} does not exist`);
             }
-            throw error;
+            if (!value.owner.equals(TOKEN_PROGRAM_ID) && !value.owner.equals(TOKEN_2022_PROGRAM_ID)) {
+                throw new Error(`${this.mint} is not a token mint (owned by ${value.owner.toBase58()})`);
+            }
+
+            info = {
+                tokenProgram: value.owner.equals(TOKEN_2022_PROGRAM_ID) ? 'token-2022' : 'token',
+                decimals: value.data.parsed.info.decimals
+            };
+            await this.cacheManager.set('mint', this.mint, info);
         }
+
+        return {
+            ...info,
+            programId: info.tokenProgram === 'token-2022' ? TOKEN_2022_PROGRAM_ID : TOKEN_PROGRAM_ID
+        };
     }
 
-    async fetchAllSignatures(pubKey) {
-        let allSignatures = [];
-        let options = {limit: 1000};
+    async getMintDecimals() {
+        return (await this.getMintInfo()).decimals;
+    }
 
-        while (true) {
-            const signatures = await this.limiter(() =>
-                this.connection.getSignaturesForAddress(pubKey, options)
+
+    // Program that owns each address's account, or null if it does not exist
+    async getAccountOwners(addresses) {
+        const owners = new Map();
+        const chunkSize = 100;
+
+        for (let i = 0; i < addresses.length; i += chunkSize) {
+            const chunk = addresses.slice(i, i + chunkSize);
+            const accounts = await this.rpc.call(
+                'getMultipleAccountsInfo',
+                chunk.map(address => new PublicKey(address))
             );
+            chunk.forEach((address, index) => {
+                owners.set(address, accounts[index]?.owner.toBase58() ?? null);
+            });
+        }
 
-            if (signatures.length === 0) break;
+        return owners;
+    }
+
+    async getWalletBalance(wallet) {
+        const {value: accounts} = await this.rpc.call(
+            'getParsedTokenAccountsByOwner',
+            new PublicKey(wallet),
+            {mint: this.mintPubkey}
+        );
+
+        return accounts.reduce(
+            (total, acc) => total + BigInt(acc.account.data.parsed.info.tokenAmount.amount),
+            0n
+        );
+    }
 
-            // Extract only necessary data to save memory
-            allSignatures.push(...signatures.map(sig => ({
-                signature: sig.signature,
-                blockTime: sig.blockTime
-            })));
+    // Histories are cached with the newest signature seen. Later runs only
+    // fetch signatures newer than that and add their transactions to the
+    // cached history, so a wallet is synced with one call when nothing
+    // happened. Each wallet is synced at most once per run.
+    //
+    // Unless `complete` (FULL_HISTORY or requireFullHistory) is set, paging back in time stops at
+    // the first disqualifying movement before the snapshot: the wallet cannot
+    // qualify on this mint any more, so its older history is not needed. The
+    // cached history then keeps the oldest signature fetched and is completed
+    // when a later caller needs more of it.
+    //
+    // A history that cannot be fetched throws: analyzing it as empty would
+    // pass a wallet whose sales were never seen.
+    async getTransactionHistory(wallet, {complete = this.fullHistory} = {}) {
+        const key = `${this.mint}:${wallet}`;
+        const stopAt = complete ? null : await this.getStopCondition(wallet);
+        const isSettled = history => !history.oldest || (stopAt !== null && history.transactions.some(stopAt));
+
+        let history = await this.cacheManager.get('tx-history', key, {stamp: this.historyStamp});
+        if (history && this.syncedWallets.has(wallet) && isSettled(history)) {
+            return history.transactions;
+        }
 
-            if (signatures.length < 1000) break;
-            options.before = signatures[signatures.length - 1].signature;
+        const pubKey = new PublicKey(wallet);
+        if (!history) {
+            history = await this.fetchTransactions(pubKey, {stopAt});
+        } else {
+            if (!this.syncedWallets.has(wallet)) {
+                const newer = await this.fetchTransactions(pubKey, {until: history.newest});
+                history = {
+                    ...history,
+                    newest: newer.newest ?? history.newest,
+                    transactions: mergeTransactions(newer.transactions, history.transactions)
+                };
+            }
+            if (!isSettled(history)) {
+                const older = await this.fetchTransactions(pubKey, {before: history.oldest, stopAt});
+                history = {
+                    ...history,
+                    oldest: older.oldest,
+                    transactions: mergeTransactions(history.transactions, older.transactions)
+                };
+            }
+        }
+        this.syncedWallets.add(wallet);
+        if (history.oldest) {
+            this.partialHistories.add(wallet);
+        } else {
+            this.partialHistories.delete(wallet);
+        }
 
-            // Add small delay between batches
-            await new Promise(resolve => setTimeout(resolve, 100));
+        // Nothing to remember for a wallet without any signatures
+        if (history.newest) {
+            await this.cacheManager.set('tx-history', key, {
+                newest: history.newest,
+                oldest: history.oldest ?? null,
+                transactions: history.transactions
+            }, {stamp: this.historyStamp});
         }
 
-        return allSignatures.sort((a, b) => b.blockTime - a.blockTime);
+        return history.transactions;
     }
 
-    async fetchTransactionDetails(signatures) {
-        // Process in smaller batches to manage memory
-        const batchSize = 50;
-        let allTransactions = [];
-
-        for (let i = 0; i < signatures.length; i += batchSize) {
-            const batch = signatures.slice(i, i + batchSize);
-            const batchPromises = batch.map(sig =>
-                this.limiter(() =>
-                    this.connection.getParsedTransaction(sig.signature, {
-                        maxSupportedTransactionVersion: 0
-                    }).catch(() => null)
-                )
-            );
+    get historyStamp() {
+        return `${HISTORY_VERSION}:${this.mint}`;
+    }
 
-            const batchResults = await Promise.all(batchPromises);
-            allTransactions.push(...batchResults.filter(tx => tx !== null));
+    // Matches the wallet's movements that disqualify it, up to the snapshot
+    async getStopCondition(wallet) {
+        const snapshot = await this.getSnapshot();
+        return tx => this.isBeforeSnapshot(tx, snapshot) &&
+            CONFIG.DISQUALIFYING_MOVEMENTS.includes(this.classifier.classify(tx, wallet)?.type);
+    }
+
+    // Whether the wallet's last fetched history stopped early
+    hasPartialHistory(wallet) {
+        return this.partialHistories.has(wallet);
+    }
+
+    // Wallets are analyzed and synced once per run; a long-lived service
+    // (serve) forgets a wallet to recheck it against the chain
+    forget(wallet) {
+        this.processedWallets.delete(wallet);
+        this.syncedWallets.delete(wallet);
+    }
+
+    // Who sent the wallet its first SOL, as recorded while fetching its history
+    async getFundingSource(wallet) {
+        return (await this.cacheManager.get('funding', wallet)) || null;
+    }
+
+    // Pages through the wallet's signatures newest first, from `before` (or
+    // the latest) back to `until` (the newest signature of an earlier sync,
+    // exclusive) or the first one, and keeps the transactions touching the
+    // mint. Only one batch of parsed transactions is in memory at a time.
+    // With stopAt, stops after the batch where it matched a transaction.
+    // Returns the kept transactions, the newest signature seen and the oldest
+    // one fetched when paging stopped early (null once the first is reached).
+    async fetchTransactions(pubKey, {until = null, before = null, stopAt = null} = {}) {
+        const wallet = pubKey.toBase58();
+        const transactions = [];
+        let newest = null;
+        let funding = null;
+        let options = {limit: SIGNATURE_PAGE_SIZE, ...(until && {until: until.signature}), ...(before && {before})};
+
+        for (;;) {
+            const signatures = await this.rpc.call('getSignaturesForAddress', pubKey, options);
+            if (signatures.length === 0) break;
+            newest ??= {signature: signatures[0].signature, slot: signatures[0].slot, blockTime: signatures[0].blockTime};
 
-            // Allow garbage collection between batches
-            await new Promise(resolve => setTimeout(resolve, 100));
+            for (let i = 0; i < signatures.length; i += TRANSACTION_BATCH_SIZE) {
+                const batch = signatures.slice(i, i + TRANSACTION_BATCH_SIZE);
+                const parsed = await this.fetchTransactionDetails(batch);
+
+                // The sync position moves past every fetched signature, so a
+                // transaction missing now would never be looked at again
+                if (until && parsed.length < batch.length) {
+                    throw new Error(`${batch.length - parsed.length} new transactions could not be fetched`);
+                }
+
+                // Batches get older, so the last funding found is the first
+                funding = findFundingSource(parsed, wallet) ?? funding;
+                const relevant = this.filterRelevantTransactions(parsed);
+                transactions.push(...relevant);
+
+                if (stopAt && relevant.some(stopAt)) {
+                    const isLast = signatures.length < SIGNATURE_PAGE_SIZE && i + TRANSACTION_BATCH_SIZE >= signatures.length;
+                    return {transactions, newest, oldest: isLast ? null : batch[batch.length - 1].signature};
+                }
+            }
+
+            if (signatures.length < SIGNATURE_PAGE_SIZE) break;
+            options = {...options, before: signatures[signatures.length - 1].signature};
         }
 
-        return allTransactions;
+        // Only a history fetched back to its first signature shows who funded
+        // the wallet; everything unrelated to the mint is dropped after this
+        if (!until && funding) {
+            await this.cacheManager.set('funding', wallet, funding);
+        }
+
+        return {transactions, newest, oldest: null};
+    }
+
+    // A transaction the RPC does not have is skipped; a call that still
+    // fails after the retries throws
+    async fetchTransactionDetails(signatures) {
+        const transactions = await Promise.all(signatures.map(sig =>
+            this.rpc.call('getParsedTransaction', sig.signature, {
+                maxSupportedTransactionVersion: 0
+            })
+        ));
+        return transactions.filter(tx => tx !== null);
     }
 
     filterRelevantTransactions(transactions) {
@@ -170,6 +531,14 @@ export class SolanaService {
         });
     }
 
+    // An analysis also depends on the balance, so a changed balance is a miss
+    async getCachedAnalysis(wallet, currentBalance) {
+        await this.getSnapshot();
+        return this.cacheManager.get('analysis', this.snapshotCacheKey(wallet), {
+            stamp: `${this.rulesStamp}:${currentBalance}`
+        });
+    }
+
     async analyzeWallet(wallet, currentBalance) {
         try {
             if (this.processedWallets.has(wallet)) {
@@ -177,135 +546,179 @@ export class SolanaService {
             }
             this.processedWallets.add(wallet);
 
-            const cacheKey = `analysis_${wallet}`;
-            const cachedAnalysis = await this.cacheManager.get(cacheKey);
+            const cachedAnalysis = await this.getCachedAnalysis(wallet, currentBalance);
             if (cachedAnalysis) {
                 return cachedAnalysis;
             }
 
             const transactions = await this.getTransactionHistory(wallet);
-            const analysis = await this.processWalletTransactions(wallet, currentBalance, transactions);
+            const analysis = {
+                ...await this.processWalletTransactions(wallet, currentBalance, transactions),
+                // Facts of a partial history only cover it back to the
+                // disqualifying movement where it stopped
+                fullHistory: !this.hasPartialHistory(wallet)
+            };
 
-            if (analysis.isEligible || transactions.length > 0) {
-                await this.cacheManager.set(cacheKey, analysis);
+            if (transactions.length > 0) {
+                await this.cacheManager.set('analysis', this.snapshotCacheKey(wallet), analysis, {
+                    stamp: `${this.rulesStamp}:${currentBalance}`,
+                    ttl: this.cacheTtl(CONFIG.ANALYSIS_CACHE_TTL_HOURS)
+                });
             }
 
             return analysis;
         } catch (error) {
             Logger.error(`Error analyzing ${wallet}:`, error);
-            return {
-                isEligible: false,
-                reason: 'Error during analysis',
-                firstAcquired: null,
-                maxHeld: currentBalance,
-                hasSold: false,
-                holdingDays: 0
-            };
+            return { ...this.emptyAnalysis(currentBalance), failed: true };
         }
     }
 
+    // Facts of a wallet whose history was not (or could not be) analyzed
+    emptyAnalysis(currentBalance) {
+        return {
+            transactionCount: 0,
+            firstAcquired: null,
+            firstAcquiredSignature: null,
+            maxHeld: currentBalance,
+            hasSold: false,
+            receivedAmount: 0n,
+            soldAmount: 0n,
+            disqualifiedBy: null,
+            disqualifyingSignature: null,
+            movements: emptyMovementCounts(),
+            twab: 0n,
+            minBalance: 0n,
+            balanceDays: 0n,
+            holdingDays: 0
+        };
+    }
+
     async processWalletTransactions(wallet, currentBalance, transactions) {
+        const snapshot = await this.getSnapshot();
+        transactions = transactions.filter(tx => this.isBeforeSnapshot(tx, snapshot));
+
         if (transactions.length === 0) {
-            return {
-                isEligible: false,
-                reason: 'No transaction history found',
-                firstAcquired: null,
-                maxHeld: currentBalance,
-                hasSold: false,
-                holdingDays: 0
-            };
+            return this.emptyAnalysis(currentBalance);
         }
 
         let firstAcquired = null;
+        let firstAcquiredSignature = null;
         let maxHeld = currentBalance;
-        let hasSold = false;
+        let disqualifiedBy = null;
+        let disqualifyingSignature = null;
+        let receivedAmount = 0n;
+        let soldAmount = 0n;
+        const movements = emptyMovementCounts();
 
         for (const tx of transactions) {
-            const {acquired, sold, amount, date} = this.analyzeTransaction(tx, wallet);
+            const {acquired, sold, type, amount, delta, date} = this.analyzeTransaction(tx, wallet);
 
-            maxHeld = Math.max(maxHeld, amount);
+            if (amount > maxHeld) maxHeld = amount;
+            if (delta > 0n) receivedAmount += delta;
+            if (sold && delta < 0n) soldAmount -= delta;
 
             if (acquired && (!firstAcquired || date < firstAcquired)) {
                 firstAcquired = date;
+                firstAcquiredSignature = tx.transaction?.signatures?.[0] ?? null;
             }
 
-            if (sold) {
-                hasSold = true;
-                break;
+            if (type) {
+                movements[type]++;
+                // Transactions are newest first, so this is the latest one
+                if (!disqualifiedBy && CONFIG.DISQUALIFYING_MOVEMENTS.includes(type)) {
+                    disqualifiedBy = type;
+                    disqualifyingSignature = tx.transaction?.signatures?.[0] ?? null;
+                }
             }
         }
 
+        const hasSold = movements[MOVEMENT_TYPES.SWAP_SELL] > 0;
+
+        const referenceTime = await this.getReferenceTime();
         const holdingDays = firstAcquired ?
-            Math.floor((Date.now() - firstAcquired.getTime()) / (1000 * 60 * 60 * 24)) :
+            Math.floor((referenceTime - firstAcquired.getTime()) / (1000 * 60 * 60 * 24)) :
             0;
 
-        const isEligible =
-            currentBalance >= CONFIG.MIN_TOKENS &&
-            currentBalance <= CONFIG.MAX_TOKENS &&
-            firstAcquired &&
-            !hasSold &&
-            holdingDays >= (CONFIG.MONTHS_REQUIRED * 30);
+        const timeline = buildBalanceTimeline(transactions, wallet, this.mintPubkey.toString(), currentBalance);
+        const {twab, minBalance, balanceDays} = computeBalanceMetrics(
+            timeline,
+            referenceTime - this.scoringWindowDays * 1000 * 60 * 60 * 24,
+            referenceTime
+        );
 
         return {
-            isEligible,
-            reason: this.getEligibilityReason(currentBalance, hasSold, firstAcquired, holdingDays),
+            transactionCount: transactions.length,
             firstAcquired,
+            firstAcquiredSignature,
             maxHeld,
             hasSold,
+            receivedAmount,
+            soldAmount,
+            disqualifiedBy,
+            disqualifyingSignature,
+            movements,
+            twab,
+            minBalance,
+            balanceDays,
             holdingDays
         };
     }
 
+    // Every change of the wallet's balance up to the snapshot, oldest first,
+    // with the balance after it. Marks the transaction that set firstAcquired
+    // and the ones whose type disqualifies, as processWalletTransactions sees them.
+    async getMovementTimeline(wallet, transactions) {
+        const snapshot = await this.getSnapshot();
+        const timeline = transactions
+            .filter(tx => this.isBeforeSnapshot(tx, snapshot))
+            .map(tx => ({signature: tx.transaction?.signatures?.[0] ?? null, ...this.analyzeTransaction(tx, wallet)}))
+            .filter(entry => entry.delta !== 0n)
+            .sort((a, b) => a.date - b.date)
+            .map(({signature, date, delta, amount, type, acquired, sold}) => ({
+                signature,
+                date,
+                delta,
+                balance: amount,
+                type,
+                acquired,
+                sold,
+                firstAcquisition: false,
+                disqualifying: type !== null && CONFIG.DISQUALIFYING_MOVEMENTS.includes(type)
+            }));
+
+        const first = timeline.find(entry => entry.acquired);
+        if (first) first.firstAcquisition = true;
+
+        return timeline;
+    }
+
     analyzeTransaction(tx, wallet) {
         const result = {
             acquired: false,
             sold: false,
+            type: null,
+            counterparties: [],
             date: new Date(tx.blockTime * 1000),
-            amount: 0
+            amount: 0n,
+            delta: 0n
         };
 
-        if (!tx.meta?.preTokenBalances || !tx.meta?.postTokenBalances) {
-            return result;
-        }
-
-        const preBalance = tx.meta.preTokenBalances.find(b =>
-            b.mint === this.mintPubkey.toString() &&
-            b.owner === wallet
-        );
-
-        const postBalance = tx.meta.postTokenBalances.find(b =>
-            b.mint === this.mintPubkey.toString() &&
-            b.owner === wallet
-        );
+        const {post, delta} = getOwnerBalanceChange(tx, wallet, this.mintPubkey.toString());
+        const movement = this.classifier.classify(tx, wallet);
 
-        if (preBalance && postBalance) {
-            const pre = Number(preBalance.uiTokenAmount.amount);
-            const post = Number(postBalance.uiTokenAmount.amount);
-
-            result.acquired = post > pre;
-            result.sold = post < pre;
-            result.amount = post;
-        }
+        result.acquired = delta > 0n;
+        result.sold = movement?.type === MOVEMENT_TYPES.SWAP_SELL;
+        result.type = movement?.type || null;
+        result.counterparties = movement?.counterparties || [];
+        result.amount = post;
+        result.delta = delta;
 
         return result;
     }
+}
 
-    getEligibilityReason(currentBalance, hasSold, firstAcquired, holdingDays) {
-        if (currentBalance < CONFIG.MIN_TOKENS) {
-            return `Insufficient balance (${currentBalance.toLocaleString()} < ${CONFIG.MIN_TOKENS.toLocaleString()})`;
-        }
-        if (currentBalance > CONFIG.MAX_TOKENS) {
-            return `Balance exceeds maximum limit (${currentBalance.toLocaleString()} > ${CONFIG.MAX_TOKENS.toLocaleString()})`;
-        }
-        if (hasSold) {
-            return 'Has sold KOKO in the past';
-        }
-        if (!firstAcquired) {
-            return 'Unable to determine first acquisition';
-        }
-        if (holdingDays < (CONFIG.MONTHS_REQUIRED * 30)) {
-            return `Insufficient holding time (${holdingDays} days < ${CONFIG.MONTHS_REQUIRED * 30} days)`;
-        }
-        return 'Meets all eligibility criteria';
-    }
-}
\ No newline at end of file
+// Newer transactions first, each signature once
+function mergeTransactions(newer, older) {
+    const known = new Set(newer.map(tx => tx.transaction?.signatures?.[0]));
+    return [...newer, ...older.filter(tx => !known.has(tx.transaction?.signatures?.[0]))];
+}
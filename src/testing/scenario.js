@@ -0,0 +1,542 @@
+import { Keypair, PublicKey, SystemProgram } from '@solana/web3.js';
+import { ASSOCIATED_TOKEN_PROGRAM_ID, TOKEN_PROGRAM_ID, getAssociatedTokenAddressSync } from '@solana/spl-token';
+import { createHash } from 'crypto';
+import { parseTokenAmount } from '../utils/token-amount.js';
+
+const SWAP_PROGRAM_ID = new PublicKey('JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4'); // Jupiter v6
+const TOKEN_ACCOUNT_RENT = 2_039_280;
+const WALLET_LAMPORTS = 10_000_000_000;
+const FEE_LAMPORTS = 5_000;
+// Slots are numbered from mainnet genesis at about 400 ms each
+const GENESIS_TIME = 1_584_368_940;
+const SLOTS_PER_SECOND = 2.5;
+
+function seedBytes(text) {
+    return createHash('sha256').update(text).digest();
+}
+
+// bs58 builds a string one character at a time, which V8 keeps as a rope of
+// dozens of pieces; a flat copy keeps a large scenario's memory down
+function flatten(text) {
+    return Buffer.from(text, 'latin1').toString('latin1');
+}
+
+const addresses = new WeakMap();
+
+function base58(publicKey) {
+    let address = addresses.get(publicKey);
+    if (address === undefined) {
+        address = flatten(publicKey.toBase58());
+        addresses.set(publicKey, address);
+    }
+    return address;
+}
+
+function toSeconds(at) {
+    const time = new Date(at).getTime();
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid scenario time "${at}"`);
+    }
+    return Math.floor(time / 1000);
+}
+
+// A synthetic chain for one mint, built from named wallets and the moves they
+// make. Every address, signature and slot derives from the seed, so the same
+// script always produces the same responses. connection() serves them with the
+// subset of the Connection API the analyzer uses; swaps go through Jupiter v6
+// against a pool owned by a PDA, which the exclusion checks flag as off-curve.
+// Amounts are whole tokens, moves must be added in chronological order.
+//
+//   const scenario = new Scenario({ seed: 'partial-sell' })
+//       .buy('alice', 100_000_000, '2024-01-01')
+//       .sell('alice', 30_000_000, '2024-03-01');
+export class Scenario {
+    constructor({ seed = 'scenario', decimals = 6, poolLiquidity = 1_000_000_000_000 } = {}) {
+        this.seed = seed;
+        this.decimals = decimals;
+        this.mint = Keypair.fromSeed(seedBytes(`${seed}:mint`)).publicKey;
+        this.wallets = new Map();
+        this.transactions = [];
+        this.time = null;
+        this.slot = 0;
+
+        const [poolOwner] = PublicKey.findProgramAddressSync([Buffer.from('pool'), this.mint.toBuffer()], SWAP_PROGRAM_ID);
+        this.pool = { address: poolOwner, lamports: WALLET_LAMPORTS, accounts: [] };
+        this.pool.accounts.push({
+            address: getAssociatedTokenAddressSync(this.mint, poolOwner, true),
+            amount: this.amount(poolLiquidity),
+            owner: this.pool
+        });
+    }
+
+    // Wallet address of a named participant
+    address(name) {
+        return base58(this.wallet(name).address);
+    }
+
+    wallet(name) {
+        if (!this.wallets.has(name)) {
+            this.wallets.set(name, {
+                address: Keypair.fromSeed(seedBytes(`${this.seed}:wallet:${name}`)).publicKey,
+                lamports: WALLET_LAMPORTS,
+                accounts: []
+            });
+        }
+        return this.wallets.get(name);
+    }
+
+    amount(value) {
+        return parseTokenAmount(value, this.decimals);
+    }
+
+    // Swaps SOL for `amount` tokens into the wallet's associated token account
+    buy(name, amount, at, { sol = 0.1 } = {}) {
+        const wallet = this.wallet(name);
+        const tokens = this.amount(amount);
+        const lamports = Math.round(sol * 1e9);
+
+        return this.addTransaction(at, wallet, tx => {
+            const destination = this.associatedAccount(wallet, tx);
+            this.moveTokens(tx, this.pool.accounts[0], destination, tokens);
+            tx.lamports(wallet, -lamports);
+            tx.lamports(this.pool, lamports);
+            tx.swap([
+                this.tokenTransfer(this.pool.accounts[0], destination, this.pool.address, tokens),
+                this.solTransfer(wallet.address, this.pool.address, lamports)
+            ]);
+        });
+    }
+
+    // Swaps `amount` tokens back to SOL, a partial sale unless it is everything
+    sell(name, amount, at, { sol = 0.1 } = {}) {
+        const wallet = this.wallet(name);
+        const tokens = this.amount(amount);
+        const lamports = Math.round(sol * 1e9);
+
+        return this.addTransaction(at, wallet, tx => {
+            const transfers = this.debit(tx, wallet, tokens, this.pool.accounts[0]);
+            tx.lamports(wallet, lamports);
+            tx.lamports(this.pool, -lamports);
+            tx.swap([
+                ...transfers,
+                this.solTransfer(this.pool.address, wallet.address, lamports)
+            ]);
+        });
+    }
+
+    // Plain token transfer to another wallet's associated token account
+    transfer(from, to, amount, at) {
+        const sender = this.wallet(from);
+        const recipient = this.wallet(to);
+        const tokens = this.amount(amount);
+
+        return this.addTransaction(at, sender, tx => {
+            const destination = this.associatedAccount(recipient, tx, sender);
+            tx.instructions.push(...this.debit(tx, sender, tokens, destination));
+        });
+    }
+
+    // Moves tokens from the wallet's associated token account to a second
+    // account it owns: two balance changes, no change for the owner
+    transferToSelf(name, amount, at) {
+        const wallet = this.wallet(name);
+        const tokens = this.amount(amount);
+        const source = this.findAccount(wallet, this.associatedAddress(wallet));
+        if (!source || source.amount < tokens) {
+            throw new Error(`${name} has fewer than ${amount} tokens in its associated token account`);
+        }
+
+        return this.addTransaction(at, wallet, tx => {
+            const address = Keypair.fromSeed(seedBytes(`${this.seed}:account:${name}`)).publicKey;
+            let destination = this.findAccount(wallet, address);
+            if (!destination) {
+                destination = this.openAccount(wallet, address, tx, wallet);
+                tx.instructions.push({
+                    program: 'spl-token',
+                    programId: TOKEN_PROGRAM_ID,
+                    parsed: { type: 'initializeAccount3', info: { account: base58(address), mint: base58(this.mint), owner: base58(wallet.address) } }
+                });
+            }
+            this.moveTokens(tx, source, destination, tokens);
+            tx.instructions.push(this.tokenTransfer(source, destination, wallet.address, tokens));
+        });
+    }
+
+    // Closes the wallet's empty associated token account, refunding its rent
+    closeAccount(name, at) {
+        const wallet = this.wallet(name);
+        const account = this.findAccount(wallet, this.associatedAddress(wallet));
+        if (!account) {
+            throw new Error(`${name} has no associated token account to close`);
+        }
+        if (account.amount !== 0n) {
+            throw new Error(`${name}'s associated token account still holds tokens`);
+        }
+
+        return this.addTransaction(at, wallet, tx => {
+            tx.tokenBalance(account, wallet, 0n, null);
+            tx.lamports(account, -TOKEN_ACCOUNT_RENT);
+            tx.lamports(wallet, TOKEN_ACCOUNT_RENT);
+            wallet.accounts = wallet.accounts.filter(other => other !== account);
+            tx.instructions.push({
+                program: 'spl-token',
+                programId: TOKEN_PROGRAM_ID,
+                parsed: {
+                    type: 'closeAccount',
+                    info: { account: base58(account.address), destination: base58(wallet.address), owner: base58(wallet.address) }
+                }
+            });
+        });
+    }
+
+    // Records one transaction paid by `payer`. build() changes balances
+    // through the draft, which keeps the pre and post state of every account.
+    addTransaction(at, payer, build) {
+        const blockTime = toSeconds(at);
+        if (this.time !== null && blockTime < this.time) {
+            throw new Error(`Scenario moves must be added in chronological order (${new Date(at).toISOString()})`);
+        }
+        this.time = blockTime;
+        this.slot = Math.max(this.slot + 1, Math.floor((blockTime - GENESIS_TIME) * SLOTS_PER_SECOND));
+
+        const tx = new TransactionDraft(payer);
+        build(tx);
+        tx.lamports(payer, -FEE_LAMPORTS);
+        this.transactions.push(tx.finish({
+            signature: this.signature(this.transactions.length),
+            slot: this.slot,
+            blockTime,
+            mint: base58(this.mint),
+            decimals: this.decimals
+        }));
+        return this;
+    }
+
+    // Looks like a base58 signature; nothing ever verifies it
+    signature(index) {
+        const half = part => new PublicKey(seedBytes(`${this.seed}:signature:${index}:${part}`)).toBase58();
+        return flatten(half('a') + half('b'));
+    }
+
+    associatedAddress(wallet) {
+        return getAssociatedTokenAddressSync(this.mint, wallet.address, true);
+    }
+
+    findAccount(wallet, address) {
+        return wallet.accounts.find(account => account.address.equals(address)) ?? null;
+    }
+
+    // The owner's associated token account, created in `tx` if needed
+    associatedAccount(owner, tx, payer = owner) {
+        const address = this.associatedAddress(owner);
+        const existing = this.findAccount(owner, address);
+        if (existing) return existing;
+
+        tx.instructions.push({
+            program: 'spl-associated-token-account',
+            programId: ASSOCIATED_TOKEN_PROGRAM_ID,
+            parsed: {
+                type: 'createIdempotent',
+                info: { account: base58(address), mint: base58(this.mint), source: base58(payer.address), wallet: base58(owner.address) }
+            }
+        });
+        return this.openAccount(owner, address, tx, payer);
+    }
+
+    openAccount(owner, address, tx, payer) {
+        const account = { address, amount: 0n, owner };
+        owner.accounts.push(account);
+        tx.tokenBalance(account, owner, null, 0n);
+        tx.lamports(payer, -TOKEN_ACCOUNT_RENT);
+        tx.lamports(account, TOKEN_ACCOUNT_RENT);
+        return account;
+    }
+
+    // Takes `amount` from the wallet's accounts in order and returns the
+    // transfer instructions
+    debit(tx, wallet, amount, destination) {
+        const available = wallet.accounts.reduce((total, account) => total + account.amount, 0n);
+        if (available < amount) {
+            throw new Error(`${wallet.address.toBase58()} holds ${available} base units, cannot move ${amount}`);
+        }
+
+        const transfers = [];
+        let remaining = amount;
+        for (const source of wallet.accounts) {
+            const part = source.amount < remaining ? source.amount : remaining;
+            if (part === 0n) continue;
+            this.moveTokens(tx, source, destination, part);
+            transfers.push(this.tokenTransfer(source, destination, wallet.address, part));
+            remaining -= part;
+            if (remaining === 0n) break;
+        }
+        return transfers;
+    }
+
+    moveTokens(tx, source, destination, amount) {
+        tx.tokenBalance(source, source.owner, source.amount, source.amount - amount);
+        source.amount -= amount;
+        tx.tokenBalance(destination, destination.owner, destination.amount, destination.amount + amount);
+        destination.amount += amount;
+    }
+
+    tokenTransfer(source, destination, authority, amount) {
+        return {
+            program: 'spl-token',
+            programId: TOKEN_PROGRAM_ID,
+            parsed: {
+                type: 'transferChecked',
+                info: {
+                    source: base58(source.address),
+                    destination: base58(destination.address),
+                    authority: base58(authority),
+                    mint: base58(this.mint),
+                    tokenAmount: this.tokenAmount(amount)
+                }
+            }
+        };
+    }
+
+    solTransfer(source, destination, lamports) {
+        return {
+            program: 'system',
+            programId: SystemProgram.programId,
+            parsed: { type: 'transfer', info: { source: base58(source), destination: base58(destination), lamports } }
+        };
+    }
+
+    tokenAmount(amount) {
+        const uiAmountString = (Number(amount) / 10 ** this.decimals).toString();
+        return { amount: amount.toString(), decimals: this.decimals, uiAmount: Number(uiAmountString), uiAmountString };
+    }
+
+    // Every token account open at the end of the scenario
+    tokenAccounts() {
+        return [this.pool, ...this.wallets.values()].flatMap(holder => holder.accounts);
+    }
+
+    parsedTokenAccount(account) {
+        return {
+            pubkey: account.address,
+            account: {
+                data: {
+                    program: 'spl-token',
+                    parsed: {
+                        type: 'account',
+                        info: {
+                            isNative: false,
+                            mint: base58(this.mint),
+                            owner: base58(account.owner.address),
+                            state: 'initialized',
+                            tokenAmount: this.tokenAmount(account.amount)
+                        }
+                    },
+                    space: 165
+                },
+                executable: false,
+                lamports: TOKEN_ACCOUNT_RENT,
+                owner: TOKEN_PROGRAM_ID,
+                rentEpoch: 0
+            }
+        };
+    }
+
+    // The Connection methods the analyzer calls, answered from the state of
+    // the scenario when connection() is called
+    connection() {
+        const scenario = this;
+        const mint = base58(this.mint);
+        const context = () => ({ slot: scenario.slot });
+
+        const accounts = this.tokenAccounts();
+        const holders = new Map([this.pool, ...this.wallets.values()].map(holder => [base58(holder.address), holder]));
+        const tokenAccounts = new Map(accounts.map(account => [base58(account.address), account]));
+        const transactions = new Map(this.transactions.map(tx => [tx.transaction.signatures[0], tx]));
+        // Newest first, per address the transaction lists
+        const history = new Map();
+        for (const tx of [...this.transactions].reverse()) {
+            for (const { pubkey } of tx.transaction.message.accountKeys) {
+                const key = base58(pubkey);
+                if (!history.has(key)) history.set(key, []);
+                history.get(key).push(tx);
+            }
+        }
+
+        return {
+            async getSlot() {
+                return scenario.slot;
+            },
+
+            async getBlockTime(slot) {
+                return scenario.transactions.find(tx => tx.slot === slot)?.blockTime ?? null;
+            },
+
+            async getParsedAccountInfo(address) {
+                if (!address.equals(scenario.mint)) return { context: context(), value: null };
+                const supply = accounts.reduce((total, account) => total + account.amount, 0n);
+                return {
+                    context: context(),
+                    value: {
+                        data: {
+                            program: 'spl-token',
+                            parsed: {
+                                type: 'mint',
+                                info: { decimals: scenario.decimals, freezeAuthority: null, isInitialized: true, mintAuthority: null, supply: supply.toString() }
+                            },
+                            space: 82
+                        },
+                        executable: false,
+                        lamports: 1_461_600,
+                        owner: TOKEN_PROGRAM_ID,
+                        rentEpoch: 0
+                    }
+                };
+            },
+
+            async getParsedProgramAccounts(programId, { filters = [] } = {}) {
+                const filteredMint = filters.find(filter => filter.memcmp?.offset === 0)?.memcmp.bytes;
+                if (!programId.equals(TOKEN_PROGRAM_ID) || (filteredMint && filteredMint !== mint)) return [];
+                return accounts.map(account => scenario.parsedTokenAccount(account));
+            },
+
+            async getParsedTokenAccountsByOwner(owner, { mint: filter }) {
+                const holder = filter.equals(scenario.mint) ? holders.get(base58(owner)) : null;
+                return { context: context(), value: (holder?.accounts ?? []).map(account => scenario.parsedTokenAccount(account)) };
+            },
+
+            // Wallets are System Program accounts; the pool's owner is a PDA
+            // without an account of its own
+            async getMultipleAccountsInfo(addresses) {
+                return addresses.map(address => {
+                    const key = base58(address);
+                    const wallet = holders.get(key);
+                    if (wallet && wallet !== scenario.pool) {
+                        return { data: Buffer.alloc(0), executable: false, lamports: wallet.lamports, owner: SystemProgram.programId, rentEpoch: 0 };
+                    }
+                    return tokenAccounts.has(key)
+                        ? { data: Buffer.alloc(165), executable: false, lamports: TOKEN_ACCOUNT_RENT, owner: TOKEN_PROGRAM_ID, rentEpoch: 0 }
+                        : null;
+                });
+            },
+
+            // Newest first, paged like the RPC method
+            async getSignaturesForAddress(address, { limit = 1000, before, until } = {}) {
+                let list = history.get(base58(address)) ?? [];
+                if (before) {
+                    list = list.slice(list.findIndex(tx => tx.transaction.signatures[0] === before) + 1);
+                }
+                if (until) {
+                    const index = list.findIndex(tx => tx.transaction.signatures[0] === until);
+                    if (index !== -1) list = list.slice(0, index);
+                }
+                return list.slice(0, limit).map(tx => ({
+                    signature: tx.transaction.signatures[0],
+                    slot: tx.slot,
+                    blockTime: tx.blockTime,
+                    err: null,
+                    memo: null,
+                    confirmationStatus: 'finalized'
+                }));
+            },
+
+            async getParsedTransaction(signature) {
+                return transactions.get(signature) ?? null;
+            }
+        };
+    }
+}
+
+// Balance changes of one transaction, keyed by account. Accounts are listed
+// payer first, then in the order they were touched.
+class TransactionDraft {
+    constructor(payer) {
+        this.payer = payer;
+        this.accounts = new Map();
+        this.instructions = [];
+        this.swapInstructions = null;
+        this.touch(payer);
+    }
+
+    touch(holder) {
+        const key = base58(holder.address);
+        if (!this.accounts.has(key)) {
+            this.accounts.set(key, { holder, lamports: 0, token: null });
+        }
+        return this.accounts.get(key);
+    }
+
+    lamports(holder, change) {
+        this.touch(holder).lamports += change;
+        holder.lamports = (holder.lamports ?? 0) + change;
+    }
+
+    // pre/post are null when the account does not exist on that side
+    tokenBalance(account, owner, pre, post) {
+        this.touch(owner);
+        const entry = this.touch(account);
+        entry.token = { owner, pre: entry.token ? entry.token.pre : pre, post };
+    }
+
+    // Token and SOL legs of a swap are inner instructions of the swap program
+    swap(instructions) {
+        this.swapInstructions = instructions;
+    }
+
+    finish({ signature, slot, blockTime, mint, decimals }) {
+        const entries = [...this.accounts.values()];
+        const outer = [...this.instructions];
+        if (this.swapInstructions) {
+            outer.push({ programId: SWAP_PROGRAM_ID, accounts: entries.map(entry => entry.holder.address), data: '' });
+        }
+
+        const programIds = [...new Map(outer.map(ix => [base58(ix.programId), ix.programId])).values()];
+        const accountKeys = [
+            ...entries.map((entry, index) => ({
+                pubkey: entry.holder.address,
+                signer: index === 0,
+                writable: true,
+                source: 'transaction'
+            })),
+            ...programIds.map(pubkey => ({ pubkey, signer: false, writable: false, source: 'transaction' }))
+        ];
+
+        const balances = side => entries.flatMap((entry, accountIndex) => {
+            const amount = entry.token?.[side];
+            if (amount === null || amount === undefined) return [];
+            const uiAmountString = (Number(amount) / 10 ** decimals).toString();
+            return [{
+                accountIndex,
+                mint,
+                owner: base58(entry.token.owner.address),
+                programId: base58(TOKEN_PROGRAM_ID),
+                uiTokenAmount: { amount: amount.toString(), decimals, uiAmount: Number(uiAmountString), uiAmountString }
+            }];
+        });
+        const postLamports = entries.map(entry => entry.holder.lamports ?? 0);
+
+        return {
+            slot,
+            blockTime,
+            version: 0,
+            meta: {
+                err: null,
+                fee: FEE_LAMPORTS,
+                preBalances: [
+                    ...entries.map((entry, index) => postLamports[index] - entry.lamports),
+                    ...programIds.map(() => 1)
+                ],
+                postBalances: [...postLamports, ...programIds.map(() => 1)],
+                preTokenBalances: balances('pre'),
+                postTokenBalances: balances('post'),
+                innerInstructions: this.swapInstructions
+                    ? [{ index: outer.length - 1, instructions: this.swapInstructions }]
+                    : [],
+                logMessages: []
+            },
+            transaction: {
+                signatures: [signature],
+                message: { accountKeys, instructions: outer, recentBlockhash: signature.slice(0, 44) }
+            }
+        };
+    }
+}
@@ -1,53 +1,321 @@
-import { mkdir, readFile, writeFile } from 'fs/promises';
+import { createReadStream } from 'fs';
+import { appendFile, mkdir, open, readFile, readdir, rename, rm, stat, writeFile } from 'fs/promises';
 import { join } from 'path';
+import { Logger } from './logger.js';
+import { deserialize, serialize } from './serialization.js';
 
+// Bump when the on-disk layout changes; older stores are discarded
+const STORE_FORMAT = 1;
+
+// Logs are rewritten on open once they are this big and mostly dead records
+const COMPACT_MIN_BYTES = 16 * 1024 * 1024;
+
+const NAMESPACE_PATTERN = /^[a-z0-9-]+$/;
+
+// Key-value cache with one append-only log per namespace in CACHE_DIR/store.
+// Every record is a line "<header>\t<value>\n" where the header holds the key,
+// expiry and version stamp. Only headers and offsets are kept in memory;
+// values are read from disk on demand, so a write costs O(record) instead of
+// rewriting the whole cache.
 export class CacheManager {
     constructor(cacheDir) {
         this.cacheDir = cacheDir;
-        this.cache = new Map();
+        this.storeDir = join(cacheDir, 'store');
+        this.legacyFile = join(cacheDir, 'transactions.json');
+        this.namespaces = new Map();
         this.initialized = false;
+        this.flushing = Promise.resolve();
     }
 
     async init() {
         if (this.initialized) return;
 
-        try {
-            await mkdir(this.cacheDir, { recursive: true });
-            const cacheFile = join(this.cacheDir, 'transactions.json');
-            const data = await readFile(cacheFile, 'utf8').catch(() => '{}');
-            this.cache = new Map(Object.entries(JSON.parse(data)));
-        } catch (error) {
-            Logger.error('Cache initialization error:', error);
+        await mkdir(this.storeDir, { recursive: true });
+
+        const manifestFile = join(this.storeDir, 'manifest.json');
+        const manifest = await readFile(manifestFile, 'utf8').then(JSON.parse).catch(() => null);
+        if (manifest?.format !== STORE_FORMAT) {
+            if (manifest) {
+                Logger.warn(`Cache store format ${manifest.format} is outdated, starting a new cache`);
+            }
+            await this.removeLogs();
+            await writeFile(manifestFile, JSON.stringify({ format: STORE_FORMAT }), 'utf8');
+        }
+
+        if (await stat(this.legacyFile).catch(() => null)) {
+            Logger.warn(`Ignoring the old single-file cache ${this.legacyFile}; remove it with "cache clear"`);
         }
 
         this.initialized = true;
     }
 
-    async get(key) {
-        await this.init();
-        return this.cache.get(key);
+    // Returns undefined when the key is missing, expired, or was stored with a
+    // different stamp than the one asked for
+    async get(namespace, key, { stamp } = {}) {
+        const store = await this.open(namespace);
+        const record = store.pending.get(key) ?? store.writing?.get(key) ?? store.index.get(key);
+        if (!record || record.deleted) return undefined;
+        if (record.expiresAt !== null && record.expiresAt <= Date.now()) return undefined;
+        if (stamp !== undefined && record.stamp !== stamp) return undefined;
+
+        if ('value' in record) return deserialize(record.value);
+
+        const handle = await open(store.file, 'r');
+        try {
+            const buffer = Buffer.alloc(record.length);
+            await handle.read(buffer, 0, record.length, record.offset);
+            return deserialize(buffer.toString('utf8'));
+        } finally {
+            await handle.close();
+        }
     }
 
-    async set(key, value) {
-        await this.init();
-        this.cache.set(key, value);
+    // ttl is in milliseconds; stamp identifies the rules or version the value
+    // was produced with
+    async set(namespace, key, value, { ttl = null, stamp = null } = {}) {
+        const store = await this.open(namespace);
+        store.pending.set(key, {
+            value: serialize(value),
+            expiresAt: ttl === null ? null : Date.now() + ttl,
+            stamp,
+            deleted: false
+        });
         this.scheduleWrite();
     }
 
-    scheduleWrite() {
+    async delete(namespace, key) {
+        const store = await this.open(namespace);
+        store.pending.set(key, { value: '', expiresAt: null, stamp: null, deleted: true });
+        this.scheduleWrite();
+    }
+
+    async clear() {
         if (this.writeTimeout) clearTimeout(this.writeTimeout);
+        this.writeTimeout = null;
+        this.namespaces = new Map();
+        this.initialized = false;
+        await rm(this.storeDir, { recursive: true, force: true });
+        await rm(this.legacyFile, { force: true });
+    }
+
+    async stats() {
+        await this.init();
+
+        const files = (await readdir(this.storeDir)).filter(name => name.endsWith('.log'));
+        const entries = {};
+        let fileSize = 0;
+        let total = 0;
+
+        for (const file of files) {
+            const namespace = file.slice(0, -'.log'.length);
+            const store = await this.open(namespace);
+            const live = [...store.index.values()].filter(record =>
+                record.expiresAt === null || record.expiresAt > Date.now()
+            ).length;
+
+            entries[namespace] = live;
+            total += live;
+            fileSize += store.size;
+        }
+
+        return { dir: this.storeDir, fileSize, total, entries };
+    }
+
+    scheduleWrite() {
+        if (this.writeTimeout) return;
 
         this.writeTimeout = setTimeout(async () => {
             try {
-                const cacheFile = join(this.cacheDir, 'transactions.json');
-                await writeFile(
-                    cacheFile,
-                    JSON.stringify(Object.fromEntries(this.cache)),
-                    'utf8'
-                );
+                await this.flush();
             } catch (error) {
                 Logger.error('Cache write error:', error);
             }
         }, 5000); // Write every 5 seconds when changes occur
     }
-}
\ No newline at end of file
+
+    // Appends every pending record to its log. Flushes run one at a time.
+    async flush() {
+        if (this.writeTimeout) clearTimeout(this.writeTimeout);
+        this.writeTimeout = null;
+
+        this.flushing = this.flushing.catch(() => {}).then(async () => {
+            for (const store of this.namespaces.values()) {
+                if (store.pending?.size > 0) {
+                    await this.appendPending(store);
+                }
+            }
+        });
+        await this.flushing;
+    }
+
+    async appendPending(store) {
+        store.writing = store.pending;
+        store.pending = new Map();
+
+        const lines = [];
+        const updates = [];
+        let offset = store.size;
+
+        for (const [key, record] of store.writing) {
+            const header = this.formatHeader(key, record);
+            const headerBytes = Buffer.byteLength(header) + 1;
+            const length = Buffer.byteLength(record.value);
+            lines.push(`${header}\t${record.value}\n`);
+            updates.push([key, { offset: offset + headerBytes, length, expiresAt: record.expiresAt, stamp: record.stamp, deleted: record.deleted }]);
+            offset += headerBytes + length + 1;
+        }
+
+        try {
+            await appendFile(store.file, lines.join(''), 'utf8');
+        } catch (error) {
+            // Keep the records so the next flush tries again
+            store.pending = new Map([...store.writing, ...store.pending]);
+            store.writing = null;
+            throw error;
+        }
+
+        for (const [key, entry] of updates) {
+            if (store.index.has(key)) store.deadBytes += store.index.get(key).length;
+            if (entry.deleted) {
+                store.index.delete(key);
+            } else {
+                store.index.set(key, entry);
+            }
+        }
+        store.size = offset;
+        store.writing = null;
+    }
+
+    formatHeader(key, record) {
+        return JSON.stringify({ k: key, e: record.expiresAt, s: record.stamp, ...(record.deleted && { d: 1 }) });
+    }
+
+    async open(namespace) {
+        if (!NAMESPACE_PATTERN.test(namespace)) {
+            throw new Error(`Invalid cache namespace "${namespace}"`);
+        }
+        await this.init();
+
+        // Concurrent first calls share one index load
+        if (!this.namespaces.has(namespace)) {
+            this.namespaces.set(namespace, this.loadIndex(namespace));
+        }
+        const store = await this.namespaces.get(namespace);
+        this.namespaces.set(namespace, store);
+        return store;
+    }
+
+    // Reads only the record headers to rebuild the key -> offset index
+    async loadIndex(namespace) {
+        const store = {
+            file: join(this.storeDir, `${namespace}.log`),
+            index: new Map(),
+            pending: new Map(),
+            writing: null,
+            size: 0,
+            deadBytes: 0
+        };
+
+        if (!await stat(store.file).catch(() => null)) return store;
+
+        let offset = 0;
+        let leftover = Buffer.alloc(0);
+
+        for await (const chunk of createReadStream(store.file)) {
+            const buffer = leftover.length > 0 ? Buffer.concat([leftover, chunk]) : chunk;
+            let lineStart = 0;
+            let newline;
+
+            while ((newline = buffer.indexOf(10, lineStart)) !== -1) {
+                this.indexLine(store, buffer.subarray(lineStart, newline), offset + lineStart);
+                lineStart = newline + 1;
+            }
+
+            offset += lineStart;
+            leftover = buffer.subarray(lineStart);
+        }
+
+        // A crash can leave a half-written last record; it is dropped
+        store.size = offset;
+        if (leftover.length > 0) {
+            Logger.warn(`Dropping incomplete record at the end of ${store.file}`);
+            const handle = await open(store.file, 'r+');
+            await handle.truncate(offset);
+            await handle.close();
+        }
+
+        if (store.size > COMPACT_MIN_BYTES && store.deadBytes > store.size / 2) {
+            await this.compact(store);
+        }
+
+        return store;
+    }
+
+    indexLine(store, line, lineOffset) {
+        const tab = line.indexOf(9);
+        if (tab === -1) return;
+
+        let header;
+        try {
+            header = JSON.parse(line.subarray(0, tab).toString('utf8'));
+        } catch {
+            return;
+        }
+
+        const previous = store.index.get(header.k);
+        if (previous) store.deadBytes += previous.length;
+
+        if (header.d) {
+            store.index.delete(header.k);
+            store.deadBytes += line.length;
+        } else {
+            store.index.set(header.k, {
+                offset: lineOffset + tab + 1,
+                length: line.length - tab - 1,
+                expiresAt: header.e,
+                stamp: header.s,
+                deleted: false
+            });
+        }
+    }
+
+    // Rewrites the log with only its live, unexpired records
+    async compact(store) {
+        const tempFile = `${store.file}.compact`;
+        const now = Date.now();
+        const index = new Map();
+        let offset = 0;
+
+        const source = await open(store.file, 'r');
+        const target = await open(tempFile, 'w');
+        try {
+            for (const [key, record] of store.index) {
+                if (record.expiresAt !== null && record.expiresAt <= now) continue;
+
+                const value = Buffer.alloc(record.length);
+                await source.read(value, 0, record.length, record.offset);
+                const header = Buffer.from(`${this.formatHeader(key, record)}\t`);
+
+                await target.write(Buffer.concat([header, value, Buffer.from('\n')]));
+                index.set(key, { ...record, offset: offset + header.length });
+                offset += header.length + record.length + 1;
+            }
+        } finally {
+            await source.close();
+            await target.close();
+        }
+
+        await rename(tempFile, store.file);
+        Logger.info(`Compacted ${store.file}: ${(store.size / 1024 / 1024).toFixed(1)} MB -> ${(offset / 1024 / 1024).toFixed(1)} MB`);
+        store.index = index;
+        store.size = offset;
+        store.deadBytes = 0;
+    }
+
+    async removeLogs() {
+        const files = await readdir(this.storeDir).catch(() => []);
+        await Promise.all(files
+            .filter(name => name.endsWith('.log'))
+            .map(name => rm(join(this.storeDir, name), { force: true })));
+    }
+}
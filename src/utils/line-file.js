@@ -0,0 +1,74 @@
+import { createReadStream } from 'fs';
+import { appendFile, open, stat, truncate } from 'fs/promises';
+import { createInterface } from 'readline';
+import { deserialize, serialize } from './serialization.js';
+
+// An append-only file of serialized values (see serialize), one per line.
+// append() resolves to where its line went, so a caller can keep only that
+// in memory and read the value back when it needs it.
+export class LineFile {
+    constructor(filepath, size = 0) {
+        this.filepath = filepath;
+        this.size = size;
+        // The last write in line; never rejects
+        this.writing = Promise.resolve();
+    }
+
+    // Lines are written one at a time in the order they were appended. A
+    // failed write (ENOSPC, EACCES) rejects only its own append: whatever it
+    // wrote is cut off again and later lines still go where they should.
+    append(value) {
+        const line = Buffer.from(serialize(value) + '\n', 'utf8');
+        const written = this.writing.then(async () => {
+            await appendFile(this.filepath, line);
+            const position = { offset: this.size, length: line.length };
+            this.size += line.length;
+            return position;
+        });
+        this.writing = written.then(() => {}, () => truncate(this.filepath, this.size).catch(() => {}));
+        return written;
+    }
+
+    async read(position) {
+        for await (const value of this.readAll([position])) return value;
+    }
+
+    // The values at `positions`, in that order, through one open file
+    async *readAll(positions) {
+        await this.writing;
+        const file = await open(this.filepath, 'r');
+        try {
+            for (const { offset, length } of positions) {
+                const buffer = Buffer.alloc(length);
+                await file.read(buffer, 0, length, offset);
+                yield deserialize(buffer.toString('utf8'));
+            }
+        } finally {
+            await file.close();
+        }
+    }
+
+    // Hands every line of an existing file (none when it is missing) to
+    // onLine(text, position). A last line cut short by a crash is ended so
+    // that appended lines start on a line of their own.
+    static async scan(filepath, onLine) {
+        const lines = createInterface({ input: createReadStream(filepath), crlfDelay: Infinity });
+        let size = 0;
+        try {
+            for await (const text of lines) {
+                const length = Buffer.byteLength(text, 'utf8') + 1;
+                if (text.trim()) onLine(text, { offset: size, length });
+                size += length;
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return new LineFile(filepath);
+        }
+
+        // readline counted a newline after the last line even without one
+        if ((await stat(filepath)).size < size) {
+            await appendFile(filepath, '\n');
+        }
+        return new LineFile(filepath, size);
+    }
+}
@@ -6,9 +6,9 @@ import { promisify } from 'util';
 const figletPromise = promisify(figlet);
 
 export class Logger {
-    static async showWelcome() {
+    static async showWelcome(text = 'KOKO Analysis') {
         console.clear();
-        const title = await figletPromise('KOKO Analysis');
+        const title = await figletPromise(text);
         console.log(gradient.pastel.multiline(title));
         console.log('\n' + chalk.dim('━'.repeat(process.stdout.columns)));
         console.log(chalk.cyan('\n💎 Diamond Hands Analysis Tool v2.0\n'));
@@ -19,7 +19,15 @@ export class Logger {
     }
 
     static error(message, error) {
-        console.error(chalk.red(`❌ ${message}`), error);
+        if (error === undefined) {
+            console.error(chalk.red(`❌ ${message}`));
+        } else {
+            console.error(chalk.red(`❌ ${message}`), error);
+        }
+    }
+
+    static warn(message) {
+        console.warn(chalk.yellow(`⚠️ ${message}`));
     }
 
     static info(message) {
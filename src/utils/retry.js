@@ -1,21 +1,50 @@
-export async function withRetry(fn, options = CONFIG.RETRY_OPTIONS) {
+import { CONFIG } from '../config.js';
+
+// Up to RETRY_LIMIT attempts, waiting RETRY_DELAY after the first failure and
+// twice as long after each further one, never more than RETRY_MAX_DELAY
+export function defaultRetryOptions() {
+    return {
+        retries: CONFIG.RETRY_LIMIT,
+        minTimeout: CONFIG.RETRY_DELAY,
+        maxTimeout: CONFIG.RETRY_MAX_DELAY
+    };
+}
+
+// shouldRetry(error) stops early on errors that cannot succeed later.
+// delayFor(error, attempt, backoff) can replace the backoff delay, e.g. to
+// fail over to another endpoint right away. fn receives the attempt number.
+export async function withRetry(fn, options = {}) {
+    const {
+        retries,
+        minTimeout,
+        maxTimeout,
+        shouldRetry = () => true,
+        delayFor = (error, attempt, backoff) => backoff,
+        onRetry = () => {}
+    } = { ...defaultRetryOptions(), ...options };
     let lastError;
 
-    for (let attempt = 1; attempt <= options.retries; attempt++) {
+    for (let attempt = 1; attempt <= retries; attempt++) {
         try {
-            return await fn();
+            return await fn(attempt);
         } catch (error) {
             lastError = error;
 
-            if (attempt < options.retries) {
-                const delay = Math.min(
-                    options.minTimeout * Math.pow(2, attempt - 1),
-                    options.maxTimeout
+            if (attempt < retries && shouldRetry(error)) {
+                const backoff = Math.min(
+                    minTimeout * Math.pow(2, attempt - 1),
+                    maxTimeout
                 );
-                await new Promise(resolve => setTimeout(resolve, delay));
+                const delay = delayFor(error, attempt, backoff);
+                onRetry(error, attempt, delay);
+                if (delay > 0) {
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                }
+            } else {
+                break;
             }
         }
     }
 
     throw lastError;
-}
\ No newline at end of file
+}
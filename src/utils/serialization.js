@@ -0,0 +1,26 @@
+// JSON that keeps Date and BigInt values: they are written as {"$date": iso}
+// and {"$bigint": "digits"} and come back as Date/BigInt when parsed.
+export function serialize(value, space) {
+    return JSON.stringify(value, function (key, replaced) {
+        // toJSON has already run on `replaced`, the original is still on this
+        const original = this[key];
+        if (original instanceof Date) {
+            return Number.isNaN(original.getTime()) ? null : { $date: original.toISOString() };
+        }
+        if (typeof original === 'bigint') {
+            return { $bigint: original.toString() };
+        }
+        return replaced;
+    }, space);
+}
+
+export function deserialize(text) {
+    return JSON.parse(text, (key, value) => {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            const keys = Object.keys(value);
+            if (keys.length === 1 && keys[0] === '$date') return new Date(value.$date);
+            if (keys.length === 1 && keys[0] === '$bigint') return BigInt(value.$bigint);
+        }
+        return value;
+    });
+}
@@ -0,0 +1,25 @@
+import { Logger } from './logger.js';
+
+const handlers = [];
+
+// Registers cleanup work (flushing caches, output files, journals) to run
+// before the process exits on SIGINT/SIGTERM. Returns an unregister function.
+export function onShutdown(handler) {
+    handlers.push(handler);
+    return () => {
+        const index = handlers.indexOf(handler);
+        if (index !== -1) handlers.splice(index, 1);
+    };
+}
+
+// Runs the handlers newest first, so work registered by a command finishes
+// before the shared services it writes through are flushed
+export async function shutdown() {
+    for (const handler of [...handlers].reverse()) {
+        try {
+            await handler();
+        } catch (error) {
+            Logger.error('Error during shutdown:', error);
+        }
+    }
+}
@@ -0,0 +1,47 @@
+// Converts a decimal token amount ("1234.5", 1234.5 or 1234n) to integer base
+// units. Throws when the value has more fractional digits than the mint.
+export function parseTokenAmount(value, decimals) {
+    if (typeof value === 'bigint') return value * 10n ** BigInt(decimals);
+
+    // Numbers are written out in full, 1e21 would not match below
+    const text = typeof value === 'number'
+        ? value.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 20 })
+        : String(value).replace(/_/g, '').trim();
+    const match = /^(\d+)(?:\.(\d+))?$/.exec(text);
+    if (!match) {
+        throw new Error(`Invalid token amount "${value}"`);
+    }
+
+    const [, whole, fraction = ''] = match;
+    const significant = fraction.replace(/0+$/, '');
+    if (significant.length > decimals) {
+        throw new Error(`Token amount "${value}" has more than ${decimals} decimals`);
+    }
+
+    return BigInt(whole) * 10n ** BigInt(decimals) + BigInt(significant.padEnd(decimals, '0') || '0');
+}
+
+// Formats integer base units as a plain decimal string without rounding.
+// With grouping the whole part gets thousands separators ("1,234.5").
+export function formatTokenAmount(baseUnits, decimals, { grouping = false } = {}) {
+    const negative = baseUnits < 0n;
+    const digits = (negative ? -baseUnits : baseUnits).toString().padStart(decimals + 1, '0');
+    let whole = digits.slice(0, digits.length - decimals);
+    const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+
+    if (grouping) {
+        whole = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+    }
+
+    return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+// Sort comparator for bigint amounts, largest first
+export function compareAmountsDesc(a, b) {
+    return a === b ? 0 : (a > b ? -1 : 1);
+}
+
+// -1, 0 or 1 for a bigint
+export function signOf(value) {
+    return value > 0n ? 1 : value < 0n ? -1 : 0;
+}
@@ -0,0 +1,49 @@
+// Net change of an owner's balance for one mint in a parsed transaction, in
+// base units (bigint). Balances are summed over every token account the owner
+// has for the mint, and an account missing from one side counts as zero: it
+// was created (no pre balance) or closed (no post balance) by this transaction.
+export function getOwnerBalanceChange(tx, owner, mint) {
+    let decimals = 0;
+    const sumBalances = (balances = []) => balances
+        .filter(b => b.owner === owner && b.mint === mint)
+        .reduce((total, b) => {
+            decimals = b.uiTokenAmount.decimals ?? decimals;
+            return total + BigInt(b.uiTokenAmount.amount);
+        }, 0n);
+
+    const pre = sumBalances(tx.meta?.preTokenBalances);
+    const post = sumBalances(tx.meta?.postTokenBalances);
+
+    return { pre, post, delta: post - pre, decimals };
+}
+
+// Net balance change per owner for one mint, e.g. to find the counterparties
+// of a transfer. Owners whose balance did not change are left out.
+export function getMintDeltasByOwner(tx, mint) {
+    return collectDeltas(tx, b => b.mint === mint && b.owner, b => b.owner);
+}
+
+// Net balance change per mint for one owner, across every mint it touched
+export function getOwnerDeltasByMint(tx, owner) {
+    return collectDeltas(tx, b => b.owner === owner, b => b.mint);
+}
+
+function collectDeltas(tx, filter, keyOf) {
+    const deltas = new Map();
+    const add = (balances = [], sign) => {
+        for (const b of balances) {
+            if (!filter(b)) continue;
+            const key = keyOf(b);
+            deltas.set(key, (deltas.get(key) ?? 0n) + sign * BigInt(b.uiTokenAmount.amount));
+        }
+    };
+
+    add(tx.meta?.preTokenBalances, -1n);
+    add(tx.meta?.postTokenBalances, 1n);
+
+    for (const [key, delta] of deltas) {
+        if (delta === 0n) deltas.delete(key);
+    }
+
+    return deltas;
+}
@@ -0,0 +1,46 @@
+// Runs a worker over a stream of items with `concurrency` of them in flight
+// at all times: a finished item's slot takes the next one right away instead
+// of waiting for the rest of a batch. Items are pulled from the (async)
+// iterable only when a slot is free, and each result is handed to onResult
+// before its slot takes more work, so a slow consumer slows intake down
+// instead of results piling up in memory.
+export class WorkQueue {
+    constructor(concurrency) {
+        this.concurrency = concurrency;
+        this.stopped = false;
+    }
+
+    // Lets the items in flight finish and takes no more
+    stop() {
+        this.stopped = true;
+    }
+
+    async run(items, worker, { onResult = null } = {}) {
+        const iterator = items[Symbol.asyncIterator]?.() ?? items[Symbol.iterator]();
+        // Async iterators are pulled one at a time
+        let pulling = Promise.resolve();
+        const pull = () => {
+            pulling = pulling.then(() => this.stopped ? { done: true } : iterator.next());
+            return pulling;
+        };
+
+        let failure = null;
+        const runSlot = async () => {
+            for (;;) {
+                const { value, done } = await pull();
+                if (done) return;
+                try {
+                    const result = await worker(value);
+                    await onResult?.(result, value);
+                } catch (error) {
+                    // The other slots finish their items before the error is thrown
+                    failure ??= error;
+                    this.stop();
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: this.concurrency }, runSlot));
+        if (failure) throw failure;
+    }
+}
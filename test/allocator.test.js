@@ -0,0 +1,122 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ALLOCATION_STRATEGIES, allocate, apportion, minimumCapPercent } from '../src/allocation/allocator.js';
+
+const sum = amounts => [...amounts.values()].reduce((total, amount) => total + amount, 0n);
+
+// Balances from 1 to about 10^15 base units, uneven enough to leave remainders
+const HOLDERS = Array.from({ length: 37 }, (_, index) => ({
+    owner: `holder-${String(index).padStart(2, '0')}`,
+    value: 10n ** BigInt(index % 16) * BigInt(index * 7 + 3)
+}));
+
+describe('apportion', () => {
+    test('gives the remainder one unit each to the largest fractional parts', () => {
+        const amounts = apportion([
+            { owner: 'a', weight: 1n },
+            { owner: 'b', weight: 1n },
+            { owner: 'c', weight: 1n }
+        ], 10n);
+
+        // 3 each, and the unit left over breaks the tie by address
+        assert.deepEqual(amounts, new Map([['a', 4n], ['b', 3n], ['c', 3n]]));
+    });
+
+    test('prefers the larger remainder over the address', () => {
+        const amounts = apportion([
+            { owner: 'a', weight: 1n },
+            { owner: 'b', weight: 2n }
+        ], 10n);
+
+        // 3.33 and 6.67
+        assert.deepEqual(amounts, new Map([['a', 3n], ['b', 7n]]));
+    });
+
+    test('splits equally when every weight is zero', () => {
+        assert.deepEqual(apportion([{ owner: 'a', weight: 0n }, { owner: 'b', weight: 0n }], 5n), new Map([['a', 3n], ['b', 2n]]));
+    });
+
+    test('keeps amounts beyond the safe integer range exact', () => {
+        const total = 2n ** 64n + 1n;
+        const amounts = apportion([{ owner: 'a', weight: 2n ** 60n }, { owner: 'b', weight: 2n ** 60n }], total);
+
+        assert.equal(amounts.get('a'), 2n ** 63n + 1n);
+        assert.equal(amounts.get('b'), 2n ** 63n);
+    });
+});
+
+describe('allocate', () => {
+    for (const strategy of Object.keys(ALLOCATION_STRATEGIES)) {
+        test(`${strategy} sums exactly to the total in base units`, () => {
+            for (const total of [37n, 999n, 10n ** 18n + 7n]) {
+                const amounts = allocate(HOLDERS, total, {
+                    strategy,
+                    tiers: [{ min: 0n, weight: 1 }, { min: 10n ** 6n, weight: 2.5 }],
+                    capPercent: 5
+                });
+
+                assert.equal(amounts.size, HOLDERS.length);
+                assert.equal(sum(amounts), total);
+                assert.ok([...amounts.values()].every(amount => amount >= 0n));
+            }
+        });
+    }
+
+    test('pro-rata is proportional to the value', () => {
+        const amounts = allocate([{ owner: 'a', value: 100n }, { owner: 'b', value: 300n }], 1_000n);
+
+        assert.deepEqual(amounts, new Map([['a', 250n], ['b', 750n]]));
+    });
+
+    test('tiered weighs by the highest tier a value reaches and gives nothing below the lowest', () => {
+        const amounts = allocate(
+            [{ owner: 'a', value: 5n }, { owner: 'b', value: 50n }, { owner: 'c', value: 500n }],
+            900n,
+            { strategy: 'tiered', tiers: [{ min: 10n, weight: 1 }, { min: 100n, weight: 2 }] }
+        );
+
+        assert.deepEqual(amounts, new Map([['a', 0n], ['b', 300n], ['c', 600n]]));
+    });
+
+    test('rejects an unknown strategy', () => {
+        assert.throws(() => allocate(HOLDERS, 100n, { strategy: 'lottery' }), /Unknown allocation strategy "lottery"/);
+    });
+});
+
+describe('capped allocation', () => {
+    test('limits every holder to the cap and redistributes the overflow pro-rata', () => {
+        const amounts = allocate([
+            { owner: 'whale', value: 9_000n },
+            { owner: 'a', value: 600n },
+            { owner: 'b', value: 300n },
+            { owner: 'c', value: 100n }
+        ], 10_000n, { strategy: 'capped', capPercent: 30 });
+
+        // The whale is capped at 3,000; the 7,000 left go 6:3:1, which caps
+        // "a" as well, and "b" and "c" split the last 4,000 3:1
+        assert.deepEqual(amounts, new Map([['whale', 3_000n], ['a', 3_000n], ['b', 3_000n], ['c', 1_000n]]));
+    });
+
+    test('keeps the exact total when capped holders leave remainders', () => {
+        const total = 10n ** 18n + 3n;
+        const amounts = allocate(HOLDERS, total, { strategy: 'capped', capPercent: 3 });
+        const cap = total * 300n / 10000n;
+
+        assert.equal(sum(amounts), total);
+        assert.ok([...amounts.values()].every(amount => amount <= cap));
+    });
+
+    test('refuses a cap too low for the number of holders', () => {
+        assert.throws(
+            () => allocate(HOLDERS.slice(0, 3), 100n, { strategy: 'capped', capPercent: 33 }),
+            /Cap of 33% is too low to distribute the full amount to 3 holders \(needs at least 33.34%\)/
+        );
+    });
+
+    test('minimumCapPercent is the lowest cap in hundredths of a percent', () => {
+        assert.equal(minimumCapPercent(1), 100);
+        assert.equal(minimumCapPercent(3), 33.34);
+        assert.equal(minimumCapPercent(400), 0.25);
+        assert.equal(minimumCapPercent(30_000), 0.01);
+    });
+});
@@ -0,0 +1,245 @@
+import { describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { RpcPool } from '../src/services/rpc-pool.js';
+import { Scenario } from '../src/testing/scenario.js';
+import { runAnalyze } from './helpers.js';
+import { holdersScenario, holdersSettings } from './fixtures/scenarios.js';
+
+const FIXTURES = fileURLToPath(new URL('./fixtures/rpc/holders', import.meta.url));
+
+function scenarioPool(scenario) {
+    return new RpcPool([{ label: 'scenario', connection: scenario.connection() }]);
+}
+
+// owner -> record, keyed by the scenario's wallet names
+function byName(scenario, results, names) {
+    return Object.fromEntries(names.map(name => [name, results.find(record => record.owner === scenario.address(name))]));
+}
+
+describe('analyze', () => {
+    test('classifies every holder of a scenario as of the snapshot', async () => {
+        const scenario = holdersScenario();
+        const { summary, results } = await runAnalyze({ rpc: scenarioPool(scenario), overrides: holdersSettings(scenario) });
+        const records = byName(scenario, results, ['diamond', 'seller', 'leaver', 'heir', 'late']);
+
+        assert.equal(results.length, 5);
+        assert.equal(records.leaver, undefined);
+
+        assert.equal(records.diamond.status, 'eligible');
+        assert.equal(records.diamond.balance, '100000000000000');
+        assert.equal(records.diamond.holdingDays, 152);
+        assert.equal(records.diamond.airdropAmount, '1000000000');
+        assert.equal(records.diamond.airdropShare, 100);
+
+        assert.equal(records.seller.status, 'ineligible');
+        assert.equal(records.seller.balance, '150000000000000');
+        assert.deepEqual(records.seller.failedRules, ['holding:NO_DISQUALIFYING_MOVEMENT']);
+        assert.equal(records.seller.disqualifyingSignature, scenario.transactions[4].transaction.signatures[0]);
+
+        assert.equal(records.heir.status, 'ineligible');
+        assert.equal(records.heir.holdingDays, 61);
+        assert.deepEqual(records.heir.failedRules, ['holding:MIN_HOLDING_DAYS']);
+        assert.deepEqual(records.late.failedRules, ['holding:MIN_HOLDING_DAYS']);
+
+        const pool = results.find(record => record.status === 'excluded');
+        assert.equal(pool.exclusionCategory, 'off-curve');
+
+        assert.equal(summary.processed, 5);
+        assert.equal(summary.eligible, 1);
+        assert.equal(summary.excluded, 1);
+        assert.equal(summary.errors, 0);
+        assert.equal(summary.totalEligible, '100000000000000');
+    });
+
+    test('ignores moves after the snapshot and counts balances as of it', async () => {
+        const scenario = new Scenario({ seed: 'after-snapshot' })
+            .buy('alice', 100_000_000, '2024-01-01')
+            .buy('bob', 100_000_000, '2024-01-01')
+            .sell('alice', 60_000_000, '2024-07-01')
+            .buy('bob', 50_000_000, '2024-07-01');
+        const { results } = await runAnalyze({
+            rpc: scenarioPool(scenario),
+            overrides: { KOKO_TOKEN: scenario.mint.toBase58(), SNAPSHOT_TIME: '2024-06-01T00:00:00Z' }
+        });
+        const records = byName(scenario, results, ['alice', 'bob']);
+
+        assert.equal(records.alice.status, 'eligible');
+        assert.equal(records.alice.balance, '100000000000000');
+        assert.equal(records.alice.everSold, false);
+        assert.equal(records.bob.balance, '100000000000000');
+    });
+
+    test('finds holders at the snapshot who have since sold out or closed their accounts', async () => {
+        const scenario = new Scenario({ seed: 'left-after-snapshot' })
+            .buy('stayer', 100_000_000, '2024-01-01')
+            .buy('seller', 100_000_000, '2024-01-02')
+            .buy('giver', 70_000_000, '2024-01-03')
+            .sell('seller', 100_000_000, '2024-07-01')
+            .closeAccount('seller', '2024-07-02')
+            .transfer('giver', 'friend', 70_000_000, '2024-07-03')
+            .closeAccount('giver', '2024-07-04')
+            .sell('friend', 70_000_000, '2024-07-05')
+            .closeAccount('friend', '2024-07-06');
+        const { results } = await runAnalyze({
+            rpc: scenarioPool(scenario),
+            overrides: { KOKO_TOKEN: scenario.mint.toBase58(), SNAPSHOT_TIME: '2024-06-01T00:00:00Z' }
+        });
+        const records = byName(scenario, results, ['stayer', 'seller', 'giver', 'friend']);
+
+        assert.equal(records.seller.balance, '100000000000000');
+        assert.equal(records.seller.status, 'eligible');
+        assert.deepEqual(records.seller.tokenAccounts, []);
+        assert.equal(records.giver.balance, '70000000000000');
+        assert.equal(records.giver.status, 'eligible');
+        // Received and sold everything after the snapshot
+        assert.equal(records.friend, undefined);
+        assert.equal(records.stayer.status, 'eligible');
+    });
+
+    test('records a wallet whose history cannot be fetched as an error and retries it on resume', async () => {
+        const scenario = new Scenario({ seed: 'history-errors' })
+            .buy('alice', 100_000_000, '2024-01-01')
+            .buy('bob', 100_000_000, '2024-01-02')
+            .sell('bob', 10_000_000, '2024-02-01');
+        const settings = { KOKO_TOKEN: scenario.mint.toBase58() };
+        const connection = scenario.connection();
+        const getSignatures = connection.getSignaturesForAddress;
+        mock.method(connection, 'getSignaturesForAddress', async (address, options) => {
+            if (address.toBase58() === scenario.address('bob')) throw new Error('fetch failed');
+            return getSignatures(address, options);
+        });
+        const dir = await mkdtemp(join(tmpdir(), 'koko-test-'));
+
+        try {
+            const first = await runAnalyze({ rpc: new RpcPool([{ label: 'scenario', connection }]), overrides: settings, dir });
+            const failed = byName(scenario, first.results, ['alice', 'bob']);
+            assert.equal(failed.alice.status, 'eligible');
+            assert.equal(failed.bob.status, 'error');
+            assert.equal(failed.bob.eligible, false);
+            assert.deepEqual(failed.bob.failedRules, ['ANALYSIS_FAILED']);
+            assert.equal(first.summary.errors, 1);
+
+            const resumed = await runAnalyze({ rpc: scenarioPool(scenario), overrides: settings, dir, resume: first.runId });
+            const records = byName(scenario, resumed.results, ['alice', 'bob']);
+            assert.equal(records.alice.status, 'eligible');
+            assert.equal(records.bob.status, 'ineligible');
+            assert.deepEqual(records.bob.failedRules, ['holding:NO_DISQUALIFYING_MOVEMENT']);
+            assert.equal(resumed.summary.errors, 0);
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('lets a partial seller pass maxSellPercent, weighing the sale against its whole history', async () => {
+        // The second buy and the sale fill the first page of transactions;
+        // the first buy is only seen when paging goes past the sale
+        const scenario = new Scenario({ seed: 'max-sell-percent' })
+            .buy('trimmer', 100_000_000, '2024-01-01')
+            .buy('dumper', 100_000_000, '2024-01-01');
+        for (let minute = 0; minute < 60; minute++) {
+            scenario.transferToSelf('trimmer', 1, new Date(Date.UTC(2024, 0, 2, 0, minute)).toISOString());
+        }
+        scenario
+            .sell('trimmer', 15_000_000, '2024-02-01')
+            .sell('dumper', 60_000_000, '2024-02-01')
+            .buy('trimmer', 100_000_000, '2024-03-01');
+
+        const { results } = await runAnalyze({
+            rpc: scenarioPool(scenario),
+            overrides: { KOKO_TOKEN: scenario.mint.toBase58(), SNAPSHOT_TIME: '2024-06-01T00:00:00Z' },
+            campaign: {
+                name: 'Trimmers',
+                tokens: [{ id: 'koko', symbol: 'KOKO', mint: scenario.mint.toBase58() }],
+                eligibility: { id: 'hold', token: 'koko', minBalance: 1, holdingDays: 120, maxSellPercent: 10 }
+            }
+        });
+        const records = byName(scenario, results, ['trimmer', 'dumper']);
+
+        assert.equal(records.trimmer.status, 'eligible');
+        assert.equal(records.trimmer.fullHistory, true);
+        assert.equal(records.trimmer.holdingDays, 152);
+        assert.deepEqual(records.dumper.failedRules, ['hold:MAX_SELL_PERCENT']);
+    });
+
+    test('refuses a cap the holders cannot reach before scanning any history', async () => {
+        const scenario = new Scenario({ seed: 'capped' })
+            .buy('alice', 100_000_000, '2024-01-01')
+            .buy('bob', 100_000_000, '2024-01-01')
+            .buy('carol', 100_000_000, '2024-01-01');
+        const connection = scenario.connection();
+        const histories = mock.method(connection, 'getSignaturesForAddress');
+
+        await assert.rejects(
+            runAnalyze({
+                rpc: new RpcPool([{ label: 'scenario', connection }]),
+                overrides: { KOKO_TOKEN: scenario.mint.toBase58(), ALLOCATION_STRATEGY: 'capped', ALLOCATION_CAP_PERCENT: 30 }
+            }),
+            /Cap of 30% is too low: at most 3 holders can be eligible, so the cap must be at least 33.34%/
+        );
+        assert.equal(histories.mock.callCount(), 0);
+    });
+
+    test('allocates without the cap when fewer wallets are eligible than it needs', async () => {
+        const scenario = new Scenario({ seed: 'capped-sellers' })
+            .buy('alice', 100_000_000, '2024-01-01')
+            .buy('bob', 300_000_000, '2024-01-01')
+            .buy('carol', 100_000_000, '2024-01-01')
+            .sell('carol', 10_000_000, '2024-02-01');
+        const warn = mock.method(console, 'warn', () => {});
+
+        try {
+            // Three holders pass the cap check, but with carol out the other two need 50%
+            const { results } = await runAnalyze({
+                rpc: scenarioPool(scenario),
+                overrides: { KOKO_TOKEN: scenario.mint.toBase58(), ALLOCATION_STRATEGY: 'capped', ALLOCATION_CAP_PERCENT: 34, AIRDROP_TOTAL: 1000 }
+            });
+            const records = byName(scenario, results, ['alice', 'bob', 'carol']);
+
+            assert.equal(records.carol.status, 'ineligible');
+            assert.equal(records.alice.airdropShare, 25);
+            assert.equal(records.bob.airdropShare, 75);
+            assert.ok(warn.mock.calls.some(call => /Cap of 34% is too low for the 2 eligible holders \(needs at least 50%\)/.test(call.arguments[0])));
+        } finally {
+            warn.mock.restore();
+        }
+    });
+
+    test('writes no Merkle distributor file when nobody gets more than zero', async () => {
+        const scenario = holdersScenario();
+        const warn = mock.method(console, 'warn', () => {});
+        const dir = await mkdtemp(join(tmpdir(), 'koko-test-'));
+
+        try {
+            const { summary, results } = await runAnalyze({ rpc: scenarioPool(scenario), overrides: { ...holdersSettings(scenario), AIRDROP_TOTAL: 0 }, dir });
+
+            assert.equal(summary.eligible, 1);
+            assert.equal(byName(scenario, results, ['diamond']).diamond.airdropAmount, '0');
+            assert.deepEqual((await readdir(join(dir, 'output'))).filter(file => file.endsWith('.merkle.json')), []);
+            assert.ok(warn.mock.calls.some(call => /no Merkle distributor file written/.test(call.arguments[0])));
+        } finally {
+            warn.mock.restore();
+            await rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('gives the same results replaying the recorded RPC fixtures', async () => {
+        const scenario = holdersScenario();
+        const live = await runAnalyze({ rpc: scenarioPool(scenario), overrides: holdersSettings(scenario) });
+        const replayed = await runAnalyze({ overrides: { ...holdersSettings(scenario), RPC_REPLAY_DIR: FIXTURES } });
+
+        assert.deepEqual(replayed.results, live.results);
+        assert.deepEqual({ ...replayed.summary, durationMs: 0 }, { ...live.summary, durationMs: 0 });
+    });
+
+    test('fails on a call the fixtures did not record', async () => {
+        const unrecorded = new Scenario({ seed: 'unrecorded' });
+        await assert.rejects(
+            runAnalyze({ overrides: { ...holdersSettings(unrecorded), RPC_REPLAY_DIR: FIXTURES } }),
+            { name: 'MissingFixtureError' }
+        );
+    });
+});
@@ -0,0 +1,58 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ClusterAnalyzer } from '../src/analyzers/cluster-analyzer.js';
+import { MOVEMENT_TYPES } from '../src/analyzers/transaction-classifier.js';
+
+// A SolanaService stand-in: who funded each holder, and the KOKO each one
+// received as [{sender, slot}]
+function service({ funders = {}, receipts = {} }) {
+    return {
+        getSnapshot: async () => null,
+        isBeforeSnapshot: () => true,
+        getFundingSource: async owner => (funders[owner] ? { source: funders[owner] } : null),
+        getTransactionHistory: async owner => receipts[owner] ?? [],
+        analyzeTransaction: tx => ({ type: MOVEMENT_TYPES.TRANSFER_IN, counterparties: [tx.sender] })
+    };
+}
+
+const holders = (prefix, count) => Array.from({ length: count }, (_, index) => ({ owner: `${prefix}${index}`, amount: 100n }));
+
+describe('ClusterAnalyzer', () => {
+    test('links holders funded by the same wallet', async () => {
+        const family = holders('family', 3);
+        const analyzer = new ClusterAnalyzer(service({
+            funders: Object.fromEntries(family.map(({ owner }) => [owner, 'parent']))
+        }));
+
+        const [cluster, ...rest] = await analyzer.analyze(family);
+        assert.deepEqual(cluster.members, ['family0', 'family1', 'family2']);
+        assert.deepEqual(cluster.links.sharedFunders, ['parent']);
+        assert.deepEqual(rest, []);
+    });
+
+    test('does not link the holders of a funder that funded more than maxFanOut of them', async () => {
+        const customers = holders('customer', 11);
+        const family = holders('family', 2);
+        const analyzer = new ClusterAnalyzer(service({
+            funders: {
+                ...Object.fromEntries(customers.map(({ owner }) => [owner, 'exchange'])),
+                family0: 'parent',
+                family1: 'parent'
+            }
+        }), { maxFanOut: 10 });
+
+        const clusters = await analyzer.analyze([...customers, ...family]);
+        assert.deepEqual(clusters.map(cluster => cluster.members), [['family0', 'family1']]);
+    });
+
+    test('does not link the holders of a sender that paid more than maxFanOut of them', async () => {
+        const paid = holders('paid', 4);
+        const receipts = Object.fromEntries(paid.map(({ owner }, index) => [owner, [{ sender: 'payout-bot', slot: 1_000 + index }]]));
+
+        const linked = await new ClusterAnalyzer(service({ receipts }), { maxFanOut: 4 }).analyze(paid);
+        assert.deepEqual(linked.map(cluster => cluster.links.sameSenders), [['payout-bot']]);
+
+        const unlinked = await new ClusterAnalyzer(service({ receipts }), { maxFanOut: 3 }).analyze(paid);
+        assert.deepEqual(unlinked, []);
+    });
+});
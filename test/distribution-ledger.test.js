@@ -0,0 +1,86 @@
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { access, appendFile, mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { DistributionLedger } from '../src/services/distribution-ledger.js';
+
+const DISTRIBUTION = { merkleRoot: 'root', mint: 'Mint111111111111111111111111111111111111111' };
+
+describe('DistributionLedger', () => {
+    let dir;
+    let filepath;
+
+    beforeEach(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'koko-test-'));
+        filepath = join(dir, 'ledger.ndjson');
+    });
+
+    afterEach(async () => {
+        mock.restoreAll();
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    test('keeps the fate of every batch across reopening', async () => {
+        const ledger = await DistributionLedger.open(filepath, DISTRIBUTION);
+        await ledger.sent({ signature: 'one', recipients: [{ owner: 'alice', amount: 10n }, { owner: 'bob', amount: 20n }], lastValidBlockHeight: 100 });
+        await ledger.confirmed('one', { slot: 7 });
+        await ledger.sent({ signature: 'two', recipients: [{ owner: 'carol', amount: 30n }], lastValidBlockHeight: 110 });
+        await ledger.failed('two', { error: 'Blockhash expired before the transaction landed' });
+        await ledger.sent({ signature: 'three', recipients: [{ owner: 'dave', amount: 40n }], lastValidBlockHeight: 120 });
+
+        const reopened = await DistributionLedger.open(filepath, DISTRIBUTION);
+        assert.deepEqual(reopened.paid(), new Set(['alice', 'bob']));
+        assert.deepEqual(reopened.counts(), { sent: 1, confirmed: 1, failed: 1 });
+
+        const [unresolved] = reopened.unresolved();
+        assert.equal(reopened.unresolved().length, 1);
+        assert.equal(unresolved.signature, 'three');
+        assert.equal(unresolved.lastValidBlockHeight, 120);
+        assert.deepEqual(unresolved.recipients, [{ owner: 'dave', amount: 40n }]);
+        assert.equal(reopened.batches.get('one').slot, 7);
+    });
+
+    test('a failed batch leaves its recipients unpaid and a later confirmation pays them', async () => {
+        const ledger = await DistributionLedger.open(filepath, DISTRIBUTION);
+        await ledger.sent({ signature: 'first', recipients: [{ owner: 'carol', amount: 30n }], lastValidBlockHeight: 100 });
+        await ledger.failed('first', { error: 'expired' });
+        await ledger.sent({ signature: 'retry', recipients: [{ owner: 'carol', amount: 30n }], lastValidBlockHeight: 300 });
+        await ledger.confirmed('retry', { slot: 9 });
+
+        const reopened = await DistributionLedger.open(filepath, DISTRIBUTION);
+        assert.deepEqual(reopened.paid(), new Set(['carol']));
+        assert.deepEqual(reopened.unresolved(), []);
+    });
+
+    test('skips a half-written last line', async () => {
+        const ledger = await DistributionLedger.open(filepath, DISTRIBUTION);
+        await ledger.sent({ signature: 'one', recipients: [{ owner: 'alice', amount: 10n }], lastValidBlockHeight: 100 });
+        await appendFile(filepath, '{"signature":"one","status":"confir');
+        const warn = mock.method(console, 'warn', () => {});
+
+        const reopened = await DistributionLedger.open(filepath, DISTRIBUTION);
+        assert.equal(reopened.unresolved().length, 1);
+        assert.equal(reopened.paid().size, 0);
+        assert.equal(warn.mock.callCount(), 1);
+        assert.match(warn.mock.calls[0].arguments[0], /Skipping unreadable ledger line/);
+    });
+
+    test('refuses the ledger of another distribution', async () => {
+        await DistributionLedger.open(filepath, DISTRIBUTION);
+
+        await assert.rejects(
+            DistributionLedger.open(filepath, { ...DISTRIBUTION, merkleRoot: 'other' }),
+            /is the ledger of another distribution \(root root, mint Mint1+\); pass --ledger with a new file/
+        );
+    });
+
+    test('writes nothing without create, as for a dry run', async () => {
+        const ledger = await DistributionLedger.open(filepath, DISTRIBUTION, { create: false });
+
+        assert.deepEqual(ledger.paid(), new Set());
+        await assert.rejects(access(filepath), { code: 'ENOENT' });
+        await DistributionLedger.open(filepath, DISTRIBUTION);
+        assert.match(await readFile(filepath, 'utf8'), /^\{"type":"distribution","merkleRoot":"root"/);
+    });
+});
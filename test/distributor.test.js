@@ -0,0 +1,339 @@
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import bs58 from 'bs58';
+import { Keypair, PACKET_DATA_SIZE, PublicKey, SendTransactionError, Transaction } from '@solana/web3.js';
+import {
+    ACCOUNT_SIZE,
+    AccountLayout,
+    MINT_SIZE,
+    MintLayout,
+    TOKEN_2022_PROGRAM_ID,
+    TOKEN_PROGRAM_ID,
+    getAssociatedTokenAddressSync
+} from '@solana/spl-token';
+import { Distributor } from '../src/services/distributor.js';
+import { DistributionLedger } from '../src/services/distribution-ledger.js';
+import { RpcPool } from '../src/services/rpc-pool.js';
+
+const DECIMALS = 6;
+
+function mintAccount(programId) {
+    const data = Buffer.alloc(MINT_SIZE);
+    MintLayout.encode({
+        mintAuthorityOption: 0,
+        mintAuthority: PublicKey.default,
+        supply: 10n ** 15n,
+        decimals: DECIMALS,
+        isInitialized: true,
+        freezeAuthorityOption: 0,
+        freezeAuthority: PublicKey.default
+    }, data);
+    return { data, owner: programId, lamports: 1_461_600, executable: false };
+}
+
+function tokenAccount(programId, mint, owner, amount = 0n) {
+    const data = Buffer.alloc(ACCOUNT_SIZE);
+    AccountLayout.encode({
+        mint,
+        owner,
+        amount,
+        delegateOption: 0,
+        delegate: PublicKey.default,
+        state: 1,
+        isNativeOption: 0,
+        isNative: 0n,
+        delegatedAmount: 0n,
+        closeAuthorityOption: 0,
+        closeAuthority: PublicKey.default
+    }, data);
+    return { data, owner: programId, lamports: 2_039_280, executable: false };
+}
+
+// An RPC stand-in for the Distributor: the mint, the sender's funded token
+// account and the recipients' accounts that exist. Sent transactions land
+// (are confirmed) unless `landing` is turned off, `rejecting` makes the node
+// refuse them, and `crash` makes the next status check fail like a process
+// killed while waiting for it. It also serves as an RpcPool endpoint's
+// connection.
+class FakeChain {
+    constructor({ mint, sender, programId = TOKEN_PROGRAM_ID, holders = [] }) {
+        this.programId = programId;
+        this.mint = mint;
+        this.accounts = new Map([[mint.toBase58(), mintAccount(programId)]]);
+        for (const owner of [sender, ...holders]) {
+            const account = getAssociatedTokenAddressSync(mint, owner, true, programId);
+            this.accounts.set(account.toBase58(), tokenAccount(programId, mint, owner, owner.equals(sender) ? 10n ** 15n : 0n));
+        }
+        this.blockHeight = 1_000;
+        this.statuses = new Map();
+        this.sent = [];
+        this.sendAttempts = 0;
+        this.landing = true;
+        this.rejecting = false;
+        this.crash = false;
+    }
+
+    async call(method, ...args) {
+        return this[method](...args);
+    }
+
+    async withConnection(fn) {
+        return fn(this);
+    }
+
+    getAccountInfo(address) {
+        return this.accounts.get(address.toBase58()) ?? null;
+    }
+
+    getMultipleAccountsInfo(addresses) {
+        return addresses.map(address => this.getAccountInfo(address));
+    }
+
+    getLatestBlockhash() {
+        return { blockhash: Keypair.generate().publicKey.toBase58(), lastValidBlockHeight: this.blockHeight + 150 };
+    }
+
+    getFeeForMessage() {
+        return { value: 5_000 };
+    }
+
+    getMinimumBalanceForRentExemption() {
+        return 2_039_280;
+    }
+
+    getBalance() {
+        return 10 ** 9;
+    }
+
+    sendRawTransaction(raw) {
+        this.sendAttempts++;
+        if (this.rejecting) {
+            throw new SendTransactionError({ action: 'send', signature: '', transactionMessage: 'Transaction simulation failed' });
+        }
+        const transaction = Transaction.from(raw);
+        const signature = bs58.encode(transaction.signature);
+        this.sent.push(transaction);
+        if (this.landing) this.statuses.set(signature, { confirmationStatus: 'confirmed', slot: this.sent.length, err: null });
+        return signature;
+    }
+
+    getBlockHeight() {
+        if (this.crash) {
+            this.crash = false;
+            throw new Error('killed');
+        }
+        return this.blockHeight;
+    }
+
+    getSignatureStatuses([signature]) {
+        return { value: [this.statuses.get(signature) ?? null] };
+    }
+
+    // Token account -> number of transfers (TransferChecked) sent to it
+    transfers() {
+        const counts = new Map();
+        for (const transaction of this.sent) {
+            for (const instruction of transaction.instructions) {
+                if (!instruction.programId.equals(this.programId) || instruction.data[0] !== 12) continue;
+                const account = instruction.keys[2].pubkey.toBase58();
+                counts.set(account, (counts.get(account) ?? 0) + 1);
+            }
+        }
+        return counts;
+    }
+}
+
+const wallets = count => Array.from({ length: count }, () => Keypair.generate().publicKey);
+
+// Packet bytes of the batch's transaction: one signature and the message
+function serializedSize(distributor, batch) {
+    const transaction = distributor.buildTransaction(batch, Keypair.generate().publicKey.toBase58());
+    return 1 + 64 + transaction.compileMessage().serialize().length;
+}
+
+describe('Distributor.pack', () => {
+    for (const programId of [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID]) {
+        test(`fills batches up to the packet size with account creations mixed in (${programId.equals(TOKEN_PROGRAM_ID) ? 'Token' : 'Token-2022'})`, async () => {
+            const sender = Keypair.generate();
+            const mint = Keypair.generate().publicKey;
+            const owners = wallets(60);
+            // Every third recipient needs its account created
+            const chain = new FakeChain({ mint, sender: sender.publicKey, programId, holders: owners.filter((_, index) => index % 3 !== 0) });
+            const distributor = new Distributor(chain, { mint, sender: sender.publicKey, createAccounts: true });
+            await distributor.loadMint();
+
+            const allocations = owners.map((owner, index) => ({ owner: owner.toBase58(), amount: BigInt(index + 1) * 1_000_000n }));
+            const plan = await distributor.plan(allocations);
+
+            assert.equal(plan.recipients, 60);
+            assert.equal(plan.creates, 20);
+            assert.deepEqual(plan.batches.flatMap(batch => batch.recipients.map(recipient => recipient.owner)), allocations.map(({ owner }) => owner));
+            assert.equal(plan.batches.reduce((total, batch) => total + batch.amount, 0n), plan.totalAmount);
+
+            plan.batches.forEach((batch, index) => {
+                const size = serializedSize(distributor, batch);
+                assert.equal(batch.size, size);
+                assert.ok(size <= PACKET_DATA_SIZE, `batch ${index} is ${size} bytes`);
+                assert.equal(batch.creates, batch.recipients.filter(recipient => recipient.create).length);
+
+                // Signs and serializes, which web3.js refuses above the packet size
+                const transaction = distributor.buildTransaction(batch, Keypair.generate().publicKey.toBase58());
+                transaction.sign(sender);
+                assert.equal(transaction.serialize().length, size);
+
+                // Full: the next recipient would not have fit
+                const next = plan.batches[index + 1]?.recipients[0];
+                if (next) {
+                    const grown = { recipients: [...batch.recipients, next] };
+                    assert.ok(serializedSize(distributor, grown) > PACKET_DATA_SIZE, `batch ${index} could take one more`);
+                }
+            });
+        });
+    }
+
+    test('skips wallets without an account unless accounts are created', async () => {
+        const sender = Keypair.generate();
+        const mint = Keypair.generate().publicKey;
+        const [holder, newcomer] = wallets(2);
+        const chain = new FakeChain({ mint, sender: sender.publicKey, holders: [holder] });
+        const distributor = new Distributor(chain, { mint, sender: sender.publicKey });
+        await distributor.loadMint();
+
+        const plan = await distributor.plan([
+            { owner: holder.toBase58(), amount: 5n },
+            { owner: newcomer.toBase58(), amount: 7n }
+        ]);
+
+        assert.equal(plan.recipients, 1);
+        assert.deepEqual(plan.skipped.map(({ owner, reason }) => [owner, reason]), [
+            [newcomer.toBase58(), 'No token account (use --create-accounts)']
+        ]);
+    });
+});
+
+describe('Distributor resume', () => {
+    let dir;
+    let sender;
+    let mint;
+    let owners;
+    let allocations;
+    let chain;
+
+    beforeEach(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'koko-test-'));
+        sender = Keypair.generate();
+        mint = Keypair.generate().publicKey;
+        owners = wallets(30);
+        allocations = owners.map(owner => ({ owner: owner.toBase58(), amount: 1_000n }));
+        chain = new FakeChain({ mint, sender: sender.publicKey, holders: owners });
+    });
+
+    afterEach(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    // A fresh process: the ledger read back from disk and a new distributor
+    async function restart() {
+        const ledger = await DistributionLedger.open(join(dir, 'ledger.ndjson'), { merkleRoot: 'root', mint: mint.toBase58() });
+        const distributor = new Distributor(chain, { mint, sender: sender.publicKey });
+        await distributor.loadMint();
+        return { ledger, distributor };
+    }
+
+    // Runs until the process is killed while waiting for the first batch
+    async function crashAfterSending() {
+        const { ledger, distributor } = await restart();
+        const plan = await distributor.plan(allocations, { paid: ledger.paid() });
+        assert.ok(plan.batches.length > 1);
+        chain.crash = true;
+        await assert.rejects(distributor.execute(plan, { keypair: sender, ledger }), /killed/);
+        return plan.batches[0];
+    }
+
+    test('counts a batch that landed before the crash as paid and pays everyone else once', async () => {
+        const first = await crashAfterSending();
+        assert.equal(chain.sent.length, 1);
+
+        const { ledger, distributor } = await restart();
+        assert.deepEqual(ledger.counts(), { sent: 1, confirmed: 0, failed: 0 });
+        assert.equal(ledger.unresolved()[0].signature, bs58.encode(chain.sent[0].signature));
+
+        assert.equal(await distributor.resolve(ledger), 1);
+        assert.deepEqual(ledger.unresolved(), []);
+        assert.deepEqual([...ledger.paid()].sort(), first.recipients.map(recipient => recipient.owner).sort());
+
+        const plan = await distributor.plan(allocations, { paid: ledger.paid() });
+        assert.equal(plan.paid, first.recipients.length);
+        assert.equal(plan.recipients, allocations.length - first.recipients.length);
+        await distributor.execute(plan, { keypair: sender, ledger });
+
+        const transfers = chain.transfers();
+        assert.equal(transfers.size, owners.length);
+        assert.ok([...transfers.values()].every(count => count === 1));
+        assert.equal((await restart()).ledger.paid().size, owners.length);
+    });
+
+    test('pays the recipients of a batch that never landed again', async () => {
+        chain.landing = false;
+        const first = await crashAfterSending();
+
+        // Its blockhash has expired without the transaction showing up
+        chain.blockHeight += 1_000;
+        chain.landing = true;
+        const { ledger, distributor } = await restart();
+        await distributor.resolve(ledger);
+
+        assert.deepEqual(ledger.counts(), { sent: 0, confirmed: 0, failed: 1 });
+        assert.equal(ledger.paid().size, 0);
+
+        const plan = await distributor.plan(allocations, { paid: ledger.paid() });
+        assert.equal(plan.recipients, allocations.length);
+        assert.deepEqual(plan.batches[0].recipients.map(recipient => recipient.owner), first.recipients.map(recipient => recipient.owner));
+    });
+
+    test('does not send a batch the node refused again', async () => {
+        chain.rejecting = true;
+        const { ledger, distributor } = await restart();
+        const pool = new RpcPool([{ label: 'fake', connection: chain }]);
+        const pooled = new Distributor(pool, { mint, sender: sender.publicKey });
+        await pooled.loadMint();
+
+        const plan = await distributor.plan(allocations);
+        await assert.rejects(pooled.execute(plan, { keypair: sender, ledger }), /was rejected/);
+        assert.equal(chain.sendAttempts, 1);
+        assert.deepEqual(ledger.counts(), { sent: 0, confirmed: 0, failed: 1 });
+    });
+
+    test('does not take a landed batch for expired when another endpoint lags behind', async () => {
+        // By the time anyone checks, the batch has landed and its blockhash
+        // has expired, but the lagging endpoint has not seen either yet
+        const send = chain.sendRawTransaction.bind(chain);
+        chain.sendRawTransaction = raw => {
+            const signature = send(raw);
+            chain.blockHeight += 200;
+            return signature;
+        };
+        const lagging = new Proxy(chain, {
+            get: (target, method) => ({
+                getBlockHeight: () => target.blockHeight - 300,
+                getSignatureStatuses: () => ({ value: [null] })
+            })[method] ?? target[method].bind(target)
+        });
+        const pool = new RpcPool([{ label: 'ahead', connection: chain }, { label: 'lagging', connection: lagging }]);
+        const { ledger, distributor } = await restart();
+        const pooled = new Distributor(pool, { mint, sender: sender.publicKey });
+        await pooled.loadMint();
+        const [batch] = (await distributor.plan(allocations)).batches;
+
+        // The pool now alternates from the endpoint ahead: a block height and
+        // a status read in separate calls would come from different ones
+        for (const endpoint of pool.endpoints) endpoint.currentWeight = 0;
+        await pooled.execute({ batches: [batch] }, { keypair: sender, ledger });
+
+        assert.equal(chain.sendAttempts, 1);
+        assert.deepEqual(ledger.counts(), { sent: 0, confirmed: 1, failed: 0 });
+    });
+});
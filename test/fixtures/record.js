@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+// Records the RPC responses of an analyze run over the holders scenario to
+// test/fixtures/rpc/holders, which test/analyze.test.js replays. Run it
+// again after changing the scenario or the calls analyze makes.
+import { rm } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { RpcPool } from '../../src/services/rpc-pool.js';
+import { RpcFixtures, createRecordingConnection } from '../../src/services/rpc-fixtures.js';
+import { runAnalyze } from '../helpers.js';
+import { holdersScenario, holdersSettings } from './scenarios.js';
+
+const dir = fileURLToPath(new URL('./rpc/holders', import.meta.url));
+await rm(dir, { recursive: true, force: true });
+
+const scenario = holdersScenario();
+const connection = createRecordingConnection(scenario.connection(), new RpcFixtures(dir));
+const output = await runAnalyze({
+    rpc: new RpcPool([{ label: 'scenario', connection }]),
+    overrides: holdersSettings(scenario)
+});
+console.log(`Recorded ${output.results.length} holders to ${dir}`);
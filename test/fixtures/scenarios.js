@@ -0,0 +1,26 @@
+import { Scenario } from '../../src/testing/scenario.js';
+
+// Settings the holders scenario is analyzed, recorded and replayed with
+export function holdersSettings(scenario) {
+    return {
+        KOKO_TOKEN: scenario.mint.toBase58(),
+        SNAPSHOT_TIME: '2024-06-01T00:00:00Z',
+        AIRDROP_TOTAL: 1000
+    };
+}
+
+// Five kinds of holder as of the snapshot: one who bought and only moved
+// tokens between their own accounts, a partial seller, a wallet that handed
+// everything to a new one and closed its account, that heir, and a buyer
+// too recent to qualify. The swap pool is a holder too, excluded as a PDA.
+export function holdersScenario() {
+    return new Scenario({ seed: 'holders' })
+        .buy('diamond', 100_000_000, '2024-01-01')
+        .buy('seller', 200_000_000, '2024-01-02')
+        .buy('leaver', 90_000_000, '2024-01-05')
+        .transferToSelf('diamond', 40_000_000, '2024-02-01')
+        .sell('seller', 50_000_000, '2024-03-01')
+        .transfer('leaver', 'heir', 90_000_000, '2024-04-01')
+        .closeAccount('leaver', '2024-04-01T00:00:01Z')
+        .buy('late', 80_000_000, '2024-05-20');
+}
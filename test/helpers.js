@@ -0,0 +1,57 @@
+import { mock } from 'node:test';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { CONFIG, loadConfig } from '../src/config.js';
+import { createContext } from '../src/commands/context.js';
+import { Campaign, loadCampaign } from '../src/eligibility/campaign.js';
+import { RunJournal } from '../src/services/run-journal.js';
+
+// Runs "analyze" in a fresh output and cache directory with the given
+// settings and returns its JSON output ({run, summary, results}) and run ID.
+// `rpc` replaces the pool built from the settings, e.g. with a scenario.
+// With `dir` the run is journaled there and the directory is kept, so a
+// later call can continue it with `resume` (its run ID) like --resume.
+// `campaign` (campaign file contents) replaces the one built from the settings.
+export async function runAnalyze({ rpc, overrides = {}, campaign: data = null, dir = null, resume = null } = {}) {
+    const workDir = dir ?? await mkdtemp(join(tmpdir(), 'koko-test-'));
+    const log = mock.method(console, 'log', () => {});
+    const clear = mock.method(console, 'clear', () => {});
+
+    try {
+        await loadConfig({
+            overrides: {
+                OUTPUT_DIR: join(workDir, 'output'),
+                CACHE_DIR: join(workDir, 'cache'),
+                OUTPUT_FORMATS: ['json'],
+                RETRY_DELAY: 0,
+                ...overrides
+            }
+        });
+
+        let journal = null;
+        let campaign = data && Campaign.parse(data);
+        if (dir) {
+            const runsDir = join(CONFIG.CACHE_DIR, 'runs');
+            if (resume) {
+                journal = await RunJournal.open(runsDir, resume);
+                journal.restoreSettings(CONFIG);
+                campaign = Campaign.parse(journal.campaign);
+            } else {
+                campaign ??= await loadCampaign(CONFIG);
+                journal = await RunJournal.create(runsDir, CONFIG, campaign);
+            }
+        }
+
+        const { analyzer, cacheManager } = await createContext({ rpc, campaign });
+        await analyzer.analyze({ journal });
+        await cacheManager.flush();
+
+        const file = analyzer.output.files.find(filepath => filepath.endsWith('.json'));
+        return { ...JSON.parse(await readFile(file, 'utf8')), runId: journal?.runId ?? null };
+    } finally {
+        log.mock.restore();
+        clear.mock.restore();
+        if (!dir) await rm(workDir, { recursive: true, force: true });
+    }
+}
@@ -0,0 +1,32 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { LineFile } from '../src/utils/line-file.js';
+
+describe('LineFile', () => {
+    test('rejects only the append whose write failed and keeps appending after it', async () => {
+        const dir = await mkdtemp(join(tmpdir(), 'koko-test-'));
+        try {
+            const filepath = join(dir, 'lines.ndjson');
+            const file = new LineFile(filepath);
+            // A directory in the file's place makes the next write fail
+            await mkdir(filepath);
+
+            const failed = file.append({ owner: 'alice' });
+            await assert.rejects(failed, { code: 'EISDIR' });
+
+            await rm(filepath, { recursive: true });
+            const bob = await file.append({ owner: 'bob', amount: 5n });
+            const carol = await file.append({ owner: 'carol' });
+
+            assert.equal(bob.offset, 0);
+            assert.deepEqual(await file.read(bob), { owner: 'bob', amount: 5n });
+            assert.deepEqual(await file.read(carol), { owner: 'carol' });
+            assert.equal((await readFile(filepath, 'utf8')).split('\n').length, 3);
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,162 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { access, mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadConfig } from '../src/config.js';
+import { Campaign } from '../src/eligibility/campaign.js';
+import { resultFields } from '../src/exporters/result-schema.js';
+import { ResultOutput } from '../src/exporters/result-writers.js';
+
+const MINT = 'Mint111111111111111111111111111111111111111';
+const BONUS_MINT = 'Bonus11111111111111111111111111111111111111';
+
+const CAMPAIGN = new Campaign({
+    tokens: [{ id: 'koko', symbol: 'KOKO', mint: MINT }, { id: 'bonus', symbol: 'BONUS', mint: BONUS_MINT }],
+    eligibility: { id: 'hold', label: 'Holds KOKO', token: 'koko', minBalance: 1 }
+});
+
+const METADATA = {
+    tokens: [{ id: 'koko', decimals: 6 }, { id: 'bonus', decimals: 0 }],
+    airdropDecimals: 9
+};
+
+// Writes the records as CSV and reads them back as objects by column
+async function writeCsv(records, metadata = METADATA) {
+    const dir = await mkdtemp(join(tmpdir(), 'koko-test-'));
+    try {
+        const output = await ResultOutput.create(join(dir, 'results'), {
+            formats: ['csv'],
+            fields: resultFields(CAMPAIGN),
+            metadata
+        });
+        for (const record of records) await output.updateRecord(record.owner, record);
+        await output.flush({});
+
+        const [header, ...rows] = (await readFile(output.files[0], 'utf8')).trim().split('\n');
+        const columns = header.split(',');
+        return { columns, rows: rows.map(row => Object.fromEntries(row.split(',').map((cell, index) => [columns[index], cell]))) };
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+}
+
+describe('CsvResultWriter', () => {
+    test('follows every amount column with the amount in whole tokens', async () => {
+        const { columns, rows: [row] } = await writeCsv([{
+            owner: 'alice',
+            balance: 123_456_789n,
+            balance_bonus: 42n,
+            twab: 10n ** 21n + 5n,
+            minBalance: 0n,
+            airdropAmount: 1_500_000_000n
+        }]);
+
+        assert.deepEqual(columns.slice(columns.indexOf('balance'), columns.indexOf('balance') + 4), [
+            'balance', 'balance_decimal', 'balance_bonus', 'balance_bonus_decimal'
+        ]);
+        assert.equal(row.balance, '123456789');
+        assert.equal(row.balance_decimal, '123.456789');
+        assert.equal(row.balance_bonus_decimal, '42');
+        assert.equal(row.twab, '1000000000000000000005');
+        assert.equal(row.twab_decimal, '1000000000000000.000005');
+        assert.equal(row.minBalance_decimal, '0');
+        // In the airdropped token's decimals, not the analyzed token's
+        assert.equal(row.airdropAmount_decimal, '1.5');
+    });
+
+    test('leaves the decimal column empty for a null amount or unknown decimals', async () => {
+        const { rows: [row] } = await writeCsv([{ owner: 'bob', balance: 5n }], { tokens: [] });
+
+        assert.equal(row.balance, '5');
+        assert.equal(row.balance_decimal, '');
+        assert.equal(row.airdropAmount, '');
+        assert.equal(row.airdropAmount_decimal, '');
+    });
+});
+
+describe('sqlite output', () => {
+    test('is refused when the settings are loaded on a Node.js without node:sqlite', async () => {
+        const supported = await import('node:sqlite').then(() => true, () => false);
+        const loading = loadConfig({ overrides: { OUTPUT_FORMATS: ['csv', 'sqlite'] } });
+
+        if (supported) {
+            await loading;
+        } else {
+            await assert.rejects(loading, {
+                name: 'ConfigError',
+                problems: [`sqlite output needs Node.js 22.13 or later, or 22.5 with --experimental-sqlite (running ${process.version})`]
+            });
+        }
+    });
+});
+
+describe('ResultOutput', () => {
+    test('writes the spooled records sorted, with later changes, and removes the spool on close', async () => {
+        const dir = await mkdtemp(join(tmpdir(), 'koko-test-'));
+        try {
+            const fields = resultFields(CAMPAIGN);
+            const output = await ResultOutput.create(join(dir, 'results'), {
+                formats: ['json', 'ndjson'],
+                fields,
+                metadata: METADATA,
+                sortKey: record => record.balance,
+                order: (a, b) => (a === b ? 0 : a > b ? -1 : 1)
+            });
+            await output.updateRecord('a', { owner: 'a', balance: 5n, eligible: true, failedRules: [] });
+            await output.updateRecord('b', { owner: 'b', balance: 50n, eligible: true, failedRules: [] });
+            await output.updateRecord('c', { owner: 'c', balance: 7n, eligible: false, failedRules: ['holding:MIN_HOLDING_DAYS'] });
+            output.patchRecord('a', { airdropShare: 100, airdropAmount: 10n });
+            output.patchRecord('missing', { airdropShare: 1 });
+            await output.flush({ processed: 3 });
+
+            const text = await readFile(output.files[0], 'utf8');
+            const document = JSON.parse(text);
+            assert.equal(text, JSON.stringify(document, null, 2));
+            assert.deepEqual(document.results.map(record => record.owner), ['b', 'c', 'a']);
+            assert.equal(document.results[2].airdropShare, 100);
+            assert.equal(document.results[2].airdropAmount, '10');
+            assert.deepEqual(document.results[1].failedRules, ['holding:MIN_HOLDING_DAYS']);
+            assert.deepEqual(document.summary, { processed: 3 });
+            assert.equal(output.size, 3);
+
+            const lines = (await readFile(output.files[1], 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+            assert.deepEqual(lines.map(line => line.type), ['run', 'wallet', 'wallet', 'wallet', 'summary']);
+            assert.equal(lines[3].owner, 'a');
+
+            await output.close();
+            await assert.rejects(access(join(dir, 'results.records.tmp')), { code: 'ENOENT' });
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('spools nothing more once closed', async () => {
+        const dir = await mkdtemp(join(tmpdir(), 'koko-test-'));
+        try {
+            const output = await ResultOutput.create(join(dir, 'results'), { formats: ['json'], fields: resultFields(CAMPAIGN), metadata: METADATA });
+            await output.updateRecord('a', { owner: 'a', balance: 5n });
+            await output.close();
+
+            // A wallet still finishing after an interrupt
+            await output.updateRecord('b', { owner: 'b', balance: 7n });
+            await assert.rejects(access(join(dir, 'results.records.tmp')), { code: 'ENOENT' });
+            assert.equal(output.size, 1);
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('writes an empty results list as JSON', async () => {
+        const dir = await mkdtemp(join(tmpdir(), 'koko-test-'));
+        try {
+            const output = await ResultOutput.create(join(dir, 'results'), { formats: ['json'], fields: resultFields(CAMPAIGN), metadata: METADATA });
+            await output.flush();
+
+            const text = await readFile(output.files[0], 'utf8');
+            assert.equal(text, JSON.stringify({ run: METADATA, summary: null, results: [] }, null, 2));
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    });
+});
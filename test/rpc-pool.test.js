@@ -0,0 +1,258 @@
+import { after, afterEach, before, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { SendTransactionError } from '@solana/web3.js';
+import { loadConfig } from '../src/config.js';
+import { RpcError, RpcPool } from '../src/services/rpc-pool.js';
+
+// A Connection-like stub whose getBalance answers with `handler` and whose
+// getSlot is the health check
+function endpoint(label, handler, { weight = 1, requestsPerSecond = null, getSlot = async () => 1 } = {}) {
+    return {
+        label,
+        weight,
+        requestsPerSecond,
+        connection: { getBalance: mock.fn(handler), getSlot: mock.fn(getSlot) }
+    };
+}
+
+const answer = value => async () => value;
+const failing = status => async () => {
+    throw new RpcError(`responded with ${status}`, { status });
+};
+
+beforeEach(async () => {
+    await loadConfig({ overrides: { RETRY_LIMIT: 3, RETRY_DELAY: 0 } });
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'log', () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('RpcPool', () => {
+    test('spreads calls over the endpoints by weight', async () => {
+        const pool = new RpcPool([endpoint('a', answer('a'), { weight: 3 }), endpoint('b', answer('b'))]);
+
+        const answers = [];
+        for (let i = 0; i < 8; i++) answers.push(await pool.call('getBalance'));
+
+        assert.equal(answers.filter(label => label === 'a').length, 6);
+        assert.equal(answers.filter(label => label === 'b').length, 2);
+    });
+
+    test('fails over to another endpoint when one errors', async () => {
+        const pool = new RpcPool([endpoint('a', failing(502)), endpoint('b', answer('b'))]);
+
+        assert.equal(await pool.call('getBalance'), 'b');
+        assert.equal(pool.metrics()[0].failures, 1);
+        assert.equal(pool.metrics()[1].failures, 0);
+    });
+
+    test('does not retry an invalid request', async () => {
+        const invalid = endpoint('a', async () => {
+            throw Object.assign(new Error('Invalid params'), { code: -32602 });
+        });
+        const pool = new RpcPool([invalid, endpoint('b', answer('b'))]);
+
+        await assert.rejects(pool.call('getBalance'), /Invalid params/);
+        assert.equal(invalid.connection.getBalance.mock.callCount(), 1);
+        assert.equal(pool.metrics()[0].healthy, true);
+    });
+
+    test('does not retry a rejected transaction', async () => {
+        const rejecting = endpoint('a', async () => {
+            throw new SendTransactionError({ action: 'send', signature: '', transactionMessage: 'Attempt to debit an account but found no record of a prior credit' });
+        });
+        const pool = new RpcPool([rejecting, endpoint('b', answer('b'))]);
+
+        await assert.rejects(pool.call('getBalance'), SendTransactionError);
+        assert.equal(rejecting.connection.getBalance.mock.callCount(), 1);
+    });
+
+    test('takes an endpoint out after three failures in a row until a health check passes', async () => {
+        let down = true;
+        const flaky = endpoint('a', async () => {
+            if (down) throw new RpcError('responded with 503', { status: 503 });
+            return 'a';
+        });
+        const pool = new RpcPool([flaky, endpoint('b', answer('b'))]);
+
+        for (let i = 0; i < 10; i++) {
+            assert.equal(await pool.call('getBalance'), 'b');
+        }
+        assert.equal(flaky.connection.getBalance.mock.callCount(), 3);
+        assert.equal(pool.metrics()[0].healthy, false);
+        assert.equal(flaky.connection.getSlot.mock.callCount(), 0);
+
+        // Once its cooldown is over the next call probes it with getSlot
+        down = false;
+        pool.endpoints[0].unhealthyUntil = 0;
+        await pool.call('getBalance');
+        await pool.endpoints[0].probing;
+        assert.equal(flaky.connection.getSlot.mock.callCount(), 1);
+        assert.equal(pool.metrics()[0].healthy, true);
+
+        const answers = [];
+        for (let i = 0; i < 4; i++) answers.push(await pool.call('getBalance'));
+        assert.ok(answers.includes('a'));
+    });
+
+    test('gives up when the only endpoint fails its health check', async () => {
+        const broken = endpoint('a', failing(500), {
+            getSlot: async () => {
+                throw new Error('connection refused');
+            }
+        });
+        const pool = new RpcPool([broken]);
+
+        await assert.rejects(pool.call('getBalance'), /responded with 500/);
+        assert.equal(pool.metrics()[0].healthy, false);
+
+        pool.endpoints[0].unhealthyUntil = 0;
+        await assert.rejects(pool.call('getBalance'), /No healthy RPC endpoint available/);
+        assert.equal(broken.connection.getSlot.mock.callCount(), 1);
+        assert.ok(pool.endpoints[0].unhealthyUntil > Date.now());
+    });
+
+    test('waits out a 429 for its Retry-After when no other endpoint can take the call', async () => {
+        let limited = true;
+        const pool = new RpcPool([endpoint('a', async () => {
+            if (!limited) return 'a';
+            limited = false;
+            throw new RpcError('rate limiting (429)', { status: 429, retryAfterMs: 300 });
+        })]);
+
+        const started = Date.now();
+        assert.equal(await pool.call('getBalance'), 'a');
+        assert.ok(Date.now() - started >= 290);
+        assert.equal(pool.metrics()[0].rateLimited, 1);
+    });
+
+    test('sends calls elsewhere while a rate-limited endpoint cools down', async () => {
+        const limited = endpoint('a', async () => {
+            throw new RpcError('rate limiting (429)', { status: 429, retryAfterMs: 60_000 });
+        });
+        const pool = new RpcPool([limited, endpoint('b', answer('b'))]);
+
+        for (let i = 0; i < 5; i++) {
+            assert.equal(await pool.call('getBalance'), 'b');
+        }
+        assert.equal(limited.connection.getBalance.mock.callCount(), 1);
+        assert.ok(pool.endpoints[0].cooldownUntil > Date.now() + 50_000);
+        assert.equal(pool.metrics()[0].healthy, true);
+    });
+
+    test('halves the request rate on a 429 and recovers it gradually', async () => {
+        let limited = true;
+        const pool = new RpcPool([endpoint('a', async () => {
+            if (!limited) return 'a';
+            limited = false;
+            throw new RpcError('rate limiting (429)', { status: 429, retryAfterMs: 0 });
+        }, { requestsPerSecond: 100 })]);
+
+        await pool.call('getBalance');
+        // The retry that succeeded already nudged it up from 50
+        assert.equal(pool.metrics()[0].rate, 50 * 1.05);
+
+        for (let i = 0; i < 13; i++) await pool.call('getBalance');
+        assert.ok(pool.metrics()[0].rate < 100);
+        await pool.call('getBalance');
+        assert.equal(pool.metrics()[0].rate, 100);
+    });
+
+    test('throttles an endpoint without a limit to half its recent rate after a 429', async () => {
+        let calls = 0;
+        const pool = new RpcPool([endpoint('a', async () => {
+            if (++calls === 7) throw new RpcError('rate limiting (429)', { status: 429, retryAfterMs: 0 });
+            return 'a';
+        })]);
+
+        await Promise.all(Array.from({ length: 6 }, () => pool.call('getBalance')));
+        assert.equal(pool.metrics()[0].rate, Infinity);
+
+        await pool.call('getBalance');
+        // 7 requests in the last second, halved, then nudged up by the retry
+        assert.equal(pool.metrics()[0].rate, 3.5 * 1.05);
+    });
+});
+
+describe('RpcPool over HTTP', () => {
+    let server;
+    let url;
+    const responses = [];
+
+    before(async () => {
+        server = createServer((request, response) => {
+            let body = '';
+            request.on('data', chunk => {
+                body += chunk;
+            });
+            request.on('end', () => {
+                const { id } = JSON.parse(body);
+                const { status = 200, headers = {}, result, error } = responses.shift() ?? {};
+                response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+                response.end(status === 200 ? JSON.stringify({ jsonrpc: '2.0', id, ...(error ? { error } : { result }) }) : 'error');
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    test('honors Retry-After on a 429 and retries a 503', async () => {
+        responses.push(
+            { status: 429, headers: { 'Retry-After': '1' } },
+            { status: 503 },
+            { result: 42 }
+        );
+        const pool = new RpcPool([{ url }]);
+
+        const started = Date.now();
+        assert.equal(await pool.call('getSlot'), 42);
+        assert.ok(Date.now() - started >= 990);
+
+        const [metrics] = pool.metrics();
+        assert.equal(metrics.endpoint, new URL(url).host);
+        assert.equal(metrics.requests, 3);
+        assert.equal(metrics.failures, 2);
+        assert.equal(metrics.rateLimited, 1);
+        assert.match(metrics.lastError, /responded with 503 Service Unavailable/);
+    });
+
+    test('passes a JSON-RPC error on without retrying it or counting it against the endpoint', async () => {
+        responses.push(
+            { error: { code: -32007, message: 'Slot 1000 was skipped, or missing due to ledger jump to recent snapshot' } },
+            { error: { code: -32007, message: 'Slot 1000 was skipped, or missing due to ledger jump to recent snapshot' } },
+            { error: { code: -32007, message: 'Slot 1000 was skipped, or missing due to ledger jump to recent snapshot' } }
+        );
+        const pool = new RpcPool([{ url }]);
+
+        for (let i = 0; i < 3; i++) {
+            await assert.rejects(pool.call('getBlockTime', 1000), { code: -32007, message: /Slot 1000 was skipped/ });
+        }
+        const [metrics] = pool.metrics();
+        assert.equal(metrics.requests, 3);
+        assert.equal(metrics.healthy, true);
+        assert.equal(pool.endpoints[0].consecutiveFailures, 0);
+    });
+
+    test('retries a node that reports itself unhealthy', async () => {
+        responses.push(
+            { error: { code: -32005, message: 'Node is behind by 120 slots' } },
+            { result: 42 }
+        );
+        const pool = new RpcPool([{ url }]);
+
+        assert.equal(await pool.call('getSlot'), 42);
+        assert.equal(pool.metrics()[0].failures, 1);
+    });
+
+    test('fails over from a failing server to a healthy stub', async () => {
+        responses.push({ status: 500 });
+        const pool = new RpcPool([{ url, weight: 2 }, endpoint('stub', async () => 7, { getSlot: async () => 7 })]);
+
+        assert.equal(await pool.call('getSlot'), 7);
+        assert.equal(pool.metrics()[0].failures, 1);
+    });
+});
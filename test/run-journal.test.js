@@ -0,0 +1,72 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFile, mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { CONFIG, loadConfig } from '../src/config.js';
+import { Campaign } from '../src/eligibility/campaign.js';
+import { RunJournal } from '../src/services/run-journal.js';
+
+const MINT = 'Mint111111111111111111111111111111111111111';
+
+async function withJournal(callback) {
+    const dir = await mkdtemp(join(tmpdir(), 'koko-test-'));
+    try {
+        await loadConfig({ overrides: { KOKO_TOKEN: MINT } });
+        const campaign = Campaign.fromConfig(CONFIG);
+        await callback(dir, await RunJournal.create(dir, CONFIG, campaign));
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+}
+
+describe('RunJournal', () => {
+    test('reads finished wallets back after reopening and redoes a half-written one', async () => {
+        await withJournal(async (dir, journal) => {
+            await journal.record('alice', { analysis: { isEligible: true, twab: 10n ** 20n }, exclusion: null });
+            await journal.record('bob', { analysis: { isEligible: false, firstAcquired: new Date('2024-01-01T00:00:00Z') } });
+            assert.equal((await journal.get('alice')).analysis.twab, 10n ** 20n);
+            // A crash in the middle of carol's line
+            await appendFile(journal.entriesFile, '{"owner":"carol","analysis":{"isEl');
+
+            const reopened = await RunJournal.open(dir, journal.runId);
+            assert.equal(reopened.completed, 2);
+            assert.equal(reopened.has('carol'), false);
+            assert.deepEqual(await reopened.get('bob'), {
+                owner: 'bob',
+                analysis: { isEligible: false, firstAcquired: new Date('2024-01-01T00:00:00Z') },
+                exclusion: null
+            });
+            assert.equal(await reopened.get('carol'), undefined);
+
+            // Carol's line is ended, so hers starts on a line of its own
+            await reopened.record('carol', { analysis: { isEligible: true } });
+            const again = await RunJournal.open(dir, journal.runId);
+            assert.equal(again.completed, 3);
+            assert.equal((await again.get('carol')).analysis.isEligible, true);
+        });
+    });
+
+    test('opens a run without finished wallets', async () => {
+        await withJournal(async (dir, journal) => {
+            const reopened = await RunJournal.open(dir, journal.runId);
+            assert.equal(reopened.completed, 0);
+        });
+    });
+
+    test('streams the results and marks the run completed only once they are written', async () => {
+        await withJournal(async (dir, journal) => {
+            assert.equal(await RunJournal.latestCompleted(dir), null);
+            async function* results() {
+                yield { owner: 'alice', balance: 10n ** 20n, isEligible: true };
+                yield { owner: 'bob', balance: 0n, isEligible: false };
+            }
+            await journal.saveResults({ campaign: 'test', token: { decimals: 6 }, results: results() });
+
+            assert.equal(await RunJournal.latestCompleted(dir), journal.runId);
+            const saved = await RunJournal.loadResults(dir, journal.runId);
+            assert.equal(saved.runId, journal.runId);
+            assert.deepEqual(saved.results.map(result => result.balance), [10n ** 20n, 0n]);
+        });
+    });
+});
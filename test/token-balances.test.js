@@ -0,0 +1,91 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getMintDeltasByOwner, getOwnerBalanceChange, getOwnerDeltasByMint } from '../src/utils/token-balances.js';
+
+const MINT = 'Mint111111111111111111111111111111111111111';
+const OTHER_MINT = 'Other11111111111111111111111111111111111111';
+const ALICE = 'A1ice11111111111111111111111111111111111111';
+const BOB = 'Bob1111111111111111111111111111111111111111';
+
+function balance(accountIndex, owner, amount, mint = MINT) {
+    return { accountIndex, mint, owner, uiTokenAmount: { amount: String(amount), decimals: 6 } };
+}
+
+function transaction(preTokenBalances, postTokenBalances) {
+    return { meta: { preTokenBalances, postTokenBalances } };
+}
+
+describe('getOwnerBalanceChange', () => {
+    test('counts an account created in the transaction as zero before it', () => {
+        const tx = transaction(
+            [balance(1, BOB, 500)],
+            [balance(1, BOB, 200), balance(2, ALICE, 300)]
+        );
+
+        assert.deepEqual(getOwnerBalanceChange(tx, ALICE, MINT), { pre: 0n, post: 300n, delta: 300n, decimals: 6 });
+        assert.equal(getOwnerBalanceChange(tx, BOB, MINT).delta, -300n);
+    });
+
+    test('counts an account closed in the transaction as zero after it', () => {
+        const tx = transaction(
+            [balance(1, ALICE, 0), balance(2, ALICE, 700)],
+            [balance(2, ALICE, 700)]
+        );
+
+        assert.deepEqual(getOwnerBalanceChange(tx, ALICE, MINT), { pre: 700n, post: 700n, delta: 0n, decimals: 6 });
+    });
+
+    test('closes an account that still had a balance as a loss', () => {
+        const tx = transaction([balance(1, ALICE, 250)], []);
+
+        assert.deepEqual(getOwnerBalanceChange(tx, ALICE, MINT), { pre: 250n, post: 0n, delta: -250n, decimals: 6 });
+    });
+
+    test('sums every account the owner has for the mint', () => {
+        const tx = transaction(
+            [balance(1, ALICE, 1_000), balance(2, ALICE, 50), balance(3, ALICE, 9, OTHER_MINT)],
+            [balance(1, ALICE, 400), balance(2, ALICE, 650), balance(3, ALICE, 1, OTHER_MINT)]
+        );
+
+        assert.deepEqual(getOwnerBalanceChange(tx, ALICE, MINT), { pre: 1_050n, post: 1_050n, delta: 0n, decimals: 6 });
+    });
+
+    test('keeps amounts beyond the safe integer range exact', () => {
+        const tx = transaction([balance(1, ALICE, '9007199254740993')], [balance(1, ALICE, '9007199254740995')]);
+
+        assert.equal(getOwnerBalanceChange(tx, ALICE, MINT).delta, 2n);
+    });
+
+    test('is zero for an owner the transaction does not touch, or without metadata', () => {
+        assert.deepEqual(getOwnerBalanceChange(transaction([], [balance(1, BOB, 1)]), ALICE, MINT), { pre: 0n, post: 0n, delta: 0n, decimals: 0 });
+        assert.equal(getOwnerBalanceChange({ meta: null }, ALICE, MINT).delta, 0n);
+    });
+});
+
+describe('getMintDeltasByOwner', () => {
+    test('nets each owner over created and closed accounts and drops unchanged owners', () => {
+        const tx = transaction(
+            [balance(1, ALICE, 300), balance(2, ALICE, 0), balance(4, BOB, 5)],
+            [balance(3, BOB, 300), balance(4, BOB, 5)]
+        );
+
+        assert.deepEqual(getMintDeltasByOwner(tx, MINT), new Map([[ALICE, -300n], [BOB, 300n]]));
+    });
+
+    test('moving tokens between the owner\'s own accounts is no change', () => {
+        const tx = transaction([balance(1, ALICE, 100)], [balance(1, ALICE, 60), balance(2, ALICE, 40)]);
+
+        assert.deepEqual(getMintDeltasByOwner(tx, MINT), new Map());
+    });
+});
+
+describe('getOwnerDeltasByMint', () => {
+    test('gives the owner\'s change in every mint it touched', () => {
+        const tx = transaction(
+            [balance(1, ALICE, 100), balance(2, ALICE, 7, OTHER_MINT)],
+            [balance(1, ALICE, 40), balance(3, ALICE, 19, OTHER_MINT)]
+        );
+
+        assert.deepEqual(getOwnerDeltasByMint(tx, ALICE), new Map([[MINT, -60n], [OTHER_MINT, 12n]]));
+    });
+});
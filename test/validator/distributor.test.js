@@ -0,0 +1,164 @@
+// The distributor against a local solana-test-validator: real packing,
+// account creation, fees and confirmations, and a resume after a crash
+// between "sent" and "confirmed". Not part of "npm test"; start a validator
+// and run:
+//
+//   solana-test-validator --reset --quiet &
+//   npm run test:validator
+//
+// KOKO_VALIDATOR_URL points it at another validator (default
+// http://127.0.0.1:8899). Every run uses fresh mints and wallets.
+import { after, before, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Connection, Keypair, LAMPORTS_PER_SOL, PublicKey } from '@solana/web3.js';
+import {
+    TOKEN_2022_PROGRAM_ID,
+    TOKEN_PROGRAM_ID,
+    createAssociatedTokenAccount,
+    createMint,
+    getAccount,
+    getAssociatedTokenAddressSync,
+    getOrCreateAssociatedTokenAccount,
+    mintTo
+} from '@solana/spl-token';
+import bs58 from 'bs58';
+import { CONFIG, loadConfig } from '../../src/config.js';
+import { RpcPool } from '../../src/services/rpc-pool.js';
+import { Distributor } from '../../src/services/distributor.js';
+import { DistributionLedger } from '../../src/services/distribution-ledger.js';
+
+const VALIDATOR_URL = process.env.KOKO_VALIDATOR_URL ?? 'http://127.0.0.1:8899';
+const CONFIRMED = { commitment: 'confirmed' };
+const TIMEOUT = 5 * 60_000;
+
+const connection = new Connection(VALIDATOR_URL, 'confirmed');
+const payer = Keypair.generate();
+let dir;
+
+before(async () => {
+    await connection.getVersion().catch(error => {
+        throw new Error(`No validator at ${VALIDATOR_URL} (${error.message}); start one with "solana-test-validator --reset"`);
+    });
+    await loadConfig({ overrides: { RPC_ENDPOINT: VALIDATOR_URL, RPC_ENDPOINTS: null } });
+    mock.method(console, 'warn', () => {});
+
+    const signature = await connection.requestAirdrop(payer.publicKey, 100 * LAMPORTS_PER_SOL);
+    await connection.confirmTransaction({ signature, ...await connection.getLatestBlockhash() }, 'confirmed');
+    dir = await mkdtemp(join(tmpdir(), 'koko-validator-'));
+});
+
+after(async () => {
+    mock.restoreAll();
+    if (dir) await rm(dir, { recursive: true, force: true });
+});
+
+// A mint of `programId` with the payer's account funded, and `count` fresh
+// wallets of which every third has no token account yet
+async function setUp(programId, count) {
+    const mint = await createMint(connection, payer, payer.publicKey, null, 6, undefined, CONFIRMED, programId);
+    const source = await getOrCreateAssociatedTokenAccount(connection, payer, mint, payer.publicKey, false, 'confirmed', CONFIRMED, programId);
+    await mintTo(connection, payer, mint, source.address, payer, 10n ** 15n, [], CONFIRMED, programId);
+
+    const owners = Array.from({ length: count }, () => Keypair.generate().publicKey);
+    for (const [index, owner] of owners.entries()) {
+        if (index % 3 !== 0) await createAssociatedTokenAccount(connection, payer, mint, owner, CONFIRMED, programId);
+    }
+
+    const allocations = owners.map((owner, index) => ({ owner: owner.toBase58(), amount: BigInt(index + 1) * 1_000_000n }));
+    return { mint, allocations };
+}
+
+async function open(mint, name) {
+    const ledger = await DistributionLedger.open(join(dir, `${name}.ndjson`), { merkleRoot: name, mint: mint.toBase58() });
+    const distributor = new Distributor(RpcPool.fromConfig(CONFIG), { mint, sender: payer.publicKey, createAccounts: true });
+    await distributor.loadMint();
+    return { ledger, distributor };
+}
+
+// Every wallet holds exactly its allocation, so nobody was paid twice
+async function assertPaid(mint, allocations, programId) {
+    for (const { owner, amount } of allocations) {
+        const address = getAssociatedTokenAddressSync(mint, new PublicKey(owner), true, programId);
+        const account = await getAccount(connection, address, 'confirmed', programId);
+        assert.equal(account.amount, amount, `${owner} holds ${account.amount}, not ${amount}`);
+    }
+}
+
+describe('Distributor on a local validator', () => {
+    for (const programId of [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID]) {
+        const name = programId.equals(TOKEN_PROGRAM_ID) ? 'Token' : 'Token-2022';
+
+        test(`sends packed batches with account creations mixed in (${name})`, { timeout: TIMEOUT }, async () => {
+            const { mint, allocations } = await setUp(programId, 45);
+            const { ledger, distributor } = await open(mint, `packed-${name}`);
+
+            const plan = await distributor.plan(allocations);
+            assert.equal(plan.creates, 15);
+            assert.ok(plan.batches.length > 1);
+            await distributor.execute(plan, { keypair: payer, ledger });
+
+            assert.deepEqual(ledger.counts(), { sent: 0, confirmed: plan.batches.length, failed: 0 });
+            await assertPaid(mint, allocations, programId);
+        });
+    }
+
+    test('resumes after a crash between sending a batch and its confirmation', { timeout: TIMEOUT }, async () => {
+        const { mint, allocations } = await setUp(TOKEN_PROGRAM_ID, 30);
+        const crashed = await open(mint, 'crash');
+        const plan = await crashed.distributor.plan(allocations);
+        assert.ok(plan.batches.length > 1);
+
+        // What sendBatch does up to the crash: the "sent" line, then the
+        // transaction goes out and the process dies before its status
+        const [first] = plan.batches;
+        const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+        const transaction = crashed.distributor.buildTransaction(first, blockhash);
+        transaction.sign(payer);
+        await crashed.ledger.sent({
+            signature: bs58.encode(transaction.signature),
+            recipients: first.recipients.map(({ owner, amount }) => ({ owner, amount })),
+            lastValidBlockHeight
+        });
+        await connection.sendRawTransaction(transaction.serialize());
+
+        const { ledger, distributor } = await open(mint, 'crash');
+        assert.equal(ledger.unresolved().length, 1);
+        assert.equal(await distributor.resolve(ledger), 1);
+        assert.deepEqual(ledger.paid(), new Set(first.recipients.map(({ owner }) => owner)));
+
+        const rest = await distributor.plan(allocations, { paid: ledger.paid() });
+        assert.equal(rest.recipients, allocations.length - first.recipients.length);
+        await distributor.execute(rest, { keypair: payer, ledger });
+        await assertPaid(mint, allocations, TOKEN_PROGRAM_ID);
+    });
+
+    test('pays again the recipients of a batch that was logged but never sent', { timeout: TIMEOUT }, async () => {
+        const { mint, allocations } = await setUp(TOKEN_PROGRAM_ID, 5);
+        const crashed = await open(mint, 'unsent');
+        const [batch] = (await crashed.distributor.plan(allocations)).batches;
+
+        // Crashed right after the "sent" line; resolving waits until the
+        // blockhash has expired (about a minute of blocks)
+        const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+        const transaction = crashed.distributor.buildTransaction(batch, blockhash);
+        transaction.sign(payer);
+        await crashed.ledger.sent({
+            signature: bs58.encode(transaction.signature),
+            recipients: batch.recipients.map(({ owner, amount }) => ({ owner, amount })),
+            lastValidBlockHeight
+        });
+
+        const { ledger, distributor } = await open(mint, 'unsent');
+        await distributor.resolve(ledger);
+        assert.deepEqual(ledger.counts(), { sent: 0, confirmed: 0, failed: 1 });
+        assert.equal(ledger.paid().size, 0);
+
+        const again = await distributor.plan(allocations, { paid: ledger.paid() });
+        assert.equal(again.recipients, allocations.length);
+        await distributor.execute(again, { keypair: payer, ledger });
+        await assertPaid(mint, allocations, TOKEN_PROGRAM_ID);
+    });
+});